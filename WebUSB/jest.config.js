@@ -0,0 +1,11 @@
+module.exports = {
+  testEnvironment: 'node',
+  testMatch: ['<rootDir>/tests/unit/**/*.spec.js'],
+  moduleNameMapper: {
+    '^@/(.*)$': '<rootDir>/src/$1'
+  },
+  // Localbase is published as ES modules, transpile it along with the sources
+  transformIgnorePatterns: ['/node_modules/(?!localbase/)'],
+  // IndexedDB for Localbase
+  setupFiles: ['fake-indexeddb/auto']
+}
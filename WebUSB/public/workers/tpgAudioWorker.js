@@ -0,0 +1,551 @@
+/**
+ *
+ * Copyright (c) 2021-2024 Technical Products Group
+ *
+ * @file    tpgAudioWorker.js
+ * @brief   Web Worker that decodes recorder audio (data.dat) to 16-bit PCM and writes WAV or FLAC, so that
+ *          hour-long recordings are converted without blocking the page. It is served as is from public/ and
+ *          started by tpgAudio.js, for an export or as the reader behind the player; see there for the
+ *          messages it takes and sends.
+ *
+ *          No specification of data.dat and no sample recording is available to this app, so its layout is
+ *          assumed: mono samples without a header, in the AudioEncoding of config.txt taken as one of
+ *            PCM16  signed 16-bit little-endian samples
+ *            PCM8   unsigned 8-bit samples (128 is silence)
+ *            ULAW   G.711 mu-law bytes
+ *          These are the encodings whose samples need no framing. Any other AudioEncoding is refused rather
+ *          than guessed at; ADPCM in particular depends on a block layout that is not documented. The app says
+ *          so wherever a recording is played or exported (AUDIO_FORMAT_NOTE in tpgAudio.js).
+ */
+
+const AUDIO_READ_SIZE = 1024 * 1024           // Bytes of data.dat decoded at a time
+const FLAC_BLOCK_SIZE = 4096                  // Samples per FLAC frame
+const FLAC_MAX_RICE_PARAMETER = 14
+
+// Bytes per sample of the encodings that are decoded
+const AUDIO_SAMPLE_SIZES = {
+  PCM16: 2,
+  PCM8: 1,
+  ULAW: 1,
+}
+
+/*
+ * @function  sampleSize
+ * @brief     Bytes per sample of an encoding. Throws for an encoding that is not decoded.
+ *
+ */
+function sampleSize(encoding) {
+  let size = AUDIO_SAMPLE_SIZES[encoding]
+  if (size === undefined) {
+    throw new Error("Audio encoding " + encoding + " cannot be decoded, only " + Object.keys(AUDIO_SAMPLE_SIZES).join(", ") + " are supported")
+  }
+  return size
+}
+
+/*
+ * @function  sampleCount
+ * @brief     Number of samples in byteLength bytes of audio in an encoding
+ *
+ */
+function sampleCount(encoding, byteLength) {
+  return Math.floor(byteLength / sampleSize(encoding))
+}
+
+/*
+ * @function  ulawToLinear
+ * @brief     Expand a G.711 mu-law byte to a 16-bit sample
+ *
+ */
+function ulawToLinear(code) {
+  code = ~code & 0xff
+  let magnitude = ((((code & 0x0f) << 3) + 0x84) << ((code & 0x70) >> 4)) - 0x84
+  return (code & 0x80) ? -magnitude : magnitude
+}
+
+/*
+ * @function  createDecoder
+ * @brief     A decoder for one recording: decode(bytes) turns the next piece of data.dat into an Int16Array.
+ *            Pieces may split a sample anywhere; the bytes left over are kept for the next
+ *            call. gain (dB) is divided out of the samples when compensateGain is set, so recordings made with
+ *            different Gain settings play at the same level.
+ *
+ */
+function createDecoder(format) {
+  let scale = format.compensateGain ? Math.pow(10, -(format.gain || 0) / 20) : 1
+  let pending = new Uint8Array(0)
+  let unit = sampleSize(format.encoding)
+
+  let decodeBytes = (bytes, output) => {
+    let position = 0
+    switch (format.encoding) {
+      case "PCM16": {
+        let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length)
+        for (let i = 0; i + 1 < bytes.length; i += 2) {
+          output[position++] = view.getInt16(i, true)
+        }
+        break
+      }
+      case "PCM8":
+        for (let i = 0; i < bytes.length; i++) {
+          output[position++] = (bytes[i] - 128) << 8
+        }
+        break
+      case "ULAW":
+        for (let i = 0; i < bytes.length; i++) {
+          output[position++] = ulawToLinear(bytes[i])
+        }
+        break
+    }
+    return position
+  }
+
+  let decodeWhole = (bytes) => {
+    let output = new Int16Array(sampleCount(format.encoding, bytes.length))
+    let length = decodeBytes(bytes, output)
+    if (scale !== 1) {
+      for (let i = 0; i < length; i++) {
+        output[i] = Math.round(output[i] * scale)
+      }
+    }
+    return output.subarray(0, length)
+  }
+
+  return {
+    decode(bytes) {
+      let data = bytes
+      if (pending.length > 0) {
+        data = new Uint8Array(pending.length + bytes.length)
+        data.set(pending, 0)
+        data.set(bytes, pending.length)
+      }
+      let whole = data.length - (data.length % unit)
+      pending = data.slice(whole)
+      return decodeWhole(data.subarray(0, whole))
+    },
+    // Decode what is left at the end of the recording; a last sample that was cut short is dropped
+    flush() {
+      let data = pending
+      pending = new Uint8Array(0)
+      return decodeWhole(data)
+    },
+  }
+}
+
+/*
+ * @function  wavHeader
+ * @brief     RIFF/WAVE header for 16-bit mono PCM
+ *
+ */
+function wavHeader(sampleRate, samples) {
+  let header = new DataView(new ArrayBuffer(44))
+  let text = (offset, value) => {
+    for (let i = 0; i < value.length; i++) {
+      header.setUint8(offset + i, value.charCodeAt(i))
+    }
+  }
+  text(0, "RIFF")
+  header.setUint32(4, 36 + samples * 2, true)
+  text(8, "WAVE")
+  text(12, "fmt ")
+  header.setUint32(16, 16, true)
+  header.setUint16(20, 1, true)                 // PCM
+  header.setUint16(22, 1, true)                 // Mono
+  header.setUint32(24, sampleRate, true)
+  header.setUint32(28, sampleRate * 2, true)    // Byte rate
+  header.setUint16(32, 2, true)                 // Block align
+  header.setUint16(34, 16, true)                // Bits per sample
+  text(36, "data")
+  header.setUint32(40, samples * 2, true)
+  return new Uint8Array(header.buffer)
+}
+
+/*
+ * @function  createWavWriter
+ * @brief     Collect PCM into the parts of a WAV file
+ *
+ */
+function createWavWriter(sampleRate, samples) {
+  let parts = [wavHeader(sampleRate, samples)]
+  return {
+    write(pcm) {
+      let bytes = new Uint8Array(pcm.length * 2)
+      let view = new DataView(bytes.buffer)
+      for (let i = 0; i < pcm.length; i++) {
+        view.setInt16(i * 2, pcm[i], true)
+      }
+      parts.push(bytes)
+    },
+    finish() {
+      return new Blob(parts, { type: "audio/wav" })
+    },
+  }
+}
+
+/*
+ * @function  createBitWriter
+ * @brief     MSB-first bit writer for FLAC frames
+ *
+ */
+function createBitWriter(capacity) {
+  let bytes = new Uint8Array(capacity)
+  let length = 0
+  let accumulator = 0
+  let bits = 0
+  let grow = () => {
+    if (length >= bytes.length) {
+      let larger = new Uint8Array(bytes.length * 2)
+      larger.set(bytes)
+      bytes = larger
+    }
+  }
+  let writer = {
+    // Write the low count bits of value, count up to 24
+    write(value, count) {
+      accumulator = (accumulator << count) | (value & ((1 << count) - 1))
+      bits += count
+      while (bits >= 8) {
+        bits -= 8
+        grow()
+        bytes[length++] = (accumulator >>> bits) & 0xff
+      }
+      accumulator &= (1 << bits) - 1
+    },
+    writeUnary(zeros) {
+      while (zeros >= 16) {
+        writer.write(0, 16)
+        zeros -= 16
+      }
+      writer.write(1, zeros + 1)
+    },
+    alignToByte() {
+      if (bits > 0) {
+        writer.write(0, 8 - bits)
+      }
+    },
+    bytes() {
+      return bytes.subarray(0, length)
+    },
+  }
+  return writer
+}
+
+let crc8Table = null
+let crc16Table = null
+
+function crc8(bytes) {
+  if (crc8Table === null) {
+    crc8Table = new Uint8Array(256)
+    for (let n = 0; n < 256; n++) {
+      let c = n
+      for (let k = 0; k < 8; k++) {
+        c = (c & 0x80) ? ((c << 1) ^ 0x07) & 0xff : (c << 1) & 0xff
+      }
+      crc8Table[n] = c
+    }
+  }
+  let crc = 0
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crc8Table[crc ^ bytes[i]]
+  }
+  return crc
+}
+
+function crc16(bytes) {
+  if (crc16Table === null) {
+    crc16Table = new Uint16Array(256)
+    for (let n = 0; n < 256; n++) {
+      let c = n << 8
+      for (let k = 0; k < 8; k++) {
+        c = (c & 0x8000) ? ((c << 1) ^ 0x8005) & 0xffff : (c << 1) & 0xffff
+      }
+      crc16Table[n] = c
+    }
+  }
+  let crc = 0
+  for (let i = 0; i < bytes.length; i++) {
+    crc = ((crc << 8) ^ crc16Table[(crc >> 8) ^ bytes[i]]) & 0xffff
+  }
+  return crc
+}
+
+/*
+ * @function  fixedResidual
+ * @brief     Residual of the FLAC fixed predictor of an order (0 to 4) for the samples after the warm-up
+ *
+ */
+function fixedResidual(samples, order) {
+  let residual = new Int32Array(samples.length - order)
+  for (let i = order; i < samples.length; i++) {
+    let prediction = 0
+    switch (order) {
+      case 1: prediction = samples[i - 1]; break
+      case 2: prediction = 2 * samples[i - 1] - samples[i - 2]; break
+      case 3: prediction = 3 * samples[i - 1] - 3 * samples[i - 2] + samples[i - 3]; break
+      case 4: prediction = 4 * samples[i - 1] - 6 * samples[i - 2] + 4 * samples[i - 3] - samples[i - 4]; break
+    }
+    residual[i - order] = samples[i] - prediction
+  }
+  return residual
+}
+
+/*
+ * @function  riceBits
+ * @brief     Bits needed to Rice code a residual with parameter k
+ *
+ */
+function riceBits(residual, k) {
+  let total = 0
+  for (let i = 0; i < residual.length; i++) {
+    let value = residual[i]
+    total += (((value << 1) ^ (value >> 31)) >>> k) + 1 + k
+  }
+  return total
+}
+
+/*
+ * @function  writeFlacSubframe
+ * @brief     Write the mono subframe of a block: the fixed predictor and Rice parameter that need the fewest
+ *            bits, or the samples verbatim when that is smaller
+ *
+ */
+function writeFlacSubframe(writer, samples) {
+  let best = null
+  for (let order = 0; order <= 4 && order < samples.length; order++) {
+    let residual = fixedResidual(samples, order)
+    for (let k = 0; k <= FLAC_MAX_RICE_PARAMETER; k++) {
+      let bits = 16 * order + 10 + riceBits(residual, k)
+      if (best === null || bits < best.bits) {
+        best = { order: order, k: k, bits: bits, residual: residual }
+      }
+    }
+  }
+  if (best === null || best.bits >= 16 * samples.length) {
+    writer.write(0x02, 8)                       // VERBATIM
+    for (let i = 0; i < samples.length; i++) {
+      writer.write(samples[i], 16)
+    }
+    return
+  }
+  writer.write(0x10 | (best.order << 1), 8)     // FIXED, order
+  for (let i = 0; i < best.order; i++) {
+    writer.write(samples[i], 16)
+  }
+  writer.write(0, 2)                            // Rice coding with 4-bit parameters
+  writer.write(0, 4)                            // Partition order 0
+  writer.write(best.k, 4)
+  for (let i = 0; i < best.residual.length; i++) {
+    let value = best.residual[i]
+    let folded = ((value << 1) ^ (value >> 31)) >>> 0
+    writer.writeUnary(folded >>> best.k)
+    if (best.k > 0) {
+      writer.write(folded & ((1 << best.k) - 1), best.k)
+    }
+  }
+}
+
+/*
+ * @function  createFlacWriter
+ * @brief     Collect PCM into the parts of a FLAC file (mono, 16-bit, frames of FLAC_BLOCK_SIZE samples)
+ *
+ */
+function createFlacWriter(sampleRate, samples) {
+  let streamInfo = createBitWriter(42)
+  streamInfo.write(0x664c, 16)                  // "fLaC"
+  streamInfo.write(0x6143, 16)
+  streamInfo.write(0x80, 8)                     // Last metadata block, STREAMINFO
+  streamInfo.write(34, 24)
+  streamInfo.write(FLAC_BLOCK_SIZE, 16)         // Minimum and maximum block size
+  streamInfo.write(FLAC_BLOCK_SIZE, 16)
+  streamInfo.write(0, 24)                       // Minimum and maximum frame size unknown
+  streamInfo.write(0, 24)
+  streamInfo.write(sampleRate >>> 4, 16)        // Sample rate (20 bits)
+  streamInfo.write(sampleRate & 0x0f, 4)
+  streamInfo.write(0, 3)                        // Channels - 1
+  streamInfo.write(15, 5)                       // Bits per sample - 1
+  streamInfo.write(Math.floor(samples / 0x100000000) & 0x0f, 4)   // Total samples (36 bits)
+  streamInfo.write(Math.floor(samples / 0x10000) & 0xffff, 16)
+  streamInfo.write(samples & 0xffff, 16)
+  for (let i = 0; i < 16; i++) {
+    streamInfo.write(0, 8)                      // MD5 of the audio not computed
+  }
+  let parts = [streamInfo.bytes()]
+  let block = new Int16Array(FLAC_BLOCK_SIZE)
+  let blockLength = 0
+  let frameNumber = 0
+
+  let writeFrame = () => {
+    let samples = block.subarray(0, blockLength)
+    let frame = createBitWriter(FLAC_BLOCK_SIZE * 2 + 64)
+    frame.write(0xfff8, 16)                     // Sync code, fixed block size
+    frame.write(0x70, 8)                        // Block size from the end of the header (16 bit), rate from STREAMINFO
+    frame.write(0x08, 8)                        // Mono, 16 bits per sample
+    // Frame number, UTF-8 coded
+    if (frameNumber < 0x80) {
+      frame.write(frameNumber, 8)
+    } else {
+      let continuation = []
+      let value = frameNumber
+      while (value >= (0x40 >> continuation.length)) {
+        continuation.unshift(0x80 | (value & 0x3f))
+        value = Math.floor(value / 64)
+      }
+      frame.write(((0xff00 >> (continuation.length + 1)) & 0xff) | value, 8)
+      for (const byte of continuation) {
+        frame.write(byte, 8)
+      }
+    }
+    frame.write(blockLength - 1, 16)
+    frame.write(crc8(frame.bytes()), 8)
+    writeFlacSubframe(frame, samples)
+    frame.alignToByte()
+    frame.write(crc16(frame.bytes()), 16)
+    parts.push(frame.bytes().slice())
+    frameNumber++
+    blockLength = 0
+  }
+
+  return {
+    write(pcm) {
+      for (let i = 0; i < pcm.length; i++) {
+        block[blockLength++] = pcm[i]
+        if (blockLength === FLAC_BLOCK_SIZE) {
+          writeFrame()
+        }
+      }
+    },
+    finish() {
+      if (blockLength > 0) {
+        writeFrame()
+      }
+      return new Blob(parts, { type: "audio/flac" })
+    },
+  }
+}
+
+/*
+ * @function  exportAudio
+ * @brief     Decode the blobs of a recording in order and write them as WAV or FLAC, posting progress
+ *
+ */
+async function exportAudio(request) {
+  let totalBytes = request.blobs.reduce((total, blob) => total + blob.size, 0)
+  let samples = sampleCount(request.format.encoding, totalBytes)
+  let decoder = createDecoder(request.format)
+  let writer = (request.container === "flac")
+    ? createFlacWriter(request.format.sampleRate, samples)
+    : createWavWriter(request.format.sampleRate, samples)
+  let bytesDone = 0
+  for (const blob of request.blobs) {
+    for (let offset = 0; offset < blob.size; offset += AUDIO_READ_SIZE) {
+      let bytes = new Uint8Array(await blob.slice(offset, offset + AUDIO_READ_SIZE).arrayBuffer())
+      writer.write(decoder.decode(bytes))
+      bytesDone += bytes.length
+      self.postMessage({ type: "progress", id: request.id, bytesDone: bytesDone, totalBytes: totalBytes })
+    }
+  }
+  writer.write(decoder.flush())
+  return { blob: writer.finish(), samples: samples, duration: samples / request.format.sampleRate }
+}
+
+/*
+ * @function  sampleRange
+ * @brief     The bytes of data.dat that hold the samples from startSample up to (not including) endSample:
+ *            { start, end }
+ *
+ */
+function sampleRange(encoding, startSample, endSample) {
+  let size = sampleSize(encoding)
+  return { start: startSample * size, end: endSample * size }
+}
+
+/*
+ * @function  audioInfo
+ * @brief     The length of a recording, from the size of its blobs
+ *
+ */
+async function audioInfo(request) {
+  let totalBytes = request.blobs.reduce((total, blob) => total + blob.size, 0)
+  let samples = sampleCount(request.format.encoding, totalBytes)
+  return { samples: samples, duration: samples / request.format.sampleRate }
+}
+
+/*
+ * @function  audioPeaks
+ * @brief     The waveform overview of a recording: the lowest and highest sample of every samplesPerPeak
+ *            samples, as pairs in one Int16Array. The whole recording is decoded, posting progress.
+ *
+ */
+async function audioPeaks(request) {
+  let totalBytes = request.blobs.reduce((total, blob) => total + blob.size, 0)
+  let samplesPerPeak = Math.max(1, Math.floor(request.samplesPerPeak))
+  let peaks = new Int16Array(2 * Math.ceil(sampleCount(request.format.encoding, totalBytes) / samplesPerPeak))
+  let decoder = createDecoder(request.format)
+  let position = 0
+  let addSamples = (samples) => {
+    for (let i = 0; i < samples.length; i++, position++) {
+      let peak = 2 * Math.floor(position / samplesPerPeak)
+      if (position % samplesPerPeak === 0) {
+        peaks[peak] = samples[i]
+        peaks[peak + 1] = samples[i]
+      } else if (samples[i] < peaks[peak]) {
+        peaks[peak] = samples[i]
+      } else if (samples[i] > peaks[peak + 1]) {
+        peaks[peak + 1] = samples[i]
+      }
+    }
+  }
+  let bytesDone = 0
+  for (const blob of request.blobs) {
+    for (let offset = 0; offset < blob.size; offset += AUDIO_READ_SIZE) {
+      let bytes = new Uint8Array(await blob.slice(offset, offset + AUDIO_READ_SIZE).arrayBuffer())
+      addSamples(decoder.decode(bytes))
+      bytesDone += bytes.length
+      self.postMessage({ type: "progress", id: request.id, bytesDone: bytesDone, totalBytes: totalBytes })
+    }
+  }
+  addSamples(decoder.flush())
+  return { peaks: peaks, samplesPerPeak: samplesPerPeak }
+}
+
+/*
+ * @function  readAudio
+ * @brief     Decode sampleCount samples of a recording from startSample on, reading only the bytes that hold
+ *            them. The blobs are joined without copying, so a range may cross from one blob into the next.
+ *            Fewer samples come back at the end of the recording.
+ *
+ */
+async function readAudio(request) {
+  let recording = new Blob(request.blobs)
+  let startSample = Math.max(0, Math.floor(request.startSample))
+  let endSample = Math.min(startSample + Math.max(0, Math.floor(request.sampleCount)), sampleCount(request.format.encoding, recording.size))
+  if (endSample <= startSample) {
+    return { pcm: new Int16Array(0), startSample: startSample }
+  }
+  let range = sampleRange(request.format.encoding, startSample, endSample)
+  let decoder = createDecoder(request.format)
+  let bytes = new Uint8Array(await recording.slice(range.start, range.end).arrayBuffer())
+  return { pcm: decoder.decode(bytes), startSample: startSample }
+}
+
+// Requests the worker takes, by type
+const AUDIO_REQUESTS = {
+  export: exportAudio,
+  info: audioInfo,
+  peaks: audioPeaks,
+  read: readAudio,
+}
+
+self.onmessage = async (message) => {
+  let request = message.data
+  try {
+    let handler = AUDIO_REQUESTS[request.type]
+    if (handler === undefined) {
+      throw new Error("Unknown audio request " + request.type)
+    }
+    let result = await handler(request)
+    let transfer = Object.values(result).filter((value) => ArrayBuffer.isView(value)).map((value) => value.buffer)
+    self.postMessage({ type: "done", id: request.id, ...result }, transfer)
+  } catch (err) {
+    self.postMessage({ type: "error", id: request.id, message: err.message || String(err) })
+  }
+}
@@ -2,10 +2,11 @@ import Vue from 'vue'
 import Vuex from 'vuex'
 import Localbase from 'localbase'
 
-import MTPDevice from './modules/mtpDriver'
+import devices from './modules/devices'
 
 let db = new Localbase('db')
 db.config.debug = false
+let snackbarTimer = null
 
 Vue.use(Vuex)
 
@@ -19,7 +20,8 @@ export default new Vuex.Store({
       show: false,
       text: ''
     },
-    sorting: false
+    sorting: false,
+    adminMode: false                      // Allows firmware downgrades and images of unknown version
   },
 
   mutations: {
@@ -34,8 +36,16 @@ export default new Vuex.Store({
     },
     updateDevice(state, payload) {
       console.log("Store: mutations.updateDevice: ", payload.id)
-      let device = state.TpgDevices.filter(device => device.id === payload.id)
-      device.config = payload.config
+      let device = state.TpgDevices.find(device => device.id === payload.id)
+      if (device === undefined || device === payload) {
+        return
+      }
+      // Copy what was read from the device, leaving the download progress on the card alone
+      for (const key of ["manufacturer", "model", "deviceVersion", "deviceConnected", "isConnected", "storageObjects", "config", "configText", "configIssues"]) {
+        if (payload[key] !== undefined) {
+          device[key] = payload[key]
+        }
+      }
     },
     setDevices(state, Devices) {
       console.log("Store: mutations.setDeviced: ", Devices)
@@ -48,7 +58,8 @@ export default new Vuex.Store({
         state.snackbar.show = false
         timeout = 300
       }
-      setTimeout(() => {
+      clearTimeout(snackbarTimer)         // The latest message wins over one still waiting to be shown
+      snackbarTimer = setTimeout(() => {
         state.snackbar.show = true
         state.snackbar.text = text
       }, timeout)
@@ -56,6 +67,9 @@ export default new Vuex.Store({
     hideSnackbar(state) {
       state.snackbar.show = false
     },
+    setAdminMode(state, adminMode) {
+      state.adminMode = adminMode
+    },
   },
 
 
@@ -78,7 +92,7 @@ export default new Vuex.Store({
     },
     deleteDeviceBySerialNumber({ commit }, serialNumber) {
       console.log("Store.actions.deleteDeviceBySerialNumber: ", serialNumber)
-      let lenaIndex = this.state.TpgDevices.findIndex(element => { if (element.config.SerialNumber === serialNumber) { return true; }})
+      let lenaIndex = this.state.TpgDevices.findIndex(element => { if (element.serialNumber === serialNumber) { return true; }})
       db.collection('Devices').doc({ id: this.state.TpgDevices[lenaIndex].id }).delete().then(() => {
         commit('deleteDevice', this.state.TpgDevices[lenaIndex].id)
         commit('showSnackbar', "Device removed!")
@@ -86,7 +100,7 @@ export default new Vuex.Store({
     },
     updateDevice({ commit }, payload) {
       console.log("Store.actions.updateDevice: ", payload)
-      db.collection('Devices').doc({ id: payload.id }).update( {
+      return db.collection('Devices').doc({ id: payload.id }).update( {
         config: payload.config
       }).then(() => {
         commit('updateDevice', payload)
@@ -111,6 +125,6 @@ export default new Vuex.Store({
     },
   },
   modules: {
-    
+    devices
   }
 })
@@ -0,0 +1,34 @@
+/**
+ *
+ * Copyright (c) 2021-2024 Technical Products Group
+ *
+ * @file    crc32.js
+ * @brief   CRC-32 checksums, used to verify audio downloads
+ *
+ */
+
+let crcTable = null
+
+/*
+ * @function  crc32
+ * @brief     CRC-32 (IEEE 802.3, as used by zip and PNG) of a byte array. Pass the result for the bytes before
+ *            as crc to checksum data that arrives in pieces.
+ *
+ */
+export default function crc32(bytes, crc = 0) {
+  if (crcTable === null) {
+    crcTable = new Uint32Array(256)
+    for (let n = 0; n < 256; n++) {
+      let c = n
+      for (let k = 0; k < 8; k++) {
+        c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1)
+      }
+      crcTable[n] = c >>> 0
+    }
+  }
+  crc = (crc ^ 0xffffffff) >>> 0
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
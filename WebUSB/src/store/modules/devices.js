@@ -0,0 +1,1344 @@
+/**
+ *
+ * Copyright (c) 2021-2024 Technical Products Group
+ *
+ * @file    devices.js
+ * @brief   Vuex module (namespaced "devices") that owns the connected TPG recorders. The live MTPDevice instances
+ *          are kept by serial number outside the reactive state, since Vue must not observe the USB objects; the
+ *          state lists the connected serial numbers and the operation each device is running. The device cards
+ *          (root state TpgDevices, stored in IndexedDB) are added, updated and removed through the root actions.
+ *
+ *          Components dispatch the actions with the card they show, for example
+ *          this.$store.dispatch("devices/downloadAudio", TpgDevice).
+ */
+
+import Vue from 'vue'
+import { format } from 'date-fns'
+import Localbase from 'localbase'
+import MTPDevice, { ObjectInfoDataset } from './mtpDriver'
+import MTPError from './mtpError'
+import MTPSimulator from './mtpSimulator'
+import TpgConfig, { CONFIG_SCHEMA, parseValue, validateValue, diffConfig, buildCommandFile, valuesMatch, compareVersions } from './tpgConfig'
+import { readFirmwareImage, checkFirmwareUpdate, FirmwareImageError } from './tpgFirmware'
+import { buildDeviceCommand } from './tpgCommands'
+import { audioFormat, exportRecording, RecordingReader, AUDIO_CONTAINERS } from './tpgAudio'
+
+const TPG_USB_VENDOR_ID = 7485           // This is the Vendor ID assigned to TPG by the USB Consortium
+const TPG_COMMAND_FILE = "command.txt"
+const TPG_COMMAND_TEMP_FILE = "command.tmp"   // Name a new command file is uploaded under before it is renamed into place
+const TPG_CONFIG_FILE = "config.txt"
+const TPG_AUDIO_FILE = "data.dat"
+const TPG_FIRMWARE_FILE = "BOOTIMG.img"
+const TPG_ARCHIVE_FOLDER = "uploaded"    // Folder on the device that archived recordings are moved into
+const TPG_EVENT_REFRESH_DELAY = 500       // Milliseconds to collect a burst of device events into one refresh
+const TPG_COMMAND_APPLY_DELAY = 9000      // Milliseconds the recorder takes to apply command.txt and rewrite config.txt
+const TPG_CLOCK_TOLERANCE = 60000         // Milliseconds a clock read back may differ from the time it was set to
+const TPG_FIRMWARE_RESTART_TIMEOUT = 180000   // Milliseconds for the recorder to be restarted, install firmware and reconnect
+const TPG_RECONNECT_POLL = 1000           // Milliseconds between checks for the recorder coming back
+const TPG_COMMAND_TIMEOUT = 30000         // Milliseconds the recorder may take to acknowledge a command
+const TPG_COMMAND_POLL = 2000             // Milliseconds between reads of config.txt while waiting for an acknowledgement
+let MTPDevices = {}                       // Connected MTP Devices by Serial Number - must match state.connected
+let audioDownloads = {}                   // AbortControllers for audio downloads in progress, by Serial Number
+let eventRefreshes = {}                   // Pending refresh timers after device events, by Serial Number
+let demoDeviceCount = 0                   // Demo devices opened so far, numbers their serial numbers
+let restartingDevices = {}                // Serial Numbers restarting to install firmware; their cards stay until they are back
+
+let db = new Localbase('db')              // Device history and downloaded recordings in IndexedDB, kept when a card is removed
+db.config.debug = false
+
+class deviceSettings {
+  constructor() {
+    this.serialNumber = null
+    this.manufacturer = null
+    this.model = null
+    this.deviceVersion = null
+    this.deviceConnected = false
+    this.isConnected = false
+    this.audioCopyTimeStarted = null
+    this.audioCopyTimeFinished = null
+    this.audioCopyBytes = 0
+    this.audioCopyTotalBytes = 0
+    this.audioCopyProgress = 0
+    this.audioUploadedTimeStarted = null
+    this.audioUploadTimeFinished = null
+    this.audioUploadProgress = 0
+    this.audioUploadBytes = 0
+    this.config = null                // Typed values of config.txt, see tpgConfig.js
+    this.configText = null            // config.txt as read from the device
+    this.configIssues = []            // Unknown keys and invalid values found in config.txt
+    this.storageObjects = null
+    this.commandFile = null
+    this.commandText = null
+    this.commandBytes = null
+  }
+}
+
+export default {
+  namespaced: true,
+
+  state: {
+    connected: [],                        // Serial numbers of the connected devices
+    operations: {},                       // { currentOperation, queueDepth } of each connected device, by Serial Number
+    history: {},                          // Device history entries { time, event, details }, oldest first, by Serial Number
+    recordings: [],                       // 'filedownloads' records of the recordings downloaded to IndexedDB, newest first
+  },
+
+  mutations: {
+    addConnected(state, serialNumber) {
+      if (!state.connected.includes(serialNumber)) {
+        state.connected.push(serialNumber)
+      }
+    },
+    removeConnected(state, serialNumber) {
+      state.connected = state.connected.filter(element => element !== serialNumber)
+      Vue.delete(state.operations, serialNumber)
+    },
+    setQueueState(state, payload) {
+      Vue.set(state.operations, payload.serialNumber, {
+        currentOperation: payload.currentOperation,
+        queueDepth: payload.queueDepth
+      })
+    },
+    setHistory(state, payload) {
+      Vue.set(state.history, payload.serialNumber, payload.entries)
+    },
+    addHistory(state, entry) {
+      if (state.history[entry.serialNumber] === undefined) {
+        Vue.set(state.history, entry.serialNumber, [])
+      }
+      state.history[entry.serialNumber].push(entry)
+    },
+    setRecordings(state, recordings) {
+      state.recordings = recordings
+    },
+  },
+
+  actions: {
+    /*
+     * @method  connectPaired
+     * @brief   Attempts to open all paired TPG MTP devices
+     *
+     */
+    async connectPaired({ dispatch }) {
+      let usbDevices = await navigator.usb.getDevices()
+      usbDevices.forEach(usbDevice => {
+        console.log("Device already connected:", usbDevice)
+        dispatch("connect", usbDevice)
+      })
+    },
+
+    /*
+     * @method  requestDevice
+     * @brief   Prompts the user to allow access to a new device
+     *
+     */
+    async requestDevice({ dispatch }) {
+      try {
+        let usbDevice = await navigator.usb.requestDevice({ filters: [{ vendorId : TPG_USB_VENDOR_ID }]})
+        if (usbDevice !== undefined) {
+          console.log("requestDevice: User Selected ", usbDevice)
+          await dispatch("connect", usbDevice)
+        }
+      }
+      catch (err) {
+        console.log("requestDevice: Error ", err)
+      }
+    },
+
+    /*
+     * @method  connectDemo
+     * @brief   Opens a simulated recorder with the demo contents, for trying the app without a device
+     *
+     */
+    async connectDemo({ dispatch }) {
+      demoDeviceCount++
+      let simulator = new MTPSimulator({ serialNumber: "DEMO" + String(demoDeviceCount).padStart(4, "0") })
+      console.log("connectDemo: Opening ", simulator.serialNumber)
+      simulator.addEventListener("disconnect", (event) => dispatch("disconnect", event.device))
+      simulator.addEventListener("connect", (event) => dispatch("connect", event.device))
+      await dispatch("connect", simulator)
+    },
+
+    /*
+     * @method  connect
+     * @brief   Opens a Device session with a TPG MTP Device and adds its card
+     * @parms   usbdevice - The WebUSB device object returned from Chrome Navigator requestDevice or getDevices calls.
+     *
+     */
+    async connect({ commit, dispatch, rootState }, usbdevice) {
+      let device = new MTPDevice()        // Create a new MTP Device Object
+      device.device = usbdevice           // Set the USB property of the MTP Device class
+      let status = false
+      try {
+        await device.device.open()        // Open the USB connection
+        await sleep(50)
+        console.log("connect: Opened.")
+        await device.device.selectConfiguration(1)
+        console.log("connect: Set Config.")
+        await sleep(50)
+        await device.device.claimInterface(0)
+        await sleep(50)
+        console.log("connect: Claimed Interface.")
+        await device.getEndpoints()
+        await sleep(50)
+        console.log("connect: Retrieved Endpoints.")
+        await device.getDeviceInfo()
+        console.log("connect: Device Serial Number", device.SerialNumber)
+        status = await device.openSession()
+        if (status === true) {
+          // Register the device now, so that operations dispatched for it queue behind the enumeration
+          MTPDevices[device.SerialNumber] = device
+          commit("addConnected", device.SerialNumber)
+          device.subscribeQueue((state) => commit("setQueueState", { serialNumber: device.SerialNumber, ...state }))
+          dispatch("loadHistory", device.SerialNumber)
+          await device.runOperation("Connecting", async () => {
+            console.log("connect: Retrieving storage objects.")
+            let storageObjects = await getStorageIDS(commit, device)
+            if (storageObjects !== null) {
+              let fileObjects = null
+              for (let i=0;i<storageObjects.length;i++) {
+                fileObjects = await getFileObjects(commit, device, storageObjects[i].storageID)
+              }
+              let currentSettings = await downloadSettingsFile(device)
+              console.log("connect: Config.txt", currentSettings)
+              device.subscribe((event) => handleDeviceEvent({ commit, dispatch }, device, event))
+              device.startEventLoop()
+              if (!rootState.TpgDevices.some(element => element.serialNumber === currentSettings.serialNumber)) {
+                dispatch("addDevice", currentSettings, { root: true })
+              }
+              else {
+                // Update the device record
+                let TpgDevice = rootState.TpgDevices.find(element => element.serialNumber === currentSettings.serialNumber)
+                currentSettings.id = TpgDevice.id
+                dispatch("updateDevice", currentSettings, { root: true })
+              }
+            } else {
+              forgetDevice(commit, device)
+            }
+          })
+        }
+      } catch (err) {
+        forgetDevice(commit, device)
+        reportError(commit, "Unable to open device", err)
+      }
+    },
+
+    /*
+     * @method  eject
+     * @brief   The user pressed the Eject button, perform a soft-eject. An audio download in progress is
+     *          cancelled (it resumes on the next download) and the eject goes ahead of any queued operation.
+     *
+     */
+    async eject({ commit, dispatch }, TpgDevice) {
+      try {
+        let device = MTPDevices[TpgDevice.serialNumber]
+        console.log("User ejected", device)
+        dispatch("cancelAudioDownload", TpgDevice)
+        await device.runOperation("Ejecting", async () => {
+          device.stopEventLoop()
+          await device.closeSession()
+        }, { priority: true })
+        forgetDevice(commit, device)
+        dispatch("deleteDevice", TpgDevice.id, { root: true })
+      }
+      catch (err) {
+        reportError(commit, "Error ejecting device", err)
+      }
+    },
+
+    /*
+     * @method  disconnect
+     * @brief   User unplugged a USB device (callback)
+     *
+     */
+    async disconnect({ commit, dispatch, rootState }, usbDevice) {
+      try {
+        let device = Object.values(MTPDevices).find(element => element.device === usbDevice)
+        if (device === undefined) {
+          return
+        }
+        let serialNumber = device.SerialNumber
+        console.log("User disconnected: ", device)
+        device.stopEventLoop()
+        forgetDevice(commit, device)
+        if (restartingDevices[serialNumber]) {
+          // Restarting with new firmware, keep the card until it is back
+          commit("updateDevice", { id: findCard(rootState, serialNumber).id, isConnected: false }, { root: true })
+        } else {
+          dispatch("deleteDeviceBySerialNumber", serialNumber, { root: true })  // Remove from store
+        }
+        console.log("Device session closed successfully.", usbDevice)
+      } catch (err) {
+          console.log("Error disconnecting." + err)
+      }
+    },
+
+    /*
+     * @method  refresh
+     * @brief   Re-read the storages, file lists and settings of a device and update its card. Skipped when a
+     *          refresh is already waiting behind the current operation, as that one will pick up the change.
+     *
+     */
+    async refresh({ commit, dispatch, rootState }, { serialNumber, reloadDeviceInfo = false }) {
+      let device = MTPDevices[serialNumber]
+      if (device === undefined || device.queueState().queuedOperations.includes("Refreshing")) {
+        return
+      }
+      try {
+        await device.runOperation("Refreshing", async () => {
+          let TpgDevice = rootState.TpgDevices.find(element => element.serialNumber === serialNumber)
+          if (TpgDevice === undefined || MTPDevices[serialNumber] !== device) {
+            return
+          }
+          if (reloadDeviceInfo) {
+            await device.getDeviceInfo()
+          }
+          let storageObjects = await getStorageIDS(commit, device)
+          if (storageObjects === null) {
+            return
+          }
+          for (const storageObject of storageObjects) {
+            await getFileObjects(commit, device, storageObject.storageID)
+          }
+          let currentSettings = await downloadSettingsFile(device)
+          currentSettings.id = TpgDevice.id
+          if (currentSettings.configText === TpgDevice.configText) {
+            commit("updateDevice", currentSettings, { root: true })   // Only the file lists changed, nothing to store
+          } else {
+            await dispatch("updateDevice", currentSettings, { root: true })
+          }
+        })
+      } catch (err) {
+        reportError(commit, "Error refreshing device", err)
+      }
+    },
+
+    /*
+     * @method  downloadAudio
+     * @brief   Downloads the audio file from the device, reporting the progress on the card
+     *
+     */
+    async downloadAudio({ commit, dispatch }, TpgDevice) {
+      let device = MTPDevices[TpgDevice.serialNumber]
+      console.log("Downloading audio from:", device)
+      let controller = new AbortController()
+      audioDownloads[TpgDevice.serialNumber] = controller
+      try {
+        await device.runOperation("Downloading audio", async () => {
+          TpgDevice.audioCopyTimeStarted = format(new Date(), 'MMMM d, H:mm:ss')
+          TpgDevice.audioCopyTimeFinished = null
+          let storageObjects = await getStorageIDS(commit, device)
+          if (storageObjects !== null) {
+            let activeStorageID = storageObjects[0].storageID
+            console.log("downloadAudio: calling getFileObjects with activeStorageID:", activeStorageID)
+            let fileObjects = await getFileObjects(commit, device, activeStorageID)
+            let fileObject = (fileObjects || []).find((fileObject) => fileObject.fileName === TPG_AUDIO_FILE)
+            if (fileObject === undefined) {
+              throw "Device has no " + TPG_AUDIO_FILE
+            }
+            // Keep how the recording is encoded with it, from config.txt as it is now: the settings may change
+            // before the download completes or the recording is exported
+            let config = (await downloadSettingsFile(device)).config
+            console.log("Downloading File:", fileObject)
+            let [status] = await device.downloadAudioFile(
+              storageObjects[0],
+              fileObject,
+              TpgDevice,
+              { signal: controller.signal, audioFormat: audioFormat(config) }
+            )
+            if (status === true) {
+              TpgDevice.audioCopyTimeFinished = format(new Date(), 'MMMM d, H:mm:ss')
+              console.log("File downloaded successfully.")
+
+              // ToDo: Update the IndexedDB with the TpgDevice updates
+
+              // return fileBlob
+            }
+          }
+        }, { signal: controller.signal })
+      } catch (err) {
+        if (controller.signal.aborted) {
+          TpgDevice.audioCopyTimeStarted = null
+          commit("showSnackbar", "Audio download cancelled, it will resume where it stopped.", { root: true })
+        } else {
+          reportError(commit, "Error downloading audio", err)
+        }
+        return null
+      } finally {
+        delete audioDownloads[TpgDevice.serialNumber]
+        await dispatch("loadRecordings")
+      }
+    },
+
+    /*
+     * @method  cancelAudioDownload
+     * @brief   The user pressed Cancel on the audio progress bar, abort the download in progress
+     *
+     */
+    cancelAudioDownload(context, TpgDevice) {
+      let controller = audioDownloads[TpgDevice.serialNumber]
+      if (controller !== undefined) {
+        console.log("Cancelling audio download:", TpgDevice.serialNumber)
+        controller.abort()
+      }
+    },
+
+    /*
+     * @method  downloadSettings
+     * @brief   Read config.txt from the device again and update the card
+     *
+     */
+    async downloadSettings({ commit, dispatch }, TpgDevice) {
+      try {
+        let device = MTPDevices[TpgDevice.serialNumber]
+        let currentSettings = await device.runOperation("Reading settings", () => downloadSettingsFile(device))
+        console.log("downloadSettings: Config.txt", currentSettings)
+        currentSettings.id = TpgDevice.id
+        await dispatch("updateDevice", currentSettings, { root: true })
+      } catch (err) {
+        reportError(commit, "Error reading settings", err)
+      }
+    },
+
+    /*
+     * @method  checkSettings
+     * @brief   Check the command file the user loaded on the card against the settings schema. Returns
+     *          { values, changes, commandText, issues }: values by key as applySettings takes them, changes
+     *          against config.txt as diffConfig, the command.txt that would be sent and the issues found by
+     *          TpgConfig.validate, where unknown keys are warnings.
+     *
+     */
+    async checkSettings(context, TpgDevice) {
+      let commandFile = TpgConfig.parse(TpgDevice.commandText)
+      let issues = commandFile.validate()
+      let values = commandFile.values()
+      let commandText = ""
+      if (!issues.some((issue) => issue.severity === "error")) {
+        commandText = buildCommandFile(values)
+      }
+      return { values: values, changes: diffConfig(TpgDevice.config || {}, values), commandText: commandText, issues: issues }
+    },
+
+    /*
+     * @method  uploadSettings
+     * @brief   Apply the command file the user loaded on the card. payload is { TpgDevice, confirmed }. The
+     *          file is checked first (see checkSettings) and refused when it has errors, or when it has
+     *          unknown keys and the user has not confirmed them; it is then sent the same way as the settings
+     *          form, see applySettings.
+     *
+     */
+    async uploadSettings({ commit, dispatch }, { TpgDevice, confirmed = false }) {
+      let report = await dispatch("checkSettings", TpgDevice)
+      let refused = report.issues.filter((issue) => issue.severity === "error" || !confirmed)
+      if (refused.length > 0) {
+        reportError(commit, "Command file rejected", refused.map((issue) => issue.message).join("; "))
+        return null
+      }
+      return dispatch("applySettings", { TpgDevice: TpgDevice, changes: report.values, allowUnknown: confirmed })
+    },
+
+    /*
+     * @method  applySettings
+     * @brief   Send changed settings to the device and confirm them. payload is { TpgDevice, changes,
+     *          allowUnknown } where changes holds the new values by config.txt key, typed or as text. Keys that
+     *          are not in CONFIG_SCHEMA are refused unless allowUnknown is set, then sent as written. A
+     *          command.txt is built from them and uploaded; after the recorder has had time to apply it
+     *          config.txt is read back and every changed setting of the schema checked. Returns
+     *          { changes, failed } with failed as { key, expected, actual }, or null when the settings could
+     *          not be sent.
+     *
+     */
+    async applySettings({ commit, dispatch }, { TpgDevice, changes, allowUnknown = false }) {
+      try {
+        let device = MTPDevices[TpgDevice.serialNumber]
+        let values = {}
+        let problems = new Array(0)
+        for (const key of Object.keys(changes)) {
+          let schema = CONFIG_SCHEMA[key]
+          let parsed = (typeof changes[key] === "string") ? parseValue(key, changes[key]) : { value: changes[key], error: null }
+          if (schema === undefined) {
+            if (!allowUnknown) {
+              problems.push("Unknown setting " + key)
+            }
+          } else if (schema.readOnly) {
+            problems.push(schema.label + " is reported by the recorder and cannot be changed")
+          } else if (parsed.error !== null || validateValue(key, parsed.value) !== null) {
+            problems.push(parsed.error || validateValue(key, parsed.value))
+          }
+          values[key] = parsed.value
+        }
+        if (problems.length > 0) {
+          throw problems.join("; ")
+        }
+        let commandText = buildCommandFile(values)
+        console.log("applySettings: command.txt", commandText)
+
+        return await device.runOperation("Updating settings", async () => {
+          let activeStorageID = device.storageInfoObjects[0].storageID
+          await uploadCommandFile(commit, device, commandText)
+          let sent = Date.now()
+          await sleep(TPG_COMMAND_APPLY_DELAY)
+
+          // Read config.txt back and check that every value took effect
+          await getFileObjects(commit, device, activeStorageID)
+          let currentSettings = await downloadSettingsFile(device)
+          // Keys outside the schema are not reported in config.txt, so they cannot be checked
+          let failed = new Array(0)
+          let checked = Object.keys(values).filter((key) => CONFIG_SCHEMA[key] !== undefined)
+          let unchecked = Object.keys(values).filter((key) => CONFIG_SCHEMA[key] === undefined)
+          for (const key of checked) {
+            let expected = values[key]
+            if (expected instanceof Date) {
+              expected = new Date(expected.getTime() + Date.now() - sent)
+            }
+            if (!valuesMatch(key, expected, currentSettings.config[key], TPG_CLOCK_TOLERANCE)) {
+              failed.push({ key: key, expected: values[key], actual: currentSettings.config[key] })
+            }
+          }
+          currentSettings.id = TpgDevice.id
+          await dispatch("updateDevice", currentSettings, { root: true })
+          if (failed.length === 0) {
+            let applied = checked.map((key) => CONFIG_SCHEMA[key].label).concat(unchecked.map((key) => key + " (not checked)"))
+            commit("showSnackbar", "Settings applied: " + applied.join(", "), { root: true })
+          } else {
+            commit("showSnackbar", "Settings not applied: " + failed.map((failure) =>
+              CONFIG_SCHEMA[failure.key].label + " (device reports " + (currentSettings.configText === "" ? "no " + TPG_CONFIG_FILE : failure.actual) + ")").join(", "), { root: true })
+          }
+          return { changes: values, failed: failed }
+        })
+      } catch (err) {
+        reportError(commit, "Error updating settings", err)
+        return null
+      }
+    },
+
+    /*
+     * @method  sendCommand
+     * @brief   Send a named command (setClock; see tpgCommands.js) to the recorder and wait for it to be
+     *          acknowledged. payload is { TpgDevice, command, args, timeout }. The acknowledgement comes from
+     *          config.txt, which is read again on every object event from the recorder and at least every
+     *          TPG_COMMAND_POLL milliseconds. Returns the config.txt values read back, or null when the command
+     *          failed or timed out.
+     *
+     */
+    async sendCommand({ commit, dispatch, rootState }, { TpgDevice, command, args = {}, timeout = null }) {
+      let serialNumber = TpgDevice.serialNumber
+      try {
+        let deviceCommand = buildDeviceCommand(command, args)
+        let device = MTPDevices[serialNumber]
+        console.log("sendCommand:", serialNumber, command, deviceCommand.commandText)
+        let currentSettings = await device.runOperation(deviceCommand.label, async () => {
+          await uploadCommandFile(commit, device, deviceCommand.commandText)
+          return await waitForAcknowledgement(commit, device, deviceCommand, Date.now(), timeout || TPG_COMMAND_TIMEOUT)
+        })
+        currentSettings.id = findCard(rootState, serialNumber).id
+        await dispatch("updateDevice", currentSettings, { root: true })
+        commit("showSnackbar", deviceCommand.label + " acknowledged by " + serialNumber, { root: true })
+        return currentSettings.config
+      } catch (err) {
+        reportError(commit, "Error sending command", err)
+        return null
+      }
+    },
+
+    /*
+     * @method  checkFirmware
+     * @brief   Check a firmware image the user picked against the recorder. payload is
+     *          { TpgDevice, file, version } with the version the user states for the image (null when unknown).
+     *          Returns { image, problems } where image is { size, version } as readFirmwareImage (null when the
+     *          file cannot be an image) and problems lists { message, overridable } as checkFirmwareUpdate.
+     *
+     */
+    async checkFirmware(context, { TpgDevice, file, version = null }) {
+      let image = null
+      try {
+        image = readFirmwareImage(file.size, version)
+      } catch (err) {
+        if (!(err instanceof FirmwareImageError)) {
+          throw err
+        }
+        return { image: null, problems: [{ message: err.message, overridable: false }] }
+      }
+      let device = MTPDevices[TpgDevice.serialNumber]
+      let storageObject = device.storageInfoObjects[0]
+      let replaced = storageObject.objectInfoObjects.filter((fileObject) => fileObject.fileName === TPG_FIRMWARE_FILE)
+      let freeSpace = storageObject.freeSpace + replaced.reduce((total, fileObject) => total + fileObject.filesize, 0)
+      return { image: image, problems: checkFirmwareUpdate(image, TpgDevice.config || {}, freeSpace) }
+    },
+
+    /*
+     * @method  updateFirmware
+     * @brief   Install a firmware image on the recorder. payload is { TpgDevice, file, version, onProgress,
+     *          onStage }: version is the one the user states for the image (null when unknown),
+     *          onProgress(sentBytes, totalBytes) follows the upload and onStage(text) the steps. The image is
+     *          checked first; downgrades and images of unknown version are refused unless admin mode is on.
+     *          It is uploaded as BOOTIMG.img. No command.txt key for installing it is documented, so the user
+     *          restarts the recorder; once it has reconnected its FirmwareVersion is read and compared with
+     *          the stated version. Returns the installed version, or null when the update failed.
+     *
+     */
+    async updateFirmware({ commit, dispatch, rootState }, { TpgDevice, file, version = null, onProgress = null, onStage = null }) {
+      let serialNumber = TpgDevice.serialNumber
+      let stage = (text) => {
+        console.log("updateFirmware:", serialNumber, text)
+        if (onStage !== null) {
+          onStage(text)
+        }
+      }
+      try {
+        stage("Checking the image")
+        let report = await dispatch("checkFirmware", { TpgDevice, file, version })
+        let refused = report.problems.filter((problem) => !problem.overridable || !rootState.adminMode)
+        if (refused.length > 0) {
+          throw refused.map((problem) => problem.message).join("; ")
+        }
+        let image = report.image
+        let device = MTPDevices[serialNumber]
+        restartingDevices[serialNumber] = true
+
+        await device.runOperation("Updating firmware", async () => {
+          let storageObject = device.storageInfoObjects[0]
+          if (storageObject.readOnly || !storageObject.deletable) {
+            throw "Storage " + storageObject.storageDescription + " is " + storageObject.accessCapabilityName.toLowerCase()
+          }
+          stage("Uploading " + TPG_FIRMWARE_FILE)
+          for (const fileObject of storageObject.objectInfoObjects.filter((fileObject) => fileObject.fileName === TPG_FIRMWARE_FILE)) {
+            await device.deleteFile(fileObject)
+          }
+          let [status, newObjectID] = await device.uploadObject(storageObject, file, undefined, { fileName: TPG_FIRMWARE_FILE, onProgress: onProgress })
+          let fileObjects = await getFileObjects(commit, device, storageObject.storageID)
+          let uploaded = (fileObjects || []).find((fileObject) => fileObject.fileID === newObjectID)
+          if (status !== true || uploaded === undefined || uploaded.filesize !== image.size) {
+            throw "The recorder did not store the complete " + TPG_FIRMWARE_FILE
+          }
+        })
+
+        stage("Restart the recorder to install " + TPG_FIRMWARE_FILE)
+        if (device.device instanceof MTPSimulator) {
+          device.device.replug()            // The demo device has no power button
+        }
+        let restarted = await waitForReconnect(serialNumber, device, TPG_FIRMWARE_RESTART_TIMEOUT)
+        let currentSettings = await restarted.runOperation("Confirming firmware", () => downloadSettingsFile(restarted))
+        let installed = currentSettings.config.FirmwareVersion
+        if (installed === undefined) {
+          throw "The recorder restarted without reporting its FirmwareVersion"
+        }
+        if (image.version !== null && compareVersions(installed, image.version) !== 0) {
+          throw "The recorder restarted with firmware " + installed + " instead of " + image.version
+        }
+        currentSettings.id = findCard(rootState, serialNumber).id
+        await dispatch("updateDevice", currentSettings, { root: true })
+        stage("Firmware " + installed + " installed")
+        commit("showSnackbar", "Firmware " + installed + " installed on " + serialNumber, { root: true })
+        return installed
+      } catch (err) {
+        stage("Firmware update failed")
+        reportError(commit, "Error updating firmware", err)
+        return null
+      } finally {
+        delete restartingDevices[serialNumber]
+      }
+    },
+
+    /*
+     * @method  archiveAudio
+     * @brief   Move the audio file into the archive folder on the device instead of deleting it. The file is
+     *          renamed after its modification time first so that earlier archives are not overwritten.
+     *
+     */
+    async archiveAudio({ commit }, TpgDevice) {
+      try {
+        let device = MTPDevices[TpgDevice.serialNumber]
+        await device.runOperation("Archiving audio", async () => {
+          let storageObject = device.storageInfoObjects[0]
+          if (storageObject.readOnly) {
+            throw "Storage " + storageObject.storageDescription + " is " + storageObject.accessCapabilityName.toLowerCase()
+          }
+          let audioFile = storageObject.objectInfoObjects.find((fileObject) => fileObject.fileName === TPG_AUDIO_FILE)
+          if (audioFile === undefined) {
+            throw "Device has no " + TPG_AUDIO_FILE
+          }
+          let archiveFolder = storageObject.objectInfoObjects.find((fileObject) => fileObject.isFolder() && fileObject.fileName === TPG_ARCHIVE_FOLDER)
+          let archiveFolderID = (archiveFolder !== undefined) ? archiveFolder.fileID : await createFolder(commit, device, storageObject.storageID, TPG_ARCHIVE_FOLDER)
+          if (archiveFolderID === null) {
+            return
+          }
+          let archiveName = TPG_AUDIO_FILE
+          if (device.canRenameObjects()) {
+            archiveName = "data-" + format(audioFile.dateModified || new Date(), "yyyyMMdd-HHmmss") + ".dat"
+            await device.renameObject(audioFile, archiveName)
+          }
+          await device.moveObject(storageObject, audioFile, archiveFolderID)
+          await getFileObjects(commit, device, storageObject.storageID)
+          TpgDevice.storageObjects = device.storageInfoObjects
+          commit("showSnackbar", "Audio moved to " + TPG_ARCHIVE_FOLDER + "/" + archiveName, { root: true })
+        })
+      } catch (err) {
+        reportError(commit, "Error archiving audio", err)
+      }
+    },
+
+    /*
+     * @method  checkAudioDeletion
+     * @brief   Tell whether data.dat may be deleted from the recorder: only when IndexedDB holds a complete
+     *          download of this very file (same size and modification date as its ObjectInfo) that passed its
+     *          checksum. Returns { allowed, reasons, audioFile, download } as audioDeletionCheck.
+     *
+     */
+    async checkAudioDeletion({ commit }, TpgDevice) {
+      try {
+        return await audioDeletionCheck(MTPDevices[TpgDevice.serialNumber])
+      } catch (err) {
+        reportError(commit, "Error checking the audio download", err)
+        return { allowed: false, reasons: [String(err)], audioFile: null, download: null }
+      }
+    },
+
+    /*
+     * @method  deleteAudio
+     * @brief   Delete data.dat from the recorder once audioDeletionCheck allows it. The downloaded copy is read
+     *          back and checked once more right before the delete, and the deletion is recorded in the device
+     *          history. Returns true when data.dat was deleted.
+     *
+     */
+    async deleteAudio({ commit, dispatch }, TpgDevice) {
+      let serialNumber = TpgDevice.serialNumber
+      try {
+        let device = MTPDevices[serialNumber]
+        let check = await device.runOperation("Deleting audio", async () => {
+          let check = await guardAudioDeletion(commit, device)
+          await device.deleteFile(check.audioFile)
+          await getFileObjects(commit, device, device.storageInfoObjects[0].storageID)
+          TpgDevice.storageObjects = device.storageInfoObjects
+          return check
+        })
+        await dispatch("recordHistory", {
+          serialNumber: serialNumber,
+          event: "Audio deleted",
+          details: deletedAudioDetails(check, TpgDevice.config)
+        })
+        await dispatch("loadRecordings")
+        commit("showSnackbar", TPG_AUDIO_FILE + " deleted from " + serialNumber + ", the downloaded copy is kept", { root: true })
+        return true
+      } catch (err) {
+        reportError(commit, "Error deleting audio", err)
+        return false
+      }
+    },
+
+    /*
+     * @method  exportAudio
+     * @brief   Convert the downloaded data.dat of a recorder to a WAV or FLAC file in a Web Worker. payload is
+     *          { TpgDevice, container, compensateGain, onProgress, signal }. The recording is decoded with the
+     *          AudioEncoding and Gain in effect when it was downloaded. The download is the one of
+     *          the data.dat on the recorder, or the newest verified one once data.dat has been deleted. Returns
+     *          { blob, fileName, samples, duration }, or null when there is no complete download or it failed.
+     *
+     */
+    async exportAudio({ commit }, { TpgDevice, container = "wav", compensateGain = false, onProgress = null, signal = undefined }) {
+      try {
+        let device = MTPDevices[TpgDevice.serialNumber]
+        let audioFile = device.storageInfoObjects[0].objectInfoObjects.find((fileObject) => fileObject.fileName === TPG_AUDIO_FILE)
+        let download = (audioFile !== undefined) ? await device.getAudioDownload(audioFile) :
+          (await device.getAudioDownloads(TPG_AUDIO_FILE)).find((download) => download.verified === true) || null
+        if (download === null || download.bytesSaved < download.filesize) {
+          throw TPG_AUDIO_FILE + " has not been downloaded completely"
+        }
+        if (download.verified !== true) {
+          throw "The downloaded copy of " + TPG_AUDIO_FILE + " has not passed its checksum"
+        }
+        let blobs = (await device.getAudioBlobs(download.id)).map((blob) => blob.fileBlob)
+        let result = await exportRecording(blobs, download.audioFormat || audioFormat(TpgDevice.config), {
+          container: container,
+          compensateGain: compensateGain,
+          onProgress: onProgress,
+          signal: signal
+        })
+        let recorded = download.dateModified !== null ? new Date(download.dateModified) : new Date(download.timeCompleted)
+        result.fileName = TpgDevice.serialNumber + "-" + format(recorded, "yyyyMMdd-HHmmss") + "." + AUDIO_CONTAINERS[container].extension
+        return result
+      } catch (err) {
+        if (signal && signal.aborted) {
+          commit("showSnackbar", "Audio export cancelled", { root: true })
+        } else {
+          reportError(commit, "Error exporting audio", err)
+        }
+        return null
+      }
+    },
+
+    /*
+     * @method  loadRecordings
+     * @brief   Read the list of recordings downloaded to IndexedDB; they can be played without the recorder
+     *
+     */
+    async loadRecordings({ commit }) {
+      try {
+        let recordings = (await db.collection('filedownloads').get())
+          .sort((a, b) => (b.timeCompleted || 0) - (a.timeCompleted || 0))
+        commit("setRecordings", recordings)
+      } catch (err) {
+        console.log("loadRecordings: Unable to read the downloaded recordings", err)
+      }
+    },
+
+    /*
+     * @method  openRecording
+     * @brief   Open a downloaded recording (a record of state.recordings) for the player. The blobs stay in
+     *          IndexedDB and are decoded as they are played, with the AudioEncoding and Gain in effect when
+     *          the recording was downloaded. Returns a RecordingReader, to be closed by the caller, or null.
+     *
+     */
+    async openRecording({ commit, rootState }, recording) {
+      try {
+        if (recording.bytesSaved < recording.filesize) {
+          throw recording.fileName + " of " + recording.serialNumber + " has not been downloaded completely"
+        }
+        let blobs = (await db.collection('fileblobs').get())
+          .filter((blob) => blob.downloadID === recording.id)
+          .sort((a, b) => a.blobNumber - b.blobNumber)
+          .map((blob) => blob.fileBlob)
+        if (blobs.length === 0) {
+          throw "No audio is stored for " + recording.fileName + " of " + recording.serialNumber
+        }
+        let card = findCard(rootState, recording.serialNumber)
+        return new RecordingReader(blobs, recording.audioFormat || audioFormat(card ? card.config : null))
+      } catch (err) {
+        reportError(commit, "Error opening the recording", err)
+        return null
+      }
+    },
+
+    /*
+     * @method  loadHistory
+     * @brief   Read the history of a device from IndexedDB
+     *
+     */
+    async loadHistory({ commit }, serialNumber) {
+      try {
+        let entries = (await db.collection('devicehistory').get())
+          .filter((entry) => entry.serialNumber === serialNumber)
+          .sort((a, b) => a.time - b.time)
+        commit("setHistory", { serialNumber: serialNumber, entries: entries })
+      } catch (err) {
+        console.log("loadHistory: Unable to read the history of", serialNumber, err)
+      }
+    },
+
+    /*
+     * @method  recordHistory
+     * @brief   Add an entry to the history of a device. payload is { serialNumber, event, details }.
+     *
+     */
+    async recordHistory({ commit }, { serialNumber, event, details = "" }) {
+      let entry = {
+        id: serialNumber + "/" + Date.now(),
+        serialNumber: serialNumber,
+        time: Date.now(),
+        event: event,
+        details: details
+      }
+      await db.collection('devicehistory').add(entry)
+      commit("addHistory", entry)
+    },
+
+    /*
+     * @method  uploadFile
+     * @brief   Upload a File or Blob to a storage of the device, streamed from disk. payload is
+     *          { serialNumber, storageID, file, onProgress, parentHandle } where onProgress is called as
+     *          (sentBytes, totalBytes). Returns the ObjectHandle of the new object, or null.
+     *
+     */
+    async uploadFile({ commit }, { serialNumber, storageID, file, onProgress = null, parentHandle = undefined }) {
+      try {
+        let device = MTPDevices[serialNumber]
+        let storageObject = device.storageInfoObjects.find(
+          (storageObject) => storageObject.storageID === storageID
+        )
+        if (storageObject.readOnly) {
+          throw "Storage " + storageObject.storageDescription + " is " + storageObject.accessCapabilityName.toLowerCase()
+        }
+        if (file.size > storageObject.freeSpace) {
+          throw file.name + " needs " + file.size + " bytes, storage " + storageObject.storageDescription + " has " + storageObject.freeSpace
+        }
+        return await device.runOperation("Uploading " + file.name, async () => {
+          let [status, newObjectID] = await device.uploadObject(storageObject, file, parentHandle, { onProgress: onProgress })
+          if (status === true) {
+            console.log("Successfully uploaded the file.", file.name, newObjectID)
+            await getFileObjects(commit, device, storageID)
+          }
+          return newObjectID
+        })
+      } catch (err) {
+        reportError(commit, "Error uploading file", err)
+        return null
+      }
+    },
+
+    /*
+     * @method  deleteObject
+     * @brief   Delete an object from a storage of the device. payload is { serialNumber, storageID, fileID }.
+     *
+     */
+    async deleteObject({ commit }, { serialNumber, storageID, fileID }) {
+      try {
+        let device = MTPDevices[serialNumber]
+        let storageObject = device.storageInfoObjects.find(
+          (storageObject) => storageObject.storageID === storageID
+        )
+        if (!storageObject.deletable) {
+          throw "Storage " + storageObject.storageDescription + " is " + storageObject.accessCapabilityName.toLowerCase()
+        }
+        let fileObject = storageObject.objectInfoObjects.find((fileObject) => fileObject.fileID === fileID)
+        let status = await device.runOperation("Deleting " + fileObject.fileName, () => device.deleteFile(fileObject))
+
+        if (status === true) {
+          console.log("Successfully deleted the selected object")
+        }
+        return status
+      } catch (err) {
+        reportError(commit, "Unable to delete the selected file", err)
+        return null
+      }
+    },
+
+    /*
+     * @method  getFolderObjects
+     * @brief   Returns the fileObjects contained in a folder on the device. payload is
+     *          { serialNumber, storageID, folderObject }.
+     *
+     */
+    async getFolderObjects({ commit }, { serialNumber, storageID, folderObject }) {
+      try {
+        let device = MTPDevices[serialNumber]
+        let storageObject = device.storageInfoObjects.find((storageObject) => { return storageObject.storageID === storageID; })
+        let fileObjects = await device.runOperation("Reading " + folderObject.fileName, () => device.getChildObjects(storageObject, folderObject))
+        console.log("Fetched folder objects. Found " + fileObjects.length + " in " + folderObject.fileName + ".")
+        return fileObjects
+      } catch (err) {
+        reportError(commit, "Error getting folder objects", err)
+        return null
+      }
+    },
+
+    /*
+     * @method  findFileObjects
+     * @brief   Returns the fileObjects with the given name anywhere in the folder tree of a storage, for
+     *          example the per-day recordings that newer firmware stores in subfolders. payload is
+     *          { serialNumber, storageID, fileName }.
+     *
+     */
+    async findFileObjects({ commit }, { serialNumber, storageID, fileName }) {
+      try {
+        let device = MTPDevices[serialNumber]
+        let storageObject = device.storageInfoObjects.find((storageObject) => { return storageObject.storageID === storageID; })
+        return await device.runOperation("Searching " + fileName, async () => {
+          let fileObjects = []
+          for await (const entry of device.walkObjects(storageObject)) {
+            if (entry.object.fileName === fileName) {
+              fileObjects.push(entry.object)
+            }
+          }
+          return fileObjects
+        })
+      } catch (err) {
+        reportError(commit, "Error searching file objects", err)
+        return null
+      }
+    },
+  },
+
+  getters: {
+    // The connected MTPDevice with this serial number, or null
+    device: (state) => (serialNumber) => {
+      return state.connected.includes(serialNumber) ? MTPDevices[serialNumber] : null
+    },
+    // The protocol trace of the connected device, or null when it is not connected
+    trace: (state, getters) => (serialNumber) => {
+      let device = getters.device(serialNumber)
+      return (device !== null) ? device.trace : null
+    },
+    // The operation running on the device and the number waiting behind it
+    queueState: (state) => (serialNumber) => {
+      return state.operations[serialNumber] || { currentOperation: null, queueDepth: 0 }
+    },
+    // The recorded history of the device, oldest first
+    history: (state) => (serialNumber) => {
+      return state.history[serialNumber] || []
+    },
+    // The downloaded recordings of the device, or of all devices when serialNumber is left out
+    recordings: (state) => (serialNumber = null) => {
+      return state.recordings.filter((recording) => serialNumber === null || recording.serialNumber === serialNumber)
+    },
+  },
+}
+
+/*
+ * @function  forgetDevice
+ * @brief     Drop a device that was ejected, unplugged or failed to open, along with its pending refresh
+ *
+ */
+function forgetDevice(commit, device) {
+  let serialNumber = device.SerialNumber
+  clearTimeout(eventRefreshes[serialNumber])
+  delete eventRefreshes[serialNumber]
+  if (MTPDevices[serialNumber] === device) {
+    delete MTPDevices[serialNumber]
+    commit("removeConnected", serialNumber)
+  }
+}
+
+/*
+ * @function  findCard
+ * @brief     The device card (root state TpgDevices) of a serial number
+ *
+ */
+function findCard(rootState, serialNumber) {
+  return rootState.TpgDevices.find(element => element.serialNumber === serialNumber)
+}
+
+/*
+ * @function  waitForReconnect
+ * @brief     Resolve with the MTPDevice of a recorder once it has connected again after previous was dropped,
+ *            or reject after timeout milliseconds
+ *
+ */
+async function waitForReconnect(serialNumber, previous, timeout) {
+  let deadline = Date.now() + timeout
+  while (MTPDevices[serialNumber] === undefined || MTPDevices[serialNumber] === previous) {
+    if (Date.now() > deadline) {
+      throw "The recorder did not reconnect within " + Math.round(timeout / 1000) + " seconds"
+    }
+    await sleep(TPG_RECONNECT_POLL)
+  }
+  return MTPDevices[serialNumber]
+}
+
+/*
+ * @function  audioDeletionCheck
+ * @brief     Decide from the file list last read whether data.dat on a device may be deleted. Returns
+ *            { allowed, reasons, audioFile, download }: reasons tells why not, audioFile is the ObjectInfo of
+ *            data.dat and download its 'filedownloads' record (see MTPDevice.downloadAudioFile).
+ *
+ */
+async function audioDeletionCheck(device) {
+  let reasons = new Array(0)
+  let storageObject = device.storageInfoObjects[0]
+  let audioFile = storageObject.objectInfoObjects.find((fileObject) => fileObject.fileName === TPG_AUDIO_FILE) || null
+  let download = null
+  if (storageObject.readOnly || !storageObject.deletable) {
+    reasons.push("Storage " + storageObject.storageDescription + " is " + storageObject.accessCapabilityName.toLowerCase())
+  }
+  if (audioFile === null) {
+    reasons.push("The recorder has no " + TPG_AUDIO_FILE)
+  } else {
+    download = await device.getAudioDownload(audioFile)
+    if (download === null) {
+      let earlier = await device.getAudioDownloads(TPG_AUDIO_FILE)
+      if (earlier.length > 0) {
+        reasons.push("The downloaded copy is of an earlier " + TPG_AUDIO_FILE + " (" + earlier[0].filesize + " bytes, the recorder has " + audioFile.filesize + ")")
+      } else {
+        reasons.push(TPG_AUDIO_FILE + " has not been downloaded")
+      }
+    } else if (download.bytesSaved < download.filesize) {
+      reasons.push("The download of " + TPG_AUDIO_FILE + " is not complete (" + download.bytesSaved + " of " + download.filesize + " bytes)")
+    } else if (download.verified !== true) {
+      reasons.push("The downloaded copy of " + TPG_AUDIO_FILE + " has not passed its checksum")
+    }
+  }
+  return { allowed: reasons.length === 0, reasons: reasons, audioFile: audioFile, download: download }
+}
+
+/*
+ * @function  guardAudioDeletion
+ * @brief     Read the file list again and refuse, by throwing the reasons, to delete data.dat from a recorder
+ *            unless the list was read, audioDeletionCheck allows it and the downloaded copy still matches its
+ *            checksum. Returns the check.
+ *
+ */
+async function guardAudioDeletion(commit, device) {
+  if (await getFileObjects(commit, device, device.storageInfoObjects[0].storageID) === null) {
+    throw "The file list of the recorder could not be read again, so " + TPG_AUDIO_FILE + " is not deleted"
+  }
+  let check = await audioDeletionCheck(device)
+  if (!check.allowed) {
+    throw check.reasons.join("; ")
+  }
+  if (!await device.verifyAudioDownload(check.download.id)) {
+    throw "The downloaded copy of " + TPG_AUDIO_FILE + " no longer matches its checksum"
+  }
+  return check
+}
+
+/*
+ * @function  deletedAudioDetails
+ * @brief     Device history details of the data.dat deleted from the recorder
+ *
+ */
+function deletedAudioDetails(check, config) {
+  let audioLength = (config || {}).AudioLength
+  return TPG_AUDIO_FILE + ", " + check.audioFile.filesize + " bytes" +
+    (typeof audioLength === "number" ? ", " + audioLength + " hours" : "") +
+    ", downloaded " + format(new Date(check.download.timeCompleted), 'MMMM d, yyyy H:mm:ss') +
+    ", CRC-32 " + check.download.checksum.toString(16).padStart(8, "0")
+}
+
+/*
+ * @function  acknowledged
+ * @brief     True when the settings read back show that a command sent at sent (Date.now()) took effect
+ *
+ */
+function acknowledged(deviceCommand, currentSettings, sent) {
+  return deviceCommand.acknowledged(currentSettings.config, {
+    args: deviceCommand.args,
+    elapsed: Date.now() - sent,
+    clockTolerance: TPG_CLOCK_TOLERANCE
+  })
+}
+
+/*
+ * @function  waitForAcknowledgement
+ * @brief     Read config.txt until it shows that a command took effect, on every object event from the recorder
+ *            and at least every TPG_COMMAND_POLL milliseconds. Resolves with the settings read, or rejects once
+ *            timeout milliseconds have passed since the command was sent.
+ *
+ */
+async function waitForAcknowledgement(commit, device, deviceCommand, sent, timeout) {
+  let wake = null
+  let unsubscribe = device.subscribe((event) => {
+    if (wake !== null && ["ObjectAdded", "ObjectRemoved", "ObjectInfoChanged"].includes(event.name)) {
+      wake()
+    }
+  })
+  try {
+    for (;;) {
+      let remaining = sent + timeout - Date.now()
+      if (remaining <= 0) {
+        throw "The recorder did not acknowledge " + deviceCommand.label.toLowerCase() + " within " + Math.round(timeout / 1000) + " seconds"
+      }
+      await new Promise((resolve) => {
+        let timer = setTimeout(resolve, Math.min(TPG_COMMAND_POLL, remaining))
+        wake = () => {
+          clearTimeout(timer)
+          resolve()
+        }
+      })
+      wake = null
+      await getFileObjects(commit, device, device.storageInfoObjects[0].storageID)
+      let currentSettings = await downloadSettingsFile(device)
+      if (acknowledged(deviceCommand, currentSettings, sent)) {
+        return currentSettings
+      }
+    }
+  } finally {
+    unsubscribe()
+  }
+}
+
+/*
+ * @function  handleDeviceEvent
+ * @brief     Called for every event the device reports on its interrupt endpoint. Object and storage
+ *            events schedule a refresh of the device card, for example when the device writes a new
+ *            config.txt after processing command.txt.
+ *
+ */
+function handleDeviceEvent({ commit, dispatch }, device, event) {
+  switch (event.name) {
+    case "ObjectAdded":
+    case "ObjectRemoved":
+    case "ObjectInfoChanged":
+    case "StoreAdded":
+    case "StoreRemoved":
+    case "StoreFull":
+    case "StorageInfoChanged":
+    case "DeviceInfoChanged":
+      clearTimeout(eventRefreshes[device.SerialNumber])
+      eventRefreshes[device.SerialNumber] = setTimeout(() => {
+        delete eventRefreshes[device.SerialNumber]
+        dispatch("refresh", { serialNumber: device.SerialNumber, reloadDeviceInfo: event.name === "DeviceInfoChanged" })
+      }, TPG_EVENT_REFRESH_DELAY)
+      break
+    default:
+      if (event.vendor) {
+        console.log("handleDeviceEvent: Vendor event", device.SerialNumber, event.name, event.params)
+      }
+  }
+  if (event.name === "StoreFull") {
+    commit("showSnackbar", "Device " + device.SerialNumber + " storage is full.", { root: true })
+  }
+}
+
+/*
+ * @function  getStorageIDS
+ * @brief     Returns the storageObjects on the device specified, or null when they could not be read
+ *
+ */
+async function getStorageIDS(commit, device) {
+  try {
+    let status1 = await device.getStorageIDS()
+    let status2 = null
+    for (const storageObject of device.storageInfoObjects) {
+      status2 = await device.getStorageInfo(storageObject)
+    }
+
+    if (status1 === true && status2 === true) {
+      console.log("Fetched storage IDS. Found " +device.storageInfoObjects.length + ".")
+      return device.storageInfoObjects
+    }
+    return null
+  } catch (err) {
+    reportError(commit, "Error getting storage IDs", err)
+    return null
+  }
+}
+
+/*
+ * @function  getFileObjects
+ * @brief     Returns the fileObjects on the device specified, or null when they could not be read
+ *
+ */
+async function getFileObjects(commit, device, storageID) {
+  try {
+    let storageObject = device.storageInfoObjects.find((storageObject) => { return storageObject.storageID === storageID; })
+    let storageObjectIndex = device.storageInfoObjects.indexOf(storageObject)
+    let status1 = await device.getFileObjects(storageObject)
+    let status2 = await device.getObjectInfos(storageObject, device.storageInfoObjects[storageObjectIndex].objectInfoObjects)
+    if (status1 === true && status2 === true) {
+      console.log("Fetched file objects. Found " + device.storageInfoObjects[storageObjectIndex].objectInfoObjects.length + ".")
+      return device.storageInfoObjects[storageObjectIndex].objectInfoObjects
+    }
+    return null
+  } catch (err) {
+    reportError(commit, "Error getting file objects", err)
+    return null
+  }
+}
+
+/*
+ * @function  createFolder
+ * @brief     Creates a folder on the device, in the root or in the parent folder given
+ *
+ */
+async function createFolder(commit, device, storageID, folderName, parentObject = null) {
+  try {
+    let storageObject = device.storageInfoObjects.find((storageObject) => storageObject.storageID === storageID)
+    let [, newObjectID] = parentObject === null ?
+      await device.createFolder(storageObject, folderName) :
+      await device.createFolder(storageObject, folderName, parentObject.fileID)
+    console.log("Created folder", folderName, newObjectID)
+    return newObjectID
+  } catch (err) {
+    reportError(commit, "Unable to create folder", err)
+    return null
+  }
+}
+
+/*
+ * @function  downloadFile
+ * @brief     Download a text file from the device
+ *
+ */
+async function downloadFile(device, storageID, fileID) {
+  let storageObject = device.storageInfoObjects.find((storageObject) => storageObject.storageID === storageID)
+  let fileObject = storageObject.objectInfoObjects.find((fileObject) => fileObject.fileID === fileID)
+  let [status, fileBlob] = await device.downloadFile(storageObject, fileObject)
+  if (status === true) {
+    console.log("File downloaded successfully.")
+    return fileBlob
+  }
+}
+
+/*
+ * @function  uploadCommandFile
+ * @brief     Write command.txt to the root of the first storage, replacing the one there
+ *
+ */
+async function uploadCommandFile(commit, device, commandText) {
+  let bytes = commandText.split('').map (function (c) { return c.charCodeAt (0); })
+  let activeStorageID = device.storageInfoObjects[0].storageID
+  let storageObject = device.storageInfoObjects.find((storageObject) => storageObject.storageID === activeStorageID)
+  let commandFiles = storageObject.objectInfoObjects.filter((fileObject) => fileObject.fileName === TPG_COMMAND_FILE)
+  if (storageObject.readOnly || !storageObject.deletable) {
+    throw "Storage " + storageObject.storageDescription + " is " + storageObject.accessCapabilityName.toLowerCase()
+  }
+  console.log("uploadCommandFile:", device, activeStorageID, storageObject, commandFiles, bytes.map(function(x) {return x.toString(16);}).join(" "))
+
+  if (!device.canRenameObjects()) {
+    // Without rename support the command file has to be deleted and uploaded under its own name
+    for (const fileObject of commandFiles) {
+      await device.deleteFile(fileObject)
+    }
+    await device.uploadFileInfo(storageObject, TPG_COMMAND_FILE, bytes.length)
+    await device.uploadFile(bytes)
+  } else {
+    // Upload under a temporary name first, so command.txt is only missing between the delete and the rename
+    for (const fileObject of storageObject.objectInfoObjects.filter((fileObject) => fileObject.fileName === TPG_COMMAND_TEMP_FILE)) {
+      await device.deleteFile(fileObject)
+    }
+    let [status1, newObjectID] = await device.uploadFileInfo(storageObject, TPG_COMMAND_TEMP_FILE, bytes.length)
+    let status2 = await device.uploadFile(bytes)
+    console.log("File Upload Status", status1, status2, newObjectID)
+    for (const fileObject of commandFiles) {
+      await device.deleteFile(fileObject)
+    }
+    // Rename straight away by the handle SendObjectInfo returned, without enumerating the storage in between
+    let tempFile = new ObjectInfoDataset(newObjectID)
+    tempFile.storageID = activeStorageID
+    tempFile.fileName = TPG_COMMAND_TEMP_FILE
+    await device.renameObject(tempFile, TPG_COMMAND_FILE)
+  }
+  await getFileObjects(commit, device, activeStorageID)
+  console.log("Successfully uploaded the file.")
+}
+
+/*
+ * @function  downloadSettingsFile
+ * @brief     Read config.txt from the device into a new device card
+ *
+ */
+async function downloadSettingsFile(device) {
+  let configText = ""
+  let activeStorageID = device.storageInfoObjects[0].storageID
+  let fileptr = device.storageInfoObjects[0].objectInfoObjects.filter((fileObject) => fileObject.fileName === TPG_CONFIG_FILE)
+  if (fileptr.length > 0) {
+    let fileArray = await downloadFile(device, activeStorageID, fileptr[0].fileID)
+    let fileData = Uint8Array.from(fileArray)
+    configText = String.fromCharCode.apply(String, fileData)
+  } else {
+    console.log("downloadSettingsFile: Device has no " + TPG_CONFIG_FILE)
+  }
+  let configFile = TpgConfig.parse(configText)
+  let configIssues = configFile.validate()
+  if (configIssues.length > 0) {
+    console.log("downloadSettingsFile: " + TPG_CONFIG_FILE + " issues", configIssues)
+  }
+
+  let currentSettings = new deviceSettings()
+  currentSettings.serialNumber = device.SerialNumber
+  currentSettings.manufacturer = device.deviceInfo.manufacturer
+  currentSettings.model = device.deviceInfo.model
+  currentSettings.deviceVersion = device.deviceInfo.deviceVersion
+  currentSettings.deviceConnected = format(new Date(), 'MMMM d, H:mm:ss')
+  currentSettings.isConnected = true
+  currentSettings.config = configFile.values()
+  currentSettings.configText = configText
+  currentSettings.configIssues = configIssues
+  currentSettings.storageObjects = device.storageInfoObjects
+
+  return currentSettings
+}
+
+/*
+ * @function  reportError
+ * @brief     Log an error and show the readable reason (the MTP response name for driver errors) to the user
+ *
+ */
+function reportError(commit, context, err) {
+  console.log(context + ". Error:", err)
+  let reason = (err instanceof MTPError) ? err.message : String(err)
+  commit("showSnackbar", context + ": " + reason, { root: true })
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
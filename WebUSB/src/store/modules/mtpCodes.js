@@ -0,0 +1,135 @@
+/**
+ *
+ * Copyright (c) 2021-2024 Technical Products Group
+ *
+ * @file    mtpCodes.js
+ * @brief   Readable names for the Operation and Response codes defined in the USB Media Transfer Protocol
+ *          Specification v1.1 (Appendix D and F). Used for error reporting and protocol logging.
+ */
+
+// MTP Operation Codes (PTP 0x10xx, Android extensions 0x95xx and MTP 0x98xx)
+export const MTP_OPERATION_NAMES = {
+  0x1000: "Undefined",
+  0x1001: "GetDeviceInfo",
+  0x1002: "OpenSession",
+  0x1003: "CloseSession",
+  0x1004: "GetStorageIDs",
+  0x1005: "GetStorageInfo",
+  0x1006: "GetNumObjects",
+  0x1007: "GetObjectHandles",
+  0x1008: "GetObjectInfo",
+  0x1009: "GetObject",
+  0x100a: "GetThumb",
+  0x100b: "DeleteObject",
+  0x100c: "SendObjectInfo",
+  0x100d: "SendObject",
+  0x100e: "InitiateCapture",
+  0x100f: "FormatStore",
+  0x1010: "ResetDevice",
+  0x1011: "SelfTest",
+  0x1012: "SetObjectProtection",
+  0x1013: "PowerDown",
+  0x1014: "GetDevicePropDesc",
+  0x1015: "GetDevicePropValue",
+  0x1016: "SetDevicePropValue",
+  0x1017: "ResetDevicePropValue",
+  0x1018: "TerminateOpenCapture",
+  0x1019: "MoveObject",
+  0x101a: "CopyObject",
+  0x101b: "GetPartialObject",
+  0x101c: "InitiateOpenCapture",
+  0x95c1: "GetPartialObject64",
+  0x9801: "GetObjectPropsSupported",
+  0x9802: "GetObjectPropDesc",
+  0x9803: "GetObjectPropValue",
+  0x9804: "SetObjectPropValue",
+  0x9805: "GetObjectPropList",
+  0x9806: "SetObjectPropList",
+  0x9807: "GetInterdependentPropDesc",
+  0x9808: "SendObjectPropList",
+  0x9810: "GetObjectReferences",
+  0x9811: "SetObjectReferences",
+  0x9820: "Skip",
+}
+
+// MTP Response Codes (PTP 0x20xx and MTP 0xA8xx)
+export const MTP_RESPONSE_NAMES = {
+  0x2000: "Undefined",
+  0x2001: "OK",
+  0x2002: "General Error",
+  0x2003: "Session Not Open",
+  0x2004: "Invalid TransactionID",
+  0x2005: "Operation Not Supported",
+  0x2006: "Parameter Not Supported",
+  0x2007: "Incomplete Transfer",
+  0x2008: "Invalid StorageID",
+  0x2009: "Invalid ObjectHandle",
+  0x200a: "DeviceProp Not Supported",
+  0x200b: "Invalid ObjectFormatCode",
+  0x200c: "Store Full",
+  0x200d: "Object WriteProtected",
+  0x200e: "Store Read-Only",
+  0x200f: "Access Denied",
+  0x2010: "No Thumbnail Present",
+  0x2011: "SelfTest Failed",
+  0x2012: "Partial Deletion",
+  0x2013: "Store Not Available",
+  0x2014: "Specification By Format Unsupported",
+  0x2015: "No Valid ObjectInfo",
+  0x2016: "Invalid Code Format",
+  0x2017: "Unknown Vendor Code",
+  0x2018: "Capture Already Terminated",
+  0x2019: "Device Busy",
+  0x201a: "Invalid ParentObject",
+  0x201b: "Invalid DeviceProp Format",
+  0x201c: "Invalid DeviceProp Value",
+  0x201d: "Invalid Parameter",
+  0x201e: "Session Already Open",
+  0x201f: "Transaction Cancelled",
+  0x2020: "Specification of Destination Unsupported",
+  0xa801: "Invalid ObjectPropCode",
+  0xa802: "Invalid ObjectProp Format",
+  0xa803: "Invalid ObjectProp Value",
+  0xa804: "Invalid ObjectReference",
+  0xa805: "Group Not Supported",
+  0xa806: "Invalid Dataset",
+  0xa807: "Specification By Group Unsupported",
+  0xa808: "Specification By Depth Unsupported",
+  0xa809: "Object Too Large",
+  0xa80a: "ObjectProp Not Supported",
+}
+
+// MTP Event Codes (PTP 0x40xx and MTP 0xC8xx). Other 0xCxxx codes are vendor extension events.
+export const MTP_EVENT_NAMES = {
+  0x4000: "Undefined",
+  0x4001: "CancelTransaction",
+  0x4002: "ObjectAdded",
+  0x4003: "ObjectRemoved",
+  0x4004: "StoreAdded",
+  0x4005: "StoreRemoved",
+  0x4006: "DevicePropChanged",
+  0x4007: "ObjectInfoChanged",
+  0x4008: "DeviceInfoChanged",
+  0x4009: "RequestObjectTransfer",
+  0x400a: "StoreFull",
+  0x400b: "DeviceReset",
+  0x400c: "StorageInfoChanged",
+  0x400d: "CaptureComplete",
+  0x400e: "UnreportedStatus",
+  0xc801: "ObjectPropChanged",
+  0xc802: "ObjectPropDescChanged",
+  0xc803: "ObjectReferencesChanged",
+}
+
+/*
+ * @function  codeName
+ * @brief     Look up the name of a code in one of the tables above, falling back to the hex value for
+ *            vendor extension and reserved codes.
+ *
+ */
+export function codeName(table, code) {
+  if (table[code] !== undefined) {
+    return table[code]
+  }
+  return "0x" + ("0000" + code.toString(16)).slice(-4)
+}
@@ -19,6 +19,8 @@ const CONTAINER_TYPE_RESPONSE = 0x0003
 const CONTAINER_TYPE_EVENT = 0x0004
 
 // MTP Operation Codes
+const UNDEFINED_OPERATION = 0x1000          // Reported for queued application operations that are not a single MTP operation
+const MTP_GET_DEVICE_INFO = 0x1001
 const MTP_OPEN_SESSION = 0x1002
 const MTP_GET_STORAGE_IDS = 0x1004
 const MTP_GET_STORAGE_INFO = 0x1005
@@ -29,25 +31,92 @@ const CLOSE_SESSION = 0x1003
 const MTP_DELETE_OBJECT = 0x100b
 const SEND_OBJECT_INFO = 0x100c
 const SEND_OBJECT = 0x100d
+const MOVE_OBJECT = 0x1019
+const COPY_OBJECT = 0x101a
+const GET_PARTIAL_OBJECT = 0x101b
+const GET_PARTIAL_OBJECT_64 = 0x95c1        // Android extension taking a 64-bit offset
+const GET_OBJECT_PROPS_SUPPORTED = 0x9801
+const GET_OBJECT_PROP_DESC = 0x9802
+const GET_OBJECT_PROP_VALUE = 0x9803
+const SET_OBJECT_PROP_VALUE = 0x9804
+const GET_OBJECT_PROP_LIST = 0x9805
 
 // MTP Object formats
 const OBJECT_FORMAT_TEXT = 0x3004
+const OBJECT_FORMAT_ASSOCIATION = 0x3001    // Folder
+const ASSOCIATION_TYPE_GENERIC_FOLDER = 0x0001
 const GET_ROOT_OBJECTS = 0xffffffff
 const UNDEFINED_OBJECT_FORMAT = 0x3000
 const PLACE_IN_ROOT = 0xffffffff
+const MTP_OBJECT_FORMAT_BY_EXTENSION = {
+  txt: OBJECT_FORMAT_TEXT,
+  htm: 0x3005,                              // HTML
+  html: 0x3005,
+  aif: 0x3007,                              // AIFF
+  aiff: 0x3007,
+  wav: 0x3008,                              // WAV
+  mp3: 0x3009,                              // MP3
+  avi: 0x300a,                              // AVI
+  mpg: 0x300b,                              // MPEG
+  mpeg: 0x300b,
+  asf: 0x300c,                              // ASF
+  jpg: 0x3801,                              // EXIF/JPEG
+  jpeg: 0x3801,
+  bmp: 0x3804,                              // BMP
+  gif: 0x3807,                              // GIF
+  png: 0x380b,                              // PNG
+  tif: 0x380d,                              // TIFF
+  tiff: 0x380d,
+  wma: 0xb901,                              // WMA
+  ogg: 0xb902,                              // OGG
+  aac: 0xb903,                              // AAC
+  flac: 0xb906,                             // FLAC
+  mp4: 0xb982,                              // MP4 Container
+  xml: 0xba82,                              // XML Document
+}
+const MTP_ROOT_PARENT = 0x00000000          // MoveObject and CopyObject address the root as 0 rather than 0xFFFFFFFF
 
 // MTP Response codes
 const MTP_OK = 0x2001
+const MTP_GENERAL_ERROR = 0x2002
+const MTP_INVALID_TRANSACTION_ID = 0x2004
+const MTP_OPERATION_NOT_SUPPORTED = 0x2005
+const MTP_INCOMPLETE_TRANSFER = 0x2007
 const SESSION_ALREADY_OPEN = 0x201e
+const MTP_TRANSACTION_CANCELLED = 0x201f
+
+// MTP Class-specific control requests (USB Still Image Capture Device class)
+const MTP_CLASS_CANCEL_REQUEST = 0x64
+const MTP_CLASS_DEVICE_RESET = 0x66
+const MTP_CLASS_GET_DEVICE_STATUS = 0x67
+const MTP_CANCELLATION_CODE = 0x4001
 
 // General Purpose Constants
 const MTP_PACKET_MAX_SIZE = 512             // The maximum length of an MTP packet according to the specification
+const MTP_BULK_READ_SIZE = 1024 * 1024      // Largest single transferIn used while reading a long data phase
+const MTP_BULK_WRITE_SIZE = 64 * 1024       // Largest single transferOut used while sending a long data phase
+const MTP_LOG_PACKET_MAX_BYTES = 64         // Bytes of a packet written to the console by logPacket
+const MTP_STREAM_HIGH_WATER_MARK = 8 * 1024 * 1024  // Bytes a download stream buffers before pausing the device reads
+const MTP_AUDIO_BLOB_SIZE = 16 * 1024 * 1024        // Bytes of audio stored per IndexedDB blob
+const MTP_PARTIAL_OBJECT_MAX_SIZE = 0x80000000      // Bytes requested per GetPartialObject when resuming a download
+const MTP_UINT32_LIMIT = 0x100000000                // First offset GetPartialObject (32-bit) cannot address
 const MTP_CONTAINER_ARRAY_LEN = 12          // The length of the MTP container array
-const FILE_NAME_START = 65                  // Offset into header buffer for file name
+const MTP_SESSIONLESS_TRANSACTION_ID = 0    // Operations issued outside of a session use transaction ID 0
+const MTP_DEFAULT_TIMEOUT = 10000           // Milliseconds a USB transfer may stall before the transaction is cancelled
+const MTP_CANCEL_TIMEOUT = 5000             // Milliseconds to wait for the device to become ready after a cancel
+const MTP_STATUS_POLL_INTERVAL = 100        // Milliseconds between Get Device Status requests
+const MTP_DEVICE_STATUS_MAX_SIZE = 64       // Maximum length of the Get Device Status data
+const MTP_STRING_MAX_CHARS = 255           // MTP strings hold at most 255 characters including the terminator
+const MTP_EVENT_MAX_SIZE = 64               // Event containers are at most 24 bytes, read a full interrupt packet
+const MTP_EVENT_RETRY_INTERVAL = 250        // Milliseconds before reading events again after a failed interrupt transfer
 
 // JavaScript Imports
 import { format } from 'date-fns'           // Date formatting
 import Localbase from 'localbase'           // Access to IndexedDB for local storage of audio BLOBS
+import MTPError from './mtpError'           // Typed errors carrying the MTP response code
+import { MTP_OPERATION_NAMES, MTP_EVENT_NAMES, codeName } from './mtpCodes'   // Readable operation and event names
+import MTPTrace from './mtpTrace'           // Ring buffer of the containers exchanged
+import crc32 from './crc32'                 // Checksums of downloaded audio
 
 let dbf = new Localbase('db')               // Pointer to IndexedDB
 dbf.config.debug = false                    // Disable debug on database
@@ -150,9 +219,297 @@ class mtpPacket {
   }
 }
 
+/*
+ * @class   mtpDatasetReader
+ * @brief   Sequential little-endian reader for the datasets carried in MTP data containers (the payload
+ *          following the 12 byte container header). Strings are
+ *          encoded per the specification as a one byte character count (including the null terminator)
+ *          followed by UCS-2 characters, and arrays as a four byte element count followed by the elements.
+ *
+ */
+class mtpDatasetReader {
+  constructor(buffer, offset = 0) {
+    this.view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+    this.offset = offset
+  }
+
+  readUint8() {
+    let value = this.view.getUint8(this.offset)
+    this.offset += 1
+    return value
+  }
+
+  readUint16() {
+    let value = this.view.getUint16(this.offset, true)
+    this.offset += 2
+    return value
+  }
+
+  readUint32() {
+    let value = this.view.getUint32(this.offset, true)
+    this.offset += 4
+    return value
+  }
+
+  readUint64() {
+    let value = this.view.getBigUint64(this.offset, true)
+    this.offset += 8
+    return value
+  }
+
+  readInt8() {
+    let value = this.view.getInt8(this.offset)
+    this.offset += 1
+    return value
+  }
+
+  readInt16() {
+    let value = this.view.getInt16(this.offset, true)
+    this.offset += 2
+    return value
+  }
+
+  readInt32() {
+    let value = this.view.getInt32(this.offset, true)
+    this.offset += 4
+    return value
+  }
+
+  readInt64() {
+    let value = this.view.getBigInt64(this.offset, true)
+    this.offset += 8
+    return value
+  }
+
+  // 128-bit values (e.g. PersistentUniqueObjectIdentifier) are returned as a hex string, most significant first
+  readUint128() {
+    let low = this.readUint64()
+    let high = this.readUint64()
+    return ((high << 64n) | low).toString(16).padStart(32, "0")
+  }
+
+  /*
+   * Read a property value of the given MTP datatype. 64-bit integers are returned as Numbers like the
+   * StorageInfo capacities, arrays as JavaScript arrays of their elements.
+   */
+  readValue(dataType) {
+    if (dataType === MTP_TYPE_STR) {
+      return this.readString()
+    }
+    if (dataType & MTP_TYPE_ARRAY) {
+      let numElements = this.readUint32()
+      let result = new Array(0)
+      for (let i = 0; i < numElements; i++) {
+        result.push(this.readValue(dataType & ~MTP_TYPE_ARRAY))
+      }
+      return result
+    }
+    switch (dataType) {
+      case MTP_TYPE_INT8: return this.readInt8()
+      case MTP_TYPE_UINT8: return this.readUint8()
+      case MTP_TYPE_INT16: return this.readInt16()
+      case MTP_TYPE_UINT16: return this.readUint16()
+      case MTP_TYPE_INT32: return this.readInt32()
+      case MTP_TYPE_UINT32: return this.readUint32()
+      case MTP_TYPE_INT64: return Number(this.readInt64())
+      case MTP_TYPE_UINT64: return Number(this.readUint64())
+      case MTP_TYPE_INT128:
+      case MTP_TYPE_UINT128: return this.readUint128()
+      default:
+        throw new Error("Unsupported MTP datatype 0x" + dataType.toString(16))
+    }
+  }
+
+  readString() {
+    let numChars = this.readUint8()
+    let charCodes = new Array(0)
+    for (let i = 0; i < numChars; i++) {
+      charCodes.push(this.readUint16())
+    }
+    // Drop the null terminator and anything a device may have padded after it
+    let terminator = charCodes.indexOf(0)
+    if (terminator >= 0) {
+      charCodes = charCodes.slice(0, terminator)
+    }
+    return String.fromCharCode(...charCodes)
+  }
+
+  readUint16Array() {
+    let numElements = this.readUint32()
+    let result = new Array(0)
+    for (let i = 0; i < numElements; i++) {
+      result.push(this.readUint16())
+    }
+    return result
+  }
+
+  readUint32Array() {
+    let numElements = this.readUint32()
+    let result = new Array(0)
+    for (let i = 0; i < numElements; i++) {
+      result.push(this.readUint32())
+    }
+    return result
+  }
+}
+
+/*
+ * @class   mtpDatasetWriter
+ * @brief   Sequential little-endian writer producing the payload of an MTP data container, the counterpart
+ *          of mtpDatasetReader. The buffer grows as fields are written.
+ *
+ */
+class mtpDatasetWriter {
+  constructor() {
+    this.buffer = new ArrayBuffer(64)
+    this.view = new DataView(this.buffer)
+    this.offset = 0
+  }
+
+  reserve(length) {
+    if (this.offset + length > this.buffer.byteLength) {
+      let buffer = new ArrayBuffer(Math.max(this.buffer.byteLength * 2, this.offset + length))
+      new Uint8Array(buffer).set(new Uint8Array(this.buffer))
+      this.buffer = buffer
+      this.view = new DataView(buffer)
+    }
+  }
+
+  writeUint8(value) {
+    this.reserve(1)
+    this.view.setUint8(this.offset, value)
+    this.offset += 1
+  }
+
+  writeUint16(value) {
+    this.reserve(2)
+    this.view.setUint16(this.offset, value, true)
+    this.offset += 2
+  }
+
+  writeUint32(value) {
+    this.reserve(4)
+    this.view.setUint32(this.offset, value, true)
+    this.offset += 4
+  }
+
+  writeUint64(value) {
+    this.reserve(8)
+    this.view.setBigUint64(this.offset, BigInt(value), true)
+    this.offset += 8
+  }
+
+  writeUint128(value) {
+    let bits = BigInt("0x" + value)
+    this.writeUint64(bits & 0xffffffffffffffffn)
+    this.writeUint64(bits >> 64n)
+  }
+
+  // The counterpart of mtpDatasetReader.readValue
+  writeValue(dataType, value) {
+    if (dataType === MTP_TYPE_STR) {
+      this.writeString(value)
+      return
+    }
+    if (dataType & MTP_TYPE_ARRAY) {
+      this.writeUint32(value.length)
+      for (const element of value) {
+        this.writeValue(dataType & ~MTP_TYPE_ARRAY, element)
+      }
+      return
+    }
+    switch (dataType) {
+      case MTP_TYPE_INT8:
+      case MTP_TYPE_UINT8:
+        this.writeUint8(value & 0xff)
+        break
+      case MTP_TYPE_INT16:
+      case MTP_TYPE_UINT16:
+        this.writeUint16(value & 0xffff)
+        break
+      case MTP_TYPE_INT32:
+      case MTP_TYPE_UINT32:
+        this.writeUint32(value >>> 0)
+        break
+      case MTP_TYPE_INT64:
+      case MTP_TYPE_UINT64:
+        this.writeUint64(BigInt.asUintN(64, BigInt(value)))
+        break
+      case MTP_TYPE_INT128:
+      case MTP_TYPE_UINT128:
+        this.writeUint128(value)
+        break
+      default:
+        throw new Error("Unsupported MTP datatype 0x" + dataType.toString(16))
+    }
+  }
+
+  writeString(value) {
+    if (value === null || value === undefined || value.length === 0) {
+      this.writeUint8(0)
+      return
+    }
+    let chars = value.slice(0, MTP_STRING_MAX_CHARS - 1)
+    this.writeUint8(chars.length + 1)
+    for (let i = 0; i < chars.length; i++) {
+      this.writeUint16(chars.charCodeAt(i))
+    }
+    this.writeUint16(0)
+  }
+
+  toUint8Array() {
+    return new Uint8Array(this.buffer, 0, this.offset)
+  }
+}
+
+/*
+ * @class   deviceInfoDataset
+ * @brief   The DeviceInfo dataset is returned by GetDeviceInfo (0x1001) and describes the device identity and
+ *          the operations, events, properties and object formats it supports (MTP v1.1 section 5.1.1).
+ *
+ */
+class deviceInfoDataset {
+  constructor() {
+    this.standardVersion = 0
+    this.vendorExtensionID = 0
+    this.vendorExtensionVersion = 0
+    this.vendorExtensionDesc = ""
+    this.functionalMode = 0
+    this.operationsSupported = new Array(0)
+    this.eventsSupported = new Array(0)
+    this.devicePropertiesSupported = new Array(0)
+    this.captureFormats = new Array(0)
+    this.playbackFormats = new Array(0)
+    this.manufacturer = ""
+    this.model = ""
+    this.deviceVersion = ""
+    this.serialNumber = ""
+  }
+
+  initDatasetFromMTPData(data) {
+    let reader = new mtpDatasetReader(data)
+    this.standardVersion = reader.readUint16()
+    this.vendorExtensionID = reader.readUint32()
+    this.vendorExtensionVersion = reader.readUint16()
+    this.vendorExtensionDesc = reader.readString()
+    this.functionalMode = reader.readUint16()
+    this.operationsSupported = reader.readUint16Array()
+    this.eventsSupported = reader.readUint16Array()
+    this.devicePropertiesSupported = reader.readUint16Array()
+    this.captureFormats = reader.readUint16Array()
+    this.playbackFormats = reader.readUint16Array()
+    this.manufacturer = reader.readString()
+    this.model = reader.readString()
+    this.deviceVersion = reader.readString()
+    this.serialNumber = reader.readString()
+  }
+}
+
 /* 
  * @class   storageInfoDataset
- * @brief   The storageInfoDataset is a standard MTP Object which describes storage contained in a device.
+ * @brief   The storageInfoDataset is a standard MTP Object which describes storage contained in a device (MTP v1.1
+ *          section 5.2.2). Capacities are 64-bit on the wire; they are decoded as BigInt and kept as Numbers, which
+ *          are exact up to 8 PiB, so the dataset stays serializable for the $store and IndexedDB.
  * 
  */
 const MTP_STORAGE_TYPE_UNDEFINED = 0x0000
@@ -168,118 +525,354 @@ const MTP_ACCESS_READWRITE = 0x0000
 const MTP_ACCESS_READONLY_DELETE = 0x0001
 const MTP_ACCESS_READONLY_NODELETE = 0x0002
 
+const MTP_STORAGE_TYPE_NAMES = {
+  [MTP_STORAGE_TYPE_UNDEFINED]: "Undefined",
+  [MTP_STORAGE_TYPE_FIXED_ROM]: "Fixed ROM",
+  [MTP_STORAGE_TYPE_REMOVABLE_ROM]: "Removable ROM",
+  [MTP_STORAGE_TYPE_FIXED_RAM]: "Fixed RAM",
+  [MTP_STORAGE_TYPE_REMOVABLE_RAM]: "Removable RAM",
+}
+const MTP_FILESYSTEM_TYPE_NAMES = {
+  [MTP_FILESYSTEM_TYPE_UNDEFINED]: "Undefined",
+  [MTP_FILESYSTEM_TYPE_GENERIC_FLAT]: "Generic Flat",
+  [MTP_FILESYSTEM_TYPE_GENERIC_HIERARCHICAL]: "Generic Hierarchical",
+  [MTP_FILESYSTEM_TYPE_DCF]: "DCF",
+}
+const MTP_ACCESS_NAMES = {
+  [MTP_ACCESS_READWRITE]: "Read-write",
+  [MTP_ACCESS_READONLY_DELETE]: "Read-only with object deletion",
+  [MTP_ACCESS_READONLY_NODELETE]: "Read-only without object deletion",
+}
+
 class storageInfoDataset {
   constructor(str_id) {
     this.storageID = str_id
-    this.storageSize = 0
+    this.storageType = MTP_STORAGE_TYPE_UNDEFINED
+    this.storageTypeName = ""
+    this.filesystemType = MTP_FILESYSTEM_TYPE_UNDEFINED
+    this.filesystemTypeName = ""
+    this.accessCapability = MTP_ACCESS_READWRITE
+    this.accessCapabilityName = ""
+    this.readOnly = false                   // New objects cannot be written to the storage
+    this.deletable = true                   // Objects can be deleted from the storage
+    this.storageSize = 0                    // MaxCapacity in bytes
     this.usedSpace = 0
-    this.freeSpace = 0
-    this.storageDescLength = 0
+    this.freeSpace = 0                      // FreeSpaceInBytes
+    this.freeObjects = 0                    // FreeSpaceInObjects, 0xFFFFFFFF when not applicable
     this.storageDescription = ""
+    this.volumeLabel = ""
     this.objectInfoObjects = new Array(0)
   }
-  initDatasetFromMTPContainer(receivedBuf) {
-    // Storage Size 
-    let storageSize = 0
-    for (let i = 18; i < 26; i++) {
-      storageSize |= receivedBuf[i] << ((i - 10) * 8)
-    }
-    this.storageSize = storageSize
 
-    // Free Space
-    let freeSpace = 0
-    for (let i = 26; i < 34; i++) {
-      freeSpace |= receivedBuf[i] << ((i - 18) * 8)
-    }
-    this.freeSpace = freeSpace
+  initDatasetFromMTPData(data) {
+    let reader = new mtpDatasetReader(data)
+    this.storageType = reader.readUint16()
+    this.filesystemType = reader.readUint16()
+    this.accessCapability = reader.readUint16()
+    this.storageSize = Number(reader.readUint64())
+    this.freeSpace = Number(reader.readUint64())
+    this.freeObjects = reader.readUint32()
+    this.storageDescription = reader.readString()
+    this.volumeLabel = reader.readString()
+    this.usedSpace = this.storageSize - this.freeSpace
+
+    this.storageTypeName = MTP_STORAGE_TYPE_NAMES[this.storageType] || "Reserved"
+    this.filesystemTypeName = MTP_FILESYSTEM_TYPE_NAMES[this.filesystemType] || "Reserved"
+    this.accessCapabilityName = MTP_ACCESS_NAMES[this.accessCapability] || "Reserved"
+    this.readOnly = (this.accessCapability !== MTP_ACCESS_READWRITE)
+    this.deletable = (this.accessCapability !== MTP_ACCESS_READONLY_NODELETE)
+  }
+}
+
+/*
+ * @class   objectPropDescDataset
+ * @brief   The ObjectPropDesc dataset is returned by GetObjectPropDesc (0x9802) and describes the datatype,
+ *          access and allowed values of one object property (MTP v1.1 section 5.3.2.3). The form holds
+ *          {min, max, step} for a range, the allowed values for an enumeration, or the maximum length or
+ *          pattern of the other forms.
+ *
+ */
+const MTP_TYPE_INT8 = 0x0001
+const MTP_TYPE_UINT8 = 0x0002
+const MTP_TYPE_INT16 = 0x0003
+const MTP_TYPE_UINT16 = 0x0004
+const MTP_TYPE_INT32 = 0x0005
+const MTP_TYPE_UINT32 = 0x0006
+const MTP_TYPE_INT64 = 0x0007
+const MTP_TYPE_UINT64 = 0x0008
+const MTP_TYPE_INT128 = 0x0009
+const MTP_TYPE_UINT128 = 0x000a
+const MTP_TYPE_ARRAY = 0x4000               // Added to an integer type for an array of that type
+const MTP_TYPE_STR = 0xffff
+
+const MTP_FORM_NONE = 0x00
+const MTP_FORM_RANGE = 0x01
+const MTP_FORM_ENUMERATION = 0x02
+const MTP_FORM_DATETIME = 0x03
+const MTP_FORM_FIXED_LENGTH_ARRAY = 0x04
+const MTP_FORM_REGULAR_EXPRESSION = 0x05
+const MTP_FORM_BYTE_ARRAY = 0x06
+const MTP_FORM_LONG_STRING = 0xff
+
+// Object property codes used to populate an ObjectInfoDataset, with the datatypes the specification assigns
+const OBJECT_PROP_STORAGE_ID = 0xdc01
+const OBJECT_PROP_OBJECT_FORMAT = 0xdc02
+const OBJECT_PROP_PROTECTION_STATUS = 0xdc03
+const OBJECT_PROP_OBJECT_SIZE = 0xdc04
+const OBJECT_PROP_ASSOCIATION_TYPE = 0xdc05
+const OBJECT_PROP_ASSOCIATION_DESC = 0xdc06
+const OBJECT_PROP_OBJECT_FILE_NAME = 0xdc07
+const OBJECT_PROP_DATE_CREATED = 0xdc08
+const OBJECT_PROP_DATE_MODIFIED = 0xdc09
+const OBJECT_PROP_KEYWORDS = 0xdc0a
+const OBJECT_PROP_PARENT_OBJECT = 0xdc0b
+const OBJECT_PROP_ALL = 0xffffffff         // GetObjectPropList: return every property
+
+const MTP_OBJECT_PROP_TYPES = {
+  [OBJECT_PROP_STORAGE_ID]: MTP_TYPE_UINT32,
+  [OBJECT_PROP_OBJECT_FORMAT]: MTP_TYPE_UINT16,
+  [OBJECT_PROP_PROTECTION_STATUS]: MTP_TYPE_UINT16,
+  [OBJECT_PROP_OBJECT_SIZE]: MTP_TYPE_UINT64,
+  [OBJECT_PROP_ASSOCIATION_TYPE]: MTP_TYPE_UINT16,
+  [OBJECT_PROP_ASSOCIATION_DESC]: MTP_TYPE_UINT32,
+  [OBJECT_PROP_OBJECT_FILE_NAME]: MTP_TYPE_STR,
+  [OBJECT_PROP_DATE_CREATED]: MTP_TYPE_STR,
+  [OBJECT_PROP_DATE_MODIFIED]: MTP_TYPE_STR,
+  [OBJECT_PROP_KEYWORDS]: MTP_TYPE_STR,
+  [OBJECT_PROP_PARENT_OBJECT]: MTP_TYPE_UINT32,
+}
 
-    // Used Space
-    this.usedSpace = storageSize - freeSpace
+class objectPropDescDataset {
+  constructor() {
+    this.propertyCode = 0
+    this.dataType = 0
+    this.writable = false                   // Get/Set flag
+    this.defaultValue = null
+    this.groupCode = 0
+    this.formFlag = MTP_FORM_NONE
+    this.form = null
+  }
 
-    // Storage Description
-    this.baseAddr = 38
-    this.storageDescLength =
-      receivedBuf[this.baseAddr] |
-      (receivedBuf[this.baseAddr + 1] << 8) |
-      (receivedBuf[this.baseAddr + 2] << 16) |
-      (receivedBuf[this.baseAddr + 3] << 24)
+  initDatasetFromMTPData(data) {
+    let reader = new mtpDatasetReader(data)
+    this.propertyCode = reader.readUint16()
+    this.dataType = reader.readUint16()
+    this.writable = reader.readUint8() === 0x01
+    this.defaultValue = reader.readValue(this.dataType)
+    this.groupCode = reader.readUint32()
+    this.formFlag = reader.readUint8()
+    switch (this.formFlag) {
+      case MTP_FORM_RANGE:
+        this.form = {
+          min: reader.readValue(this.dataType),
+          max: reader.readValue(this.dataType),
+          step: reader.readValue(this.dataType)
+        }
+        break
+      case MTP_FORM_ENUMERATION: {
+        let numValues = reader.readUint16()
+        this.form = new Array(0)
+        for (let i = 0; i < numValues; i++) {
+          this.form.push(reader.readValue(this.dataType))
+        }
+        break
+      }
+      case MTP_FORM_FIXED_LENGTH_ARRAY:
+        this.form = reader.readUint16()
+        break
+      case MTP_FORM_REGULAR_EXPRESSION:
+        this.form = reader.readString()
+        break
+      case MTP_FORM_BYTE_ARRAY:
+      case MTP_FORM_LONG_STRING:
+        this.form = reader.readUint32()
+        break
+      case MTP_FORM_NONE:
+      case MTP_FORM_DATETIME:
+      default:
+        this.form = null
+    }
   }
 }
 
 /* 
  * @class   ObjectInfoDataset
- * @brief   The Object Info Dataset is a standard MTP Object which provides an overview of the core properties of an object.
+ * @brief   The Object Info Dataset is a standard MTP Object which provides an overview of the core properties of an object
+ *          (MTP v1.1 section 5.3.1). It is decoded from GetObjectInfo and encoded for SendObjectInfo. Dates are held
+ *          as JavaScript Dates and carried on the wire as "YYYYMMDDThhmmss.s" strings.
  *          
  */
-class ObjectInfoDataset {
+export class ObjectInfoDataset {
   constructor(file_id) {
-    this.containerLength = 52
-    this.container_array = new Uint8Array(this.containerLength)
-    this.container_array.fill(0)
-    this.filename_array = new Uint8Array(0)
-    this.concatArray = null
     this.fileID = file_id
+    this.storageID = 0
+    this.objectFormat = 0
+    this.protectionStatus = 0
+    this.filesize = 0                       // ObjectCompressedSize
+    this.thumbFormat = 0
+    this.thumbCompressedSize = 0
+    this.thumbPixWidth = 0
+    this.thumbPixHeight = 0
+    this.imagePixWidth = 0
+    this.imagePixHeight = 0
+    this.imageBitDepth = 0
+    this.parentObject = 0
+    this.associationType = 0
+    this.associationDesc = 0
+    this.sequenceNumber = 0
     this.fileName = ""
-    this.dateCreateLength = new Uint8Array(4)
-    this.dateCreateLength = [0, 0, 0, 0x12]
-    this.dateCreateArray = new Uint8Array(11+16+6)
-    this.dateCreateArray = [0x32, 0x0, 0x30, 0x0, 0x32, 0x0, 0x32, 0x0, 0x30, 0x0, 0x33, 0x0, 0x31, 0x0, 0x35, 0x0, 0x54, 0x0, 0x30, 0x0, 0x39, 0x0, 0x33, 0x0, 0x37, 0x0, 0x34, 0x0, 0x30, 0x0, 0x2e, 0x0, 0x30]
-    this.dateModLength = new Uint8Array(4)
-    this.dateModLength = [0, 0, 0, 0x12]
-    this.dateModArray = new Uint8Array(11+16+6)
-    this.dateModArray = [0x32, 0x0, 0x30, 0x0, 0x32, 0x0, 0x32, 0x0, 0x30, 0x0, 0x33, 0x0, 0x31, 0x0, 0x35, 0x0, 0x54, 0x0, 0x30, 0x0, 0x39, 0x0, 0x33, 0x0, 0x37, 0x0, 0x34, 0x0, 0x30, 0x0, 0x2e, 0x0, 0x30]
-    this.keywords = new Uint8Array(4)
-    this.keywords = [0, 0, 0, 0]
-  }
-
-  setFileName(filenameArray) {
-    this.fileName = bin2String(filenameArray)
-  }
-
-  initContainer(objectFormat, objectCompressedSize, associationType, associationDesc, filename) {
-    // File Name 
-    this.filename_array = new Uint8Array(filename.length * 2)
-    this.fileName = filename
-    let j = 0
-    for (let i = 0; j < filename.length; i += 2) {
-      if (i === 0) {
-        this.filename_array[i] = filename.length + 1
-        // RDR this.filename_array[i] = filename.length
-      } else {
-        this.filename_array[i] = 0
-      }
-      this.filename_array[i + 1] = filename.charCodeAt(j)
-      j++
-    }
+    this.dateCreated = null
+    this.dateModified = null
+    this.keywords = ""
+    this.infoLoaded = false                 // TRUE once GetObjectInfo has populated the fields above
+    this.children = null                    // Child ObjectInfoDatasets of a folder, loaded on demand
+  }
 
-    // Object Format
-    for (let i = 4; i < 6; i++) {
-      this.container_array[i] = (objectFormat >> ((i - 8) * 8)) & 0xff
-    }
+  isFolder() {
+    return this.objectFormat === OBJECT_FORMAT_ASSOCIATION
+  }
+
+  initDatasetFromMTPData(data) {
+    let reader = new mtpDatasetReader(data)
+    this.storageID = reader.readUint32()
+    this.objectFormat = reader.readUint16()
+    this.protectionStatus = reader.readUint16()
+    this.filesize = reader.readUint32()
+    this.thumbFormat = reader.readUint16()
+    this.thumbCompressedSize = reader.readUint32()
+    this.thumbPixWidth = reader.readUint32()
+    this.thumbPixHeight = reader.readUint32()
+    this.imagePixWidth = reader.readUint32()
+    this.imagePixHeight = reader.readUint32()
+    this.imageBitDepth = reader.readUint32()
+    this.parentObject = reader.readUint32()
+    this.associationType = reader.readUint16()
+    this.associationDesc = reader.readUint32()
+    this.sequenceNumber = reader.readUint32()
+    this.fileName = reader.readString()
+    this.dateCreated = parseMTPDateTime(reader.readString())
+    this.dateModified = parseMTPDateTime(reader.readString())
+    this.keywords = reader.readString()
+    this.infoLoaded = true
+  }
 
-    // Object Size (bytes)
-    for (let i = 8; i < MTP_CONTAINER_ARRAY_LEN; i++) {
-      this.container_array[i] = (objectCompressedSize >> ((i - MTP_CONTAINER_ARRAY_LEN) * 8)) & 0xff
+  /*
+   * Set the field matching an object property, as read by GetObjectPropValue or GetObjectPropList.
+   * ObjectSize is 64-bit, so it also corrects the 0xFFFFFFFF ObjectInfo reports for objects over 4 GiB.
+   */
+  applyObjectProp(propCode, value) {
+    switch (propCode) {
+      case OBJECT_PROP_STORAGE_ID: this.storageID = value; break
+      case OBJECT_PROP_OBJECT_FORMAT: this.objectFormat = value; break
+      case OBJECT_PROP_PROTECTION_STATUS: this.protectionStatus = value; break
+      case OBJECT_PROP_OBJECT_SIZE: this.filesize = value; break
+      case OBJECT_PROP_ASSOCIATION_TYPE: this.associationType = value; break
+      case OBJECT_PROP_ASSOCIATION_DESC: this.associationDesc = value; break
+      case OBJECT_PROP_OBJECT_FILE_NAME: this.fileName = value; break
+      case OBJECT_PROP_DATE_CREATED: this.dateCreated = parseMTPDateTime(value); break
+      case OBJECT_PROP_DATE_MODIFIED: this.dateModified = parseMTPDateTime(value); break
+      case OBJECT_PROP_KEYWORDS: this.keywords = value; break
+      case OBJECT_PROP_PARENT_OBJECT: this.parentObject = value; break
     }
+  }
+
+  toMTPData() {
+    let writer = new mtpDatasetWriter()
+    writer.writeUint32(this.storageID)
+    writer.writeUint16(this.objectFormat)
+    writer.writeUint16(this.protectionStatus)
+    writer.writeUint32(Math.min(this.filesize, MTP_UINT32_LIMIT - 1))    // 0xFFFFFFFF for objects over 4 GiB
+    writer.writeUint16(this.thumbFormat)
+    writer.writeUint32(this.thumbCompressedSize)
+    writer.writeUint32(this.thumbPixWidth)
+    writer.writeUint32(this.thumbPixHeight)
+    writer.writeUint32(this.imagePixWidth)
+    writer.writeUint32(this.imagePixHeight)
+    writer.writeUint32(this.imageBitDepth)
+    writer.writeUint32(this.parentObject)
+    writer.writeUint16(this.associationType)
+    writer.writeUint32(this.associationDesc)
+    writer.writeUint32(this.sequenceNumber)
+    writer.writeString(this.fileName)
+    writer.writeString(formatMTPDateTime(this.dateCreated))
+    writer.writeString(formatMTPDateTime(this.dateModified))
+    writer.writeString(this.keywords)
+    return writer.toUint8Array()
+  }
+}
+
+/*
+ * @class   mtpQueue
+ * @brief   Runs tasks one at a time in the order they were queued. A task queued with priority goes ahead of
+ *          every waiting task without priority; a task whose AbortSignal fires while it waits is dropped and
+ *          rejects with Transaction Cancelled. onChange(queue) is called whenever a task is queued, starts or ends.
+ *
+ */
+class mtpQueue {
+  constructor(onChange = null) {
+    this.waiting = new Array(0)             // Tasks not yet started: { name, task, priority, resolve, reject }
+    this.running = null                     // The task in progress
+    this.onChange = onChange
+  }
 
-    // RDR - MISSING 13 TO 41 FROM PACKET ANALYSIS - the following value was reverse engineered from working protocol
-    this.container_array[13] = 0x30
+  run(name, task, options = {}) {
+    return new Promise((resolve, reject) => {
+      let entry = { name: name, task: task, priority: options.priority === true, resolve: resolve, reject: reject, onAbort: null }
+      if (options.signal) {
+        if (options.signal.aborted) {
+          reject(new MTPError(MTP_TRANSACTION_CANCELLED, options.operation || UNDEFINED_OPERATION, 0, name + " cancelled before it started"))
+          return
+        }
+        entry.onAbort = () => {
+          if (this.waiting.includes(entry)) {
+            this.waiting = this.waiting.filter((element) => element !== entry)
+            this.changed()
+            reject(new MTPError(MTP_TRANSACTION_CANCELLED, options.operation || UNDEFINED_OPERATION, 0, name + " cancelled before it started"))
+          }
+        }
+        options.signal.addEventListener("abort", entry.onAbort)
+        entry.signal = options.signal
+      }
+      if (entry.priority) {
+        let index = this.waiting.findIndex((element) => !element.priority)
+        this.waiting.splice(index < 0 ? this.waiting.length : index, 0, entry)
+      } else {
+        this.waiting.push(entry)
+      }
+      this.changed()
+      this.next()
+    })
+  }
 
-    // Association Type 
-    for (let i = 42; i < 44; i++) {
-      this.container_array[i] = (associationType >> ((i - 42) * 8)) & 0xff
+  next() {
+    if (this.running !== null || this.waiting.length === 0) {
+      return
+    }
+    let entry = this.waiting.shift()
+    if (entry.onAbort !== null) {
+      entry.signal.removeEventListener("abort", entry.onAbort)
     }
+    this.running = entry
+    this.changed()
+    Promise.resolve().then(() => entry.task()).then(entry.resolve, entry.reject).finally(() => {
+      this.running = null
+      this.changed()
+      this.next()
+    })
+  }
 
-    // Association Description
-    for (let i = 44; i < 48; i++) {
-      this.container_array[i] = (associationDesc >> ((i - 44) * 8)) & 0xff
+  changed() {
+    if (this.onChange !== null) {
+      this.onChange(this)
     }
   }
 }
 
 /*
  * @class   MTPDevice
- * @brief   This class implements the MTP protocol for a single attached USB Device.
+ * @brief   This class implements the MTP protocol for a single attached USB Device. Every operation rejects
+ *          with an MTPError when the transaction fails, and accepts a trailing options object with a
+ *          per-transfer timeout (milliseconds) and an AbortSignal (see transaction).
  * 
  */
 export default class MTPDevice {
@@ -289,12 +882,24 @@ export default class MTPDevice {
     this.interfaceNumber = 0                   // The MTP interface Number
     this.endpointIn = 0                        // MTP Endpoint for Input (receive)
     this.endpointOut = 0                       // MTP EndPoint to Output (transmit)
+    this.packetSizeOut = MTP_PACKET_MAX_SIZE   // wMaxPacketSize of the output endpoint
     this.sessionOpen = false                   // Pointer to MTP Session
     this.sessionID = 1                         // MTP Session ID
     this.storageInfoObjects = new Array(0)     // Array of MTP StorageInfo Objects
     this.objectInfoObjects = new Array(0)      // Array of MTP ObjectInfo Objects
     this.transactionID = 0                     // The MTP Transaction ID for the current Session
-    this.SerialNumber = null                   // SerialNumber is a extension to the standard MTP (Devices do not use hard-coded Serial Numbers)
+    this.deviceInfo = null                     // MTP DeviceInfo dataset returned by GetDeviceInfo
+    this.recovering = false                    // TRUE while a failed transaction is being cancelled
+    this.pendingInput = null                   // Bytes of a bulk in transfer past the end of the container read
+    this.SerialNumber = null                   // Serial Number reported in the MTP DeviceInfo dataset
+    this.endpointEvent = 0                     // MTP Endpoint for Events (interrupt)
+    this.eventLoopRunning = false              // TRUE while the interrupt endpoint is being read
+    this.eventListeners = new Array(0)         // Functions subscribed to decoded MTP events
+    this.objectPropListUsable = true           // FALSE once a GetObjectPropList enumeration has failed
+    this.trace = new MTPTrace()                // Containers sent and received, for the Diagnostic tab
+    this.transactionQueue = new mtpQueue()     // Gives each transaction exclusive use of the bulk endpoints
+    this.operationQueue = new mtpQueue(() => this.emitQueueState())   // Application operations, see runOperation
+    this.queueListeners = new Array(0)         // Functions subscribed to changes of the operation queue
   }
 
   /*
@@ -311,6 +916,7 @@ export default class MTPDevice {
       elementalt.endpoints.forEach((elementendpoint) => {
         if (elementendpoint.direction === "out" && elementendpoint.type === "bulk") {
           this.endpointOut = elementendpoint.endpointNumber
+          this.packetSizeOut = elementendpoint.packetSize || MTP_PACKET_MAX_SIZE
           console.log("MTPDevice.getEndPoints Output Endpoint (bulk):", this.endpointOut)
         }
         if (elementendpoint.direction === "in" && elementendpoint.type === "bulk") {
@@ -318,178 +924,670 @@ export default class MTPDevice {
           console.log("MTPDevice.getEndPoints Input Endpoint (bulk):", this.endpointIn)
         }
         if (elementendpoint.direction === "in" && elementendpoint.type === "interrupt") {
-          //this.endpointIn = elementendpoint.endpointNumber
-          console.log("MTPDevice.getEndPoints Input Endpoint (interrupt):", elementendpoint.endpointNumber)
+          this.endpointEvent = elementendpoint.endpointNumber
+          console.log("MTPDevice.getEndPoints Input Endpoint (interrupt):", this.endpointEvent)
         }
       })
     })
   }
 
   /*
-   * @method  receivePackets
-   * @brief   Process packets received
-   * 
-   * NOTE: This routine needs a timeout to break the loop
-   * 
+   * @method  subscribe
+   * @brief   Register a function to be called with every event the device reports, as listener(event, device).
+   *          Returns a function that removes the subscription.
+   *
    */
-  receivePackets(device, no_of_packets) {
-    let receivedBuffer = new Array(0)
-    let i = 0
-    return new Promise((resolve) => {
-      while (true) {
-        if (i === no_of_packets) {
-          Promise.all(receivedBuffer).then(() => {
-            let rawData = new Array(0)
-            for (let i = 0; i < no_of_packets; i++) {
-              receivedBuffer[i].then((result) => {
-                rawData.push(result)
-              })
-            }
-            resolve(rawData)
-          })
-          break
-        } else {
-          i++
-          receivedBuffer.push(this.getPacket(device))
-          console.log("MTP.receivedPackets RAW:", receivedBuffer)
-        }
-      }
-    })
+  subscribe(listener) {
+    this.eventListeners.push(listener)
+    return () => {
+      this.eventListeners = this.eventListeners.filter((element) => element !== listener)
+    }
   }
 
   /*
-   * @method  getPacket
-   * @brief   Read a Packet directly from the Device USB
-   * 
+   * @method  emitEvent
+   * @brief   Pass a decoded event to every subscriber. A failing subscriber is logged and does not stop
+   *          the others or the event loop.
+   *
    */
-  getPacket(device) {
-    return new Promise((resolve) => {
-      device.device.transferIn(device.endpointIn, MTP_PACKET_MAX_SIZE).then((result) => {
-        resolve(new Uint8Array(result.data.buffer))
+  emitEvent(event) {
+    for (const listener of this.eventListeners) {
+      Promise.resolve().then(() => listener(event, this)).catch((err) => {
+        console.log("MTPDevice.emitEvent subscriber failed on", event.name, err)
       })
-    })
+    }
   }
 
   /*
-   * @method  openSession
-   * @brief   Open the MTP Session for communication. The MTP Command is 0x1002.
-   * 
-   * Protocol (original WebUSB)
-   * 0000   1b 00 e0 38 b2 26 86 8e ff ff 00 00 00 00 09 00   ...8.&..........
-   * 0010   00 01 00 33 00 01 03 20 00 00 00 20 00 00 00 01   ...3... ... ....
-   * 0020   00 02 10 01 00 00 00 00 00 00 00 01 00 00 00 00   ................
-   * 0030   00 00 00 00 00 00 00 00 00 00 00                  ...........
+   * @method  runOperation
+   * @brief   Run an application operation made of several transactions (a download, a settings upload, a
+   *          refresh) after the operations queued before it, so that two of them never mix on the device.
+   *          options.priority puts it ahead of the waiting operations (eject, cancel); options.signal drops it
+   *          while it is still waiting. Returns the result of task().
    *
-   * Packet Length: 0x20
-   * Packet Type:   0x01    (Command packet)
-   * Operation:     0x1002  (Open Session)
-   * Transaction:   0x01
-   * SessionID:     0x00
-   * Unknown Parm:  0x01
-   * 
-   * Protocol (new version, this code was revised to match the Windows MTP Driver)
-   * 0000   1b 00 e0 48 b4 26 86 8e ff ff 00 00 00 00 09 00   ...H.&..........
-   * 0010   00 01 00 36 00 01 03 10 00 00 00 10 00 00 00 01   ...6............
-   * 0020   00 02 10 00 00 00 00 01 00 00 00                    ...........
+   */
+  runOperation(name, task, options = {}) {
+    return this.operationQueue.run(name, task, options)
+  }
+
+  /*
+   * @method  queueState
+   * @brief   The operation in progress (its name or null), the number of operations waiting and their names
    *
-   * Packet Length: 0x20
-   * Packet Type:   0x01    (Command packet)
-   * Operation:     0x1002  (Open Session)
-   * Transaction:   0x00
-   * SessionID:     0x01
+   */
+  queueState() {
+    return {
+      currentOperation: (this.operationQueue.running !== null) ? this.operationQueue.running.name : null,
+      queueDepth: this.operationQueue.waiting.length,
+      queuedOperations: this.operationQueue.waiting.map((entry) => entry.name)
+    }
+  }
+
+  /*
+   * @method  subscribeQueue
+   * @brief   Register a function to be called with queueState() whenever an operation is queued, starts or
+   *          ends. Returns a function that removes the subscription.
    *
-   * Response Packet:
-   * 0000   1b 00 60 79 dd 1f 86 8e ff ff 00 00 00 00 09 00   ..`y............
-   * 0010   01 01 00 36 00 81 03 0c 00 00 00 0c 00 00 00 03   ...6............
-   * 0020   00 01 20 00 00 00 00                              .. ....
-   * 
-   * Packet Length: 0x0c
-   * Packet Type:   0x03    (Response packet)
-   * Response Code: 0x2001  (MTP_OK - No errors)
-   * Transaction:   0x00
-   * 
    */
-  async openSession() {
-    let device = this
-    let promise = new Promise(function(resolve) {
-      device.device.transferIn(device.endpointIn, MTP_PACKET_MAX_SIZE).then((result) => {
-        let receivedBuffer = new Uint8Array(result.data.buffer)
-        device.logPacket("MTPDevice.openSession", receivedBuffer)
-        // Confirm successful response from device
-        if ((((receivedBuffer[7] << 8) | receivedBuffer[6]) === MTP_OK) || 
-            (((receivedBuffer[7] << 8) | receivedBuffer[6]) === SESSION_ALREADY_OPEN)) {
-          console.log("OpenSession transaction: ", device.transactionID, receivedBuffer[8])
-          device.sessionOpen = true
-          resolve(true)
-        } else {
-          device.sessionOpen = false
-          throw "Unhandled exception when opening session."
+  subscribeQueue(listener) {
+    this.queueListeners.push(listener)
+    return () => {
+      this.queueListeners = this.queueListeners.filter((element) => element !== listener)
+    }
+  }
+
+  emitQueueState() {
+    let state = this.queueState()
+    for (const listener of this.queueListeners) {
+      try {
+        listener(state, this)
+      } catch (err) {
+        console.log("MTPDevice.emitQueueState subscriber failed", err)
+      }
+    }
+  }
+
+  /*
+   * @method  startEventLoop
+   * @brief   Read event containers from the interrupt endpoint in the background until stopEventLoop is
+   *          called or the device is closed. Does nothing when the interface has no interrupt endpoint.
+   *
+   */
+  startEventLoop() {
+    if (this.endpointEvent === 0 || this.eventLoopRunning) {
+      return
+    }
+    this.eventLoopRunning = true
+    this.readEvents()
+  }
+
+  /*
+   * @method  stopEventLoop
+   * @brief   Stop reading events. A pending interrupt transfer cannot be withdrawn, so the loop ends
+   *          when it completes or when the device is closed.
+   *
+   */
+  stopEventLoop() {
+    this.eventLoopRunning = false
+  }
+
+  /*
+   * @method  readEvents
+   * @brief   The event loop started by startEventLoop. The interrupt transfer fails while the interface is
+   *          released to cancel a transaction, in which case it is simply retried.
+   *
+   */
+  async readEvents() {
+    while (this.eventLoopRunning) {
+      let result = null
+      try {
+        result = await this.device.transferIn(this.endpointEvent, MTP_EVENT_MAX_SIZE)
+      } catch (err) {
+        if (!this.eventLoopRunning || !this.device.opened) {
+          break
         }
-        })
-      .catch((err) => {
-        console.log("MTPDevice.openSession Error opening session. ", err)
-        resolve(false)
-      })
-    })
-    let openSession = new mtpPacket(1)
-    openSession.setTransactionType(MTP_PACKET_TYPE_COMMAND)
-    openSession.setOperation(MTP_OPEN_SESSION)
-    openSession.setTransactionID(this.transactionID)
-    openSession.setParams(this.sessionID, 0, 0, 0, 0)
-    openSession.pack()
-    await this.sendPacket(openSession.container_array)
-    return promise
+        await this.sleep(MTP_EVENT_RETRY_INTERVAL)
+        continue
+      }
+      if (!this.eventLoopRunning) {
+        break
+      }
+      if (result.status === "stall") {
+        await this.device.clearHalt("in", this.endpointEvent)
+        continue
+      }
+      if (result.status !== "ok") {
+        continue
+      }
+      let packet = new Uint8Array(result.data.buffer, result.data.byteOffset, result.data.byteLength)
+      let event = decodeEvent(packet)
+      if (event !== null) {
+        this.trace.record("in", this.endpointEvent, packet)
+        console.log("MTPDevice.readEvents", event.name, event.params)
+        this.emitEvent(event)
+      }
+    }
+    this.eventLoopRunning = false
+    console.log("MTPDevice.readEvents Event loop stopped for", this.SerialNumber)
   }
 
   /*
-   * @method  closeSession
-   * @brief   Close the MTP Session (soft-eject device)
-   * 
+   * @method  guardTransfer
+   * @brief   Race a pending USB transfer against the transaction timeout and AbortSignal. The transfer
+   *          itself cannot be withdrawn, so a cancelled or timed out transaction must be followed by
+   *          cancelTransaction to bring the device and the interface back to a known state.
+   *
    */
-  async closeSession() {
-    let device = this
-    let disconnectPromise = new Promise(function(resolve) {
-      device.device.transferIn(device.endpointIn, MTP_PACKET_MAX_SIZE).then((result) => {
-        let receivedBuffer = new Uint8Array(result.data.buffer)
-        device.logPacket("MTPDevice.closeSession", receivedBuffer)
-        // Confirm successful response from device
-        if (((receivedBuffer[7] << 8) | receivedBuffer[6]) === MTP_OK) {
-          device.sessionOpen = false
-          resolve(true)
-        } else {
-          throw "Unhandled exception when closing session."
+  guardTransfer(transfer, context) {
+    return new Promise((resolve, reject) => {
+      let onAbort = () => {
+        finish()
+        reject(new MTPError(MTP_TRANSACTION_CANCELLED, context.operation, context.transactionID, "cancelled by host"))
+      }
+      let timer = setTimeout(() => {
+        finish()
+        reject(new MTPError(MTP_INCOMPLETE_TRANSFER, context.operation, context.transactionID,
+          "no response within " + context.timeout + " ms"))
+      }, context.timeout)
+      let finish = () => {
+        clearTimeout(timer)
+        if (context.signal) {
+          context.signal.removeEventListener("abort", onAbort)
         }
-      })
-      .catch((err) => {
-        console.log("MTPDevice.closeSession Error closing session.", err)
-        resolve(false)
+      }
+      if (context.signal) {
+        if (context.signal.aborted) {
+          onAbort()
+          return
+        }
+        context.signal.addEventListener("abort", onAbort)
+      }
+      transfer.then((result) => {
+        finish()
+        resolve(result)
+      }, (err) => {
+        finish()
+        reject(err)
       })
     })
-    // Close the session
-    let closeSessionRequest = new mtpPacket(0)
-    closeSessionRequest.setOperation(CLOSE_SESSION)
-    closeSessionRequest.setTransactionType(MTP_PACKET_TYPE_COMMAND)
-    closeSessionRequest.setTransactionID(++this.transactionID)
-    closeSessionRequest.pack()
-    this.device.transferOut(this.endpointOut, closeSessionRequest.container_array)
-    return disconnectPromise
   }
 
   /*
-   * @method  getStorageIDS
-   * @brief   Retrieve all of the Storage IDs from the device.
+   * @method  getPacket
+   * @brief   Read a Packet directly from the Device USB
    * 
-   * Protocol:
-   * 0000   1b 00 e0 88 e6 22 86 8e ff ff 00 00 00 00 09 00   ....."..........
-   * 0010   00 01 00 36 00 01 03 0c 00 00 00 0c 00 00 00 01   ...6............
-   * 0020   00 04 10 00 00 00 00                              .......
+   */
+  async getPacket(device, context, length = MTP_PACKET_MAX_SIZE) {
+    let result = await device.guardTransfer(device.device.transferIn(device.endpointIn, length), context)
+    if (result.status !== "ok") {
+      throw new MTPError(MTP_INCOMPLETE_TRANSFER, context.operation, context.transactionID, "bulk in transfer " + result.status)
+    }
+    return new Uint8Array(result.data.buffer, result.data.byteOffset, result.data.byteLength)
+  }
+
+  /*
+   * @method  receiveContainer
+   * @brief   Read a complete MTP container from the device, reading as many packets as the container
+   *          length in the first packet declares. Zero length packets terminating a previous transfer
+   *          that ended on a packet boundary are skipped.
    *
-   *  Packet Length:  0x0c
-   *  Packet Type:    0x01      (MTP Command)
-   *  Operation:      0x1004    (Get Storage IDs)
-   *  Transaction:    0x00
-   * 
-   * Response Packet:
+   *          When a dataHandler is supplied the payload of a data container is passed to it chunk by chunk
+   *          as dataHandler(chunk, payloadLength) instead of being collected in memory. The handler may
+   *          return a promise to hold off further reads. After the first packet the payload is read in
+   *          transfers of up to MTP_BULK_READ_SIZE, always a whole number of packets.
+   *
+   *          A device may complete two short containers in one transfer, as the recorder does with a late
+   *          SendObjectInfo response and the SendObject response. The bytes after the end of the container are
+   *          kept in pendingInput and read first by the next call.
+   *
+   */
+  async receiveContainer(context, dataHandler = null) {
+    let firstPacket = this.pendingInput || await this.getPacket(this, context)
+    this.pendingInput = null
+    while (firstPacket.length === 0) {
+      firstPacket = await this.getPacket(this, context)
+    }
+    if (firstPacket.length < MTP_CONTAINER_ARRAY_LEN) {
+      throw new MTPError(MTP_INCOMPLETE_TRANSFER, context.operation, context.transactionID, "received a truncated MTP container")
+    }
+    let header = new DataView(firstPacket.buffer, firstPacket.byteOffset, MTP_CONTAINER_ARRAY_LEN)
+    let container = {
+      length: header.getUint32(0, true),
+      type: header.getUint16(4, true),
+      code: header.getUint16(6, true),
+      transactionID: header.getUint32(8, true),
+      params: new Array(0),
+      payload: null
+    }
+    this.trace.record("in", this.endpointIn, firstPacket, container.length)
+    let payloadLength = container.length - MTP_CONTAINER_ARRAY_LEN
+    let streamPayload = (dataHandler !== null && container.type === CONTAINER_TYPE_DATA &&
+                         container.transactionID === context.transactionID)
+    let payload = streamPayload ? null : new Uint8Array(payloadLength)
+    let received = 0
+
+    let storePacket = async (packet) => {
+      let chunk = packet.subarray(0, Math.min(packet.length, payloadLength - received))
+      received += chunk.length
+      if (chunk.length < packet.length) {
+        this.pendingInput = packet.slice(chunk.length)
+      }
+      if (streamPayload) {
+        await dataHandler(chunk, payloadLength)
+      } else {
+        payload.set(chunk, received - chunk.length)
+      }
+    }
+
+    await storePacket(firstPacket.subarray(MTP_CONTAINER_ARRAY_LEN))
+    while (received < payloadLength) {
+      let remaining = Math.ceil((payloadLength - received) / MTP_PACKET_MAX_SIZE) * MTP_PACKET_MAX_SIZE
+      let packet = await this.getPacket(this, context, Math.min(remaining, MTP_BULK_READ_SIZE))
+      if (packet.length === 0) {
+        throw new MTPError(MTP_INCOMPLETE_TRANSFER, context.operation, context.transactionID,
+          "container ended after " + received + " of " + payloadLength + " bytes")
+      }
+      await storePacket(packet)
+    }
+
+    if (container.type === CONTAINER_TYPE_RESPONSE) {
+      let reader = new mtpDatasetReader(payload)
+      while (reader.offset + 4 <= payloadLength) {
+        container.params.push(reader.readUint32())
+      }
+    }
+    container.payload = payload
+    this.logPacket("MTPDevice.receiveContainer:", firstPacket)
+    return container
+  }
+
+  /*
+   * @method  sendDataContainer
+   * @brief   Send the data phase of a transaction from host to device. data is a Uint8Array or a Blob (or
+   *          File), which is read slice by slice so that large files are never held in memory. The container
+   *          is sent in transfers of whole endpoint packets, up to MTP_BULK_WRITE_SIZE each, with the header
+   *          sharing the first transfer with the start of the payload. A zero length packet terminates a
+   *          container that ends exactly on a packet boundary. context.onProgress(sentBytes, totalBytes) is
+   *          called after every transfer.
+   *
+   */
+  async sendDataContainer(context, data) {
+    let totalBytes = (data instanceof Blob) ? data.size : data.length
+    let containerLength = MTP_CONTAINER_ARRAY_LEN + totalBytes
+    // The header is written here rather than by mtpPacket, whose pack() runs up to the declared length
+    let header = new Uint8Array(MTP_CONTAINER_ARRAY_LEN)
+    let headerView = new DataView(header.buffer)
+    // Containers over 4 GiB declare a length of 0xFFFFFFFF and are delimited by the short packet instead
+    headerView.setUint32(0, Math.min(containerLength, MTP_UINT32_LIMIT - 1), true)
+    headerView.setUint16(4, CONTAINER_TYPE_DATA, true)
+    headerView.setUint16(6, context.operation, true)
+    headerView.setUint32(8, context.transactionID, true)
+
+    let readData = async (start, length) => {
+      if (data instanceof Blob) {
+        return new Uint8Array(await data.slice(start, start + length).arrayBuffer())
+      }
+      return data.subarray(start, start + length)
+    }
+
+    let transferSize = Math.max(1, Math.floor(MTP_BULK_WRITE_SIZE / this.packetSizeOut)) * this.packetSizeOut
+    let position = 0
+    while (position < containerLength) {
+      let chunk = new Uint8Array(Math.min(transferSize, containerLength - position))
+      let headerLength = 0
+      if (position === 0) {
+        chunk.set(header)
+        headerLength = MTP_CONTAINER_ARRAY_LEN
+      }
+      let dataStart = position + headerLength - MTP_CONTAINER_ARRAY_LEN
+      chunk.set(await readData(dataStart, chunk.length - headerLength), headerLength)
+      await this.sendPacket(chunk, context, false)
+      if (position === 0) {
+        this.trace.record("out", this.endpointOut, chunk, containerLength)
+      }
+      position += chunk.length
+      if (context.onProgress) {
+        context.onProgress(position - MTP_CONTAINER_ARRAY_LEN, totalBytes)
+      }
+    }
+    if (containerLength % this.packetSizeOut === 0) {
+      await this.sendPacket(new Uint8Array(0), context, false)
+    }
+  }
+
+  /*
+   * @method  transaction
+   * @brief   Run a single MTP transaction: send the command container and optional data phase, then read
+   *          containers by their declared length until the response container arrives. Every container
+   *          must carry the transaction ID of the command; containers from earlier (cancelled) transactions
+   *          are discarded. Any failure, including a response code other
+   *          than OK (or one listed in options.acceptResponses), rejects with an MTPError.
+   *
+   *          A transfer that stalls for longer than options.timeout, or an abort of options.signal, cancels
+   *          the transaction on the device (see cancelTransaction) and rejects with Transaction Cancelled
+   *          or Incomplete Transfer.
+   *
+   *          Transactions run one at a time in the order they were issued, whatever mix of callers issues
+   *          them; the transaction ID is assigned when a transaction leaves the queue. A transaction whose
+   *          signal aborts while it waits is dropped without touching the device.
+   *
+   * @parms   operation - The MTP Operation code
+   *          params    - Up to 5 command parameters
+   *          options   - data: Uint8Array or Blob payload for a host to device data phase
+   *                      onProgress: called as (sentBytes, totalBytes) while the data phase is sent
+   *                      onData: handler receiving a device to host data phase chunk by chunk
+   *                      transactionID: overrides the next session transaction ID
+   *                      acceptResponses: response codes treated as success (default MTP_OK)
+   *                      timeout: milliseconds any single transfer may take (default MTP_DEFAULT_TIMEOUT)
+   *                      signal: AbortSignal cancelling the transaction
+   *                      recovery: bypasses the queue; only for cancelTransaction, which runs inside a transaction
+   * @returns {responseCode, params, data} where data is the device to host payload or null
+   *
+   */
+  async transaction(operation, params = [], options = {}) {
+    if (!this.supportsOperation(operation)) {
+      throw new MTPError(MTP_OPERATION_NOT_SUPPORTED, operation, 0, "not advertised in DeviceInfo")
+    }
+    if (options.signal && options.signal.aborted) {
+      throw new MTPError(MTP_TRANSACTION_CANCELLED, operation, 0, "cancelled by host")
+    }
+    if (options.recovery) {
+      // Issued while cancelTransaction recovers from a failed transaction, which still holds the queue
+      return this.runTransaction(operation, params, options)
+    }
+    return this.transactionQueue.run(codeName(MTP_OPERATION_NAMES, operation), () => this.runTransaction(operation, params, options), {
+      signal: options.signal,
+      operation: operation
+    })
+  }
+
+  /*
+   * @method  runTransaction
+   * @brief   The body of transaction, run once the transaction queue has reached it
+   *
+   */
+  async runTransaction(operation, params, options) {
+    let transactionID = (options.transactionID !== undefined) ? options.transactionID : ++this.transactionID
+    let acceptResponses = options.acceptResponses || [MTP_OK]
+    let context = {
+      operation: operation,
+      transactionID: transactionID,
+      timeout: options.timeout || MTP_DEFAULT_TIMEOUT,
+      signal: options.signal || null,
+      onProgress: options.onProgress || null
+    }
+    let result = null
+    try {
+      let command = new mtpPacket(params.length)
+      command.setTransactionType(MTP_PACKET_TYPE_COMMAND)
+      command.setOperation(operation)
+      command.setTransactionID(transactionID)
+      command.setParams(...params)
+      command.pack()
+      await this.sendPacket(command.container_array, context)
+      this.trace.record("out", this.endpointOut, command.container_array)
+
+      if (options.data) {
+        await this.sendDataContainer(context, options.data)
+      }
+
+      let data = null
+      while (result === null) {
+        let container = await this.receiveContainer(context, options.onData || null)
+        if (container.transactionID < transactionID) {
+          // Left over from an earlier transaction that was cancelled after the device had queued it
+          console.log("MTPDevice.transaction Discarding stale container for transaction", container.transactionID)
+          continue
+        }
+        if (container.transactionID !== transactionID) {
+          throw new MTPError(MTP_INVALID_TRANSACTION_ID, operation, transactionID,
+            "received a container for transaction " + container.transactionID)
+        }
+        if (container.type === CONTAINER_TYPE_DATA) {
+          data = container.payload
+        } else if (container.type === CONTAINER_TYPE_RESPONSE) {
+          result = { responseCode: container.code, params: container.params, data: data }
+        } else {
+          throw new MTPError(MTP_GENERAL_ERROR, operation, transactionID, "unexpected container type " + container.type)
+        }
+      }
+    } catch (err) {
+      let error = err
+      if (!(err instanceof MTPError)) {
+        error = new MTPError(MTP_GENERAL_ERROR, operation, transactionID, err.message || String(err))
+      }
+      // The transaction did not complete, so the device may still be sending or expecting data
+      if (!this.recovering) {
+        try {
+          await this.cancelTransaction(transactionID)
+        } catch (cancelErr) {
+          console.log("MTPDevice.transaction Unable to recover from failed transaction.", cancelErr)
+        }
+      }
+      throw error
+    }
+    if (!acceptResponses.includes(result.responseCode)) {
+      throw new MTPError(result.responseCode, operation, transactionID)
+    }
+    return result
+  }
+
+  /*
+   * @method  controlRequest
+   * @brief   Issue an MTP class-specific control request to the interface. Returns the USB transfer result.
+   *
+   */
+  async controlRequest(request, data = undefined) {
+    let setup = {
+      requestType: "class",
+      recipient: "interface",
+      request: request,
+      value: 0,
+      index: this.interfaceNumber
+    }
+    let context = { operation: 0, transactionID: this.transactionID, timeout: MTP_CANCEL_TIMEOUT, signal: null }
+    if (request === MTP_CLASS_GET_DEVICE_STATUS) {
+      return this.guardTransfer(this.device.controlTransferIn(setup, MTP_DEVICE_STATUS_MAX_SIZE), context)
+    }
+    return this.guardTransfer(this.device.controlTransferOut(setup, data), context)
+  }
+
+  /*
+   * @method  getDeviceStatus
+   * @brief   Get Device Status (0x67) class request. Returns the status code (an MTP response code) and the
+   *          addresses of any endpoints the device has halted.
+   *
+   */
+  async getDeviceStatus() {
+    let result = await this.controlRequest(MTP_CLASS_GET_DEVICE_STATUS)
+    let reader = new mtpDatasetReader(new Uint8Array(result.data.buffer, result.data.byteOffset, result.data.byteLength))
+    let length = reader.readUint16()
+    let status = {
+      code: reader.readUint16(),
+      endpoints: new Array(0)
+    }
+    while (reader.offset + 4 <= Math.min(length, result.data.byteLength)) {
+      status.endpoints.push(reader.readUint32())
+    }
+    return status
+  }
+
+  /*
+   * @method  waitForDeviceReady
+   * @brief   Poll Get Device Status until the device reports OK, clearing any halted endpoints it reports.
+   *          Returns FALSE when the device is still not ready after MTP_CANCEL_TIMEOUT.
+   *
+   */
+  async waitForDeviceReady() {
+    let deadline = Date.now() + MTP_CANCEL_TIMEOUT
+    while (Date.now() < deadline) {
+      let status = await this.getDeviceStatus()
+      if (status.code === MTP_OK) {
+        return true
+      }
+      for (const endpoint of status.endpoints) {
+        await this.device.clearHalt((endpoint & 0x80) ? "in" : "out", endpoint & 0x0f)
+      }
+      await this.sleep(MTP_STATUS_POLL_INTERVAL)
+    }
+    return false
+  }
+
+  /*
+   * @method  resetDevice
+   * @brief   Device Reset (0x66) class request. The device closes the session, so a new session is opened.
+   *
+   */
+  async resetDevice() {
+    console.log("MTPDevice.resetDevice")
+    this.pendingInput = null
+    await this.controlRequest(MTP_CLASS_DEVICE_RESET)
+    this.sessionOpen = false
+    this.transactionID = 0
+    await this.openSession({ recovery: true })
+  }
+
+  /*
+   * @method  cancelTransaction
+   * @brief   Cancel Request (0x64) for a transaction that did not complete. Pending USB transfers are flushed
+   *          by releasing and reclaiming the interface, then the device is polled until it is ready again.
+   *          A device that does not recover is reset.
+   *
+   */
+  async cancelTransaction(transactionID) {
+    console.log("MTPDevice.cancelTransaction", transactionID)
+    let cancelData = new Uint8Array(6)
+    let view = new DataView(cancelData.buffer)
+    view.setUint16(0, MTP_CANCELLATION_CODE, true)
+    view.setUint32(2, transactionID, true)
+    let ready = false
+    this.recovering = true
+    this.pendingInput = null
+    try {
+      try {
+        await this.controlRequest(MTP_CLASS_CANCEL_REQUEST, cancelData)
+        await this.device.releaseInterface(this.interfaceNumber)
+        await this.device.claimInterface(this.interfaceNumber)
+        ready = await this.waitForDeviceReady()
+      } catch (err) {
+        console.log("MTPDevice.cancelTransaction Cancel request failed.", err)
+      }
+      if (!ready) {
+        await this.resetDevice()
+      }
+    } finally {
+      this.recovering = false
+    }
+  }
+
+  /*
+   * @method  supportsOperation
+   * @brief   Returns TRUE if the device advertised the operation in its DeviceInfo dataset. Before the
+   *          DeviceInfo has been read every operation is assumed to be supported.
+   *
+   */
+  supportsOperation(operation) {
+    if (this.deviceInfo === null) {
+      return true
+    }
+    return this.deviceInfo.operationsSupported.includes(operation)
+  }
+
+  /*
+   * @method  getDeviceInfo
+   * @brief   Retrieve the DeviceInfo dataset. The MTP Command is 0x1001 and may be issued before a session
+   *          is opened, in which case the transaction ID is 0.
+   *
+   */
+  async getDeviceInfo(options = {}) {
+    // Inside a session the ID is assigned when the transaction leaves the queue, like any other
+    let sessionless = this.sessionOpen ? {} : { transactionID: MTP_SESSIONLESS_TRANSACTION_ID }
+    let result = await this.transaction(MTP_GET_DEVICE_INFO, [], { ...options, ...sessionless })
+    let deviceInfo = new deviceInfoDataset()
+    deviceInfo.initDatasetFromMTPData(result.data)
+    this.deviceInfo = deviceInfo
+    this.SerialNumber = deviceInfo.serialNumber
+    console.log("MTPDevice.getDeviceInfo", deviceInfo)
+    return true
+  }
+
+  /*
+   * @method  openSession
+   * @brief   Open the MTP Session for communication. The MTP Command is 0x1002.
+   * 
+   * Protocol (original WebUSB)
+   * 0000   1b 00 e0 38 b2 26 86 8e ff ff 00 00 00 00 09 00   ...8.&..........
+   * 0010   00 01 00 33 00 01 03 20 00 00 00 20 00 00 00 01   ...3... ... ....
+   * 0020   00 02 10 01 00 00 00 00 00 00 00 01 00 00 00 00   ................
+   * 0030   00 00 00 00 00 00 00 00 00 00 00                  ...........
+   *
+   * Packet Length: 0x20
+   * Packet Type:   0x01    (Command packet)
+   * Operation:     0x1002  (Open Session)
+   * Transaction:   0x01
+   * SessionID:     0x00
+   * Unknown Parm:  0x01
+   * 
+   * Protocol (new version, this code was revised to match the Windows MTP Driver)
+   * 0000   1b 00 e0 48 b4 26 86 8e ff ff 00 00 00 00 09 00   ...H.&..........
+   * 0010   00 01 00 36 00 01 03 10 00 00 00 10 00 00 00 01   ...6............
+   * 0020   00 02 10 00 00 00 00 01 00 00 00                    ...........
+   *
+   * Packet Length: 0x20
+   * Packet Type:   0x01    (Command packet)
+   * Operation:     0x1002  (Open Session)
+   * Transaction:   0x00
+   * SessionID:     0x01
+   *
+   * Response Packet:
+   * 0000   1b 00 60 79 dd 1f 86 8e ff ff 00 00 00 00 09 00   ..`y............
+   * 0010   01 01 00 36 00 81 03 0c 00 00 00 0c 00 00 00 03   ...6............
+   * 0020   00 01 20 00 00 00 00                              .. ....
+   * 
+   * Packet Length: 0x0c
+   * Packet Type:   0x03    (Response packet)
+   * Response Code: 0x2001  (MTP_OK - No errors)
+   * Transaction:   0x00
+   * 
+   */
+  async openSession(options = {}) {
+    this.sessionOpen = false
+    await this.transaction(MTP_OPEN_SESSION, [this.sessionID], {
+      ...options,
+      transactionID: this.transactionID,
+      acceptResponses: [MTP_OK, SESSION_ALREADY_OPEN]
+    })
+    console.log("OpenSession transaction: ", this.transactionID)
+    this.sessionOpen = true
+    return true
+  }
+
+  /*
+   * @method  closeSession
+   * @brief   Close the MTP Session (soft-eject device)
+   * 
+   */
+  async closeSession(options = {}) {
+    await this.transaction(CLOSE_SESSION, [], options)
+    this.sessionOpen = false
+    return true
+  }
+
+  /*
+   * @method  getStorageIDS
+   * @brief   Retrieve all of the Storage IDs from the device.
+   * 
+   * Protocol:
+   * 0000   1b 00 e0 88 e6 22 86 8e ff ff 00 00 00 00 09 00   ....."..........
+   * 0010   00 01 00 36 00 01 03 0c 00 00 00 0c 00 00 00 01   ...6............
+   * 0020   00 04 10 00 00 00 00                              .......
+   *
+   *  Packet Length:  0x0c
+   *  Packet Type:    0x01      (MTP Command)
+   *  Operation:      0x1004    (Get Storage IDs)
+   *  Transaction:    0x00
+   * 
+   * Response Packet:
    * 0000   1b 00 60 79 d4 1f 86 8e ff ff 00 00 00 00 09 00   ..`y............
    * 0010   01 01 00 36 00 81 03 0c 00 00 00 0c 00 00 00 03   ...6............
    * 0020   00 01 20 01 00 00 00                              .. ....
@@ -500,59 +1598,16 @@ export default class MTPDevice {
    * Transaction:   0x00
    * 
    */
-  async getStorageIDS() {
-    let device = this
-    let results = this.receivePackets(device, 2)
-    let storageIDSPromise = new Promise(function(resolve) {
-      let storageIDBuffer = null
-      let MTP_OKBuffer = null
-      results
-        .then((receivedPackets) => {
-          if (((receivedPackets[0][7] << 8) | receivedPackets[0][6]) === MTP_GET_STORAGE_IDS) {
-            storageIDBuffer = receivedPackets[0]
-            MTP_OKBuffer = receivedPackets[1]
-          } else {
-            storageIDBuffer = receivedPackets[1]
-            MTP_OKBuffer = receivedPackets[0]
-          }
-          device.logPacket("MTPDevice.getStorageIDs StorageID:", storageIDBuffer)
-          device.logPacket("MTPDevice.getStorageIDs  MTP Resp:", MTP_OKBuffer)
-          console.log("getStorageIDs transaction: ", device.transactionID, MTP_OKBuffer[8])
-          if (((MTP_OKBuffer[7] << 8) | MTP_OKBuffer[6]) === MTP_OK) {
-            // Retrieve Storage IDs from the MTP message
-            device.storageInfoObjects = new Array(0)
-            let numberOfStorageIDS =
-              storageIDBuffer[12] |
-              (storageIDBuffer[13] << 8) |
-              (storageIDBuffer[14] << 16) |
-              (storageIDBuffer[15] << 24)
-            let readBase = 16
-            for (let i = 0; i < numberOfStorageIDS; i++) {
-              let storage_id =
-                storageIDBuffer[readBase + i * 4] |
-                (storageIDBuffer[readBase + 1 + i * 4] << 8) |
-                (storageIDBuffer[readBase + 2 + i * 4] << 16) |
-                (storageIDBuffer[readBase + 3 + i * 4] << 24)
-              device.storageInfoObjects.push(new storageInfoDataset(storage_id))
-            }
-            resolve(true)
-          } else {
-            throw "Unhandled exception when fetching storage IDs."
-          }
-        })
-        .catch((err) => {
-          console.log("MTPDevice.getStorageIDs Error getting storage IDs. " + err)
-          resolve(false)
-        })
-    })
-    // Get Storage IDs from the device
-    let getStorageIDS = new mtpPacket(0)
-    getStorageIDS.setTransactionType(MTP_PACKET_TYPE_COMMAND)
-    getStorageIDS.setOperation(MTP_GET_STORAGE_IDS)
-    getStorageIDS.setTransactionID(++this.transactionID)
-    getStorageIDS.pack()
-    await this.sendPacket(getStorageIDS.container_array)
-    return storageIDSPromise
+  async getStorageIDS(options = {}) {
+    let result = await this.transaction(MTP_GET_STORAGE_IDS, [], options)
+    console.log("getStorageIDs transaction: ", this.transactionID)
+    // Retrieve Storage IDs from the MTP message
+    this.storageInfoObjects = new Array(0)
+    let storageIDs = new mtpDatasetReader(result.data).readUint32Array()
+    for (const storage_id of storageIDs) {
+      this.storageInfoObjects.push(new storageInfoDataset(storage_id))
+    }
+    return true
   }
 
   /*
@@ -581,111 +1636,42 @@ export default class MTPDevice {
    * Transaction:   0x00
    * 
    */
-  async getStorageInfo(storageObject) {
-    let device = this
-    let results = this.receivePackets(device, 2)
-    let storageInfoPromise = new Promise(function(resolve) {
-      let storageInfoBuffer = null
-      let MTP_OKBuffer = null
-      results.then((receivedPackets) => {
-        if (((receivedPackets[0][7] << 8) | receivedPackets[0][6]) === MTP_GET_STORAGE_INFO) {
-          storageInfoBuffer = receivedPackets[0]
-          MTP_OKBuffer = receivedPackets[1]
-        } else {
-          storageInfoBuffer = receivedPackets[1]
-          MTP_OKBuffer = receivedPackets[0]
-        }
-        device.logPacket("MTPDevice.getStorageInfo StorageID:", storageInfoBuffer)
-        device.logPacket("MTPDevice.getStorageInfo MTP Resp:", MTP_OKBuffer)
-        console.log("getStorageIinfo transaction: ", device.transactionID, MTP_OKBuffer[8])
-        if (((MTP_OKBuffer[7] << 8) | MTP_OKBuffer[6]) === MTP_OK) {
-          // Retrieve object from message
-          storageObject.initDatasetFromMTPContainer(storageInfoBuffer)
-          console.log("MTPDevice.getStorageInfo", storageObject)
-          resolve(true)
-        } else {
-          throw "Unhandled exception when fetching storage info."
-        }
-      })
-      .catch((err) => {
-        console.log("Error getting storage IDs. ", err)
-        resolve(false)
-      })
-    })
-    // Get StorageInfo object from the device
-    let reqStorageInfo = new mtpPacket(1)
-    reqStorageInfo.setTransactionID(++this.transactionID)
-    reqStorageInfo.setTransactionType(MTP_PACKET_TYPE_COMMAND)
-    reqStorageInfo.setOperation(MTP_GET_STORAGE_INFO)
-    reqStorageInfo.setParams(storageObject.storageID, 0, 0, 0, 0)
-    reqStorageInfo.pack()
-    await this.sendPacket(reqStorageInfo.container_array)
-    return storageInfoPromise
+  async getStorageInfo(storageObject, options = {}) {
+    let result = await this.transaction(MTP_GET_STORAGE_INFO, [storageObject.storageID], options)
+    console.log("getStorageInfo transaction: ", this.transactionID)
+    // Retrieve object from message
+    storageObject.initDatasetFromMTPData(result.data)
+    console.log("MTPDevice.getStorageInfo", storageObject)
+    return true
+  }
+
+  /*
+   * @method  getObjectHandles
+   * @brief   Retrieve the handles of the objects in a storage that are direct children of parentHandle.
+   *          GET_ROOT_OBJECTS (0xFFFFFFFF) selects the objects in the root of the storage.
+   *
+   */
+  async getObjectHandles(storageID, parentHandle, options = {}) {
+    let result = await this.transaction(GET_OBJECT_HANDLES, [storageID, 0, parentHandle], options)
+    console.log("getObjectHandles MTP transaction: ", this.transactionID)
+    return new mtpDatasetReader(result.data).readUint32Array()
   }
 
   /*
    * @method  getFileObjects
-   * @brief   Retrieve all of the FileObjects contained in a specified Storage Object
+   * @brief   Retrieve all of the FileObjects contained in the root of a specified Storage Object
    * 
    */
-  async getFileObjects(storageObject) {
-    let device = this
-    let results = this.receivePackets(device, 2)
-    let objectIDSPromise = new Promise(function(resolve) {
-      let objectIDBuffer = null
-      let MTP_OKBuffer = null
-      console.log("MTPDevice.getFileObjects storageObject:", storageObject)
-      let storageIDIndex = device.storageInfoObjects.indexOf(storageObject)
-      console.log("MTPDevice.getFileObjects storageIDIndex:", storageIDIndex)
-      results.then((receivedPackets) => {
-        if (((receivedPackets[0][7] << 8) | receivedPackets[0][6]) === GET_OBJECT_HANDLES) {
-          console.log("MTPDevice.getFileObjects.GET_OBJECT_HANDLES if:", GET_OBJECT_HANDLES)
-          objectIDBuffer = receivedPackets[0]
-          MTP_OKBuffer = receivedPackets[1]
-        } else {
-          console.log("MTPDevice.getFileObjects.GET_OBJECT_HANDLES else:", GET_OBJECT_HANDLES)
-          objectIDBuffer = receivedPackets[1]
-          MTP_OKBuffer = receivedPackets[0]
-        }
-        device.logPacket("MTPDevice.getFileObjects ObjectID:", objectIDBuffer)
-        device.logPacket("MTPDevice.getFileObjects MTP Resp:", MTP_OKBuffer)
-        console.log("getFileObjects MTP transaction: ", device.transactionID, MTP_OKBuffer[8])
-        if (((MTP_OKBuffer[7] << 8) | MTP_OKBuffer[6]) === MTP_OK) {
-          // Retrieve objects from message
-          device.storageInfoObjects[storageIDIndex].objectInfoObjects = new Array(0)
-          let numberOfObjectIDS =
-            objectIDBuffer[12] |
-            (objectIDBuffer[13] << 8) |
-            (objectIDBuffer[14] << 16) |
-            (objectIDBuffer[15] << 24)
-          let readBase = 16
-          for (let i = 0; i < numberOfObjectIDS; i++) {
-            let object_id =
-              objectIDBuffer[readBase + i * 4] |
-              (objectIDBuffer[readBase + 1 + i * 4] << 8) |
-              (objectIDBuffer[readBase + 2 + i * 4] << 16) |
-              (objectIDBuffer[readBase + 3 + i * 4] << 24)
-            device.storageInfoObjects[storageIDIndex].objectInfoObjects.push(new ObjectInfoDataset(object_id))
-          }
-          resolve(true)
-        } else {
-          throw "Unhandled exception when fetching storage IDs."
-        }
-      })
-      .catch((err) => {
-        console.log("Error getting getFileObjects. " + err)
-        resolve(false)
-      })
-    })
-    // Get FileObjects from device
-    let reqObjHandles = new mtpPacket(3)
-    reqObjHandles.setTransactionID(++this.transactionID)
-    reqObjHandles.setTransactionType(MTP_PACKET_TYPE_COMMAND)
-    reqObjHandles.setOperation(GET_OBJECT_HANDLES)
-    reqObjHandles.setParams(storageObject.storageID, 0, GET_ROOT_OBJECTS, 0, 0)
-    reqObjHandles.pack()
-    await this.sendPacket(reqObjHandles.container_array)
-    return objectIDSPromise
+  async getFileObjects(storageObject, options = {}) {
+    console.log("MTPDevice.getFileObjects storageObject:", storageObject)
+    let storageIDIndex = this.storageInfoObjects.indexOf(storageObject)
+    let objectIDs = await this.getObjectHandles(storageObject.storageID, GET_ROOT_OBJECTS, options)
+    // Retrieve objects from message
+    this.storageInfoObjects[storageIDIndex].objectInfoObjects = new Array(0)
+    for (const object_id of objectIDs) {
+      this.storageInfoObjects[storageIDIndex].objectInfoObjects.push(new ObjectInfoDataset(object_id))
+    }
+    return true
   }
 
   /*
@@ -693,161 +1679,509 @@ export default class MTPDevice {
    * @brief   Retrieve detailed FileInfo for a specified FileObject
    * 
    */
-  async getFileObjectInfo(storageObject, fileObject) {
-    let device = this
-    let storageIndex = device.storageInfoObjects.indexOf(storageObject)
-    let fileObjectIndex = device.storageInfoObjects[storageIndex].objectInfoObjects.indexOf(fileObject)
-    let results = this.receivePackets(device, 2)
-    let objectInfoPromise = new Promise(function(resolve) {
-      let objectInfoBuffer = null
-      let MTP_OKBuffer = null
-      results.then((receivedPackets) => {
-        if (((receivedPackets[0][7] << 8) | receivedPackets[0][6]) === GET_OBJECT_INFO) {
-          objectInfoBuffer = receivedPackets[0]
-          MTP_OKBuffer = receivedPackets[1]
-        } else {
-          objectInfoBuffer = receivedPackets[1]
-          MTP_OKBuffer = receivedPackets[0]
+  async getFileObjectInfo(storageObject, fileObject, options = {}) {
+    let result = await this.transaction(GET_OBJECT_INFO, [fileObject.fileID], options)
+    fileObject.initDatasetFromMTPData(result.data)
+    return true
+  }
+
+  /*
+   * @method  getObjectInfos
+   * @brief   Populate the ObjectInfo of the fileObjects listed under parentHandle. When the device supports
+   *          GetObjectPropList the name, size, format, parent and dates of all of them are read with a single
+   *          bulk query; objects the query did not describe, or every object on devices without it, fall
+   *          back to one GetObjectInfo round trip each.
+   *
+   */
+  async getObjectInfos(storageObject, fileObjects, parentHandle = GET_ROOT_OBJECTS, options = {}) {
+    let pending = fileObjects
+    if (this.objectPropListUsable && this.deviceInfo !== null && this.supportsOperation(GET_OBJECT_PROP_LIST)) {
+      try {
+        // ObjectHandle 0 with a depth of 1 selects the objects in the root of the storages
+        let handle = (parentHandle === GET_ROOT_OBJECTS) ? 0 : parentHandle
+        let properties = await this.getObjectPropList(handle, { ...options, depth: 1 })
+        let objectsByHandle = new Map(fileObjects.map((fileObject) => [fileObject.fileID, fileObject]))
+        for (const fileObject of fileObjects) {
+          fileObject.storageID = storageObject.storageID
         }
-        device.logPacket("MTP.getFileObjectInfo ObjectID:", objectInfoBuffer)
-        device.logPacket("MTP.getFileObjectInfo MTP Resp:", MTP_OKBuffer)
-        if (((MTP_OKBuffer[7] << 8) | MTP_OKBuffer[6]) === MTP_OK) {
-          let fileNameLength = objectInfoBuffer[FILE_NAME_START - 1] * 2
-          let i = 0
-          let sliced_name_array = objectInfoBuffer.slice(FILE_NAME_START, FILE_NAME_START + fileNameLength)
-          let file_name_array = new Uint8Array(sliced_name_array.length / 2 - 1)
-          for (let j = 0; j < sliced_name_array.length; j += 2) {
-            file_name_array[i] = sliced_name_array[j]
-            i++
+        for (const property of properties) {
+          let fileObject = objectsByHandle.get(property.objectHandle)
+          if (fileObject !== undefined) {
+            fileObject.applyObjectProp(property.propCode, property.value)
           }
-          device.storageInfoObjects[storageIndex].objectInfoObjects[fileObjectIndex].setFileName(file_name_array)
-          device.storageInfoObjects[storageIndex].objectInfoObjects[fileObjectIndex].filesize =
-            objectInfoBuffer[20] |
-            (objectInfoBuffer[21] << 8) |
-            (objectInfoBuffer[22] << 16) |
-            (objectInfoBuffer[23] << 24)
-          resolve(true)
-        } else {
-          throw "Unhandled exception when fetching storage IDs."
         }
-      })
-      .catch((err) => {
-        console.log("Error getting Object Info. ", err)
-        resolve(false)
-      })
-    })
-    // Get FileInfo object from device
-    let getObjInfo = new mtpPacket(1)
-    getObjInfo.setTransactionType(MTP_PACKET_TYPE_COMMAND)
-    getObjInfo.setOperation(GET_OBJECT_INFO)
-    getObjInfo.setTransactionID(++this.transactionID)
-    getObjInfo.setParams(fileObject.fileID, 0, 0, 0, 0)
-    getObjInfo.pack()
-    await this.sendPacket(getObjInfo.container_array)
-    return objectInfoPromise
+        for (const fileObject of fileObjects) {
+          fileObject.infoLoaded = (fileObject.fileName !== "" && fileObject.objectFormat !== 0)
+        }
+        pending = fileObjects.filter((fileObject) => !fileObject.infoLoaded)
+      } catch (err) {
+        if (options.signal && options.signal.aborted) {
+          throw err
+        }
+        console.log("MTPDevice.getObjectInfos GetObjectPropList failed, using GetObjectInfo:", err.message)
+        this.objectPropListUsable = false
+      }
+    }
+    for (const fileObject of pending) {
+      await this.getFileObjectInfo(storageObject, fileObject, options)
+    }
+    return true
   }
 
   /*
-   * @method  downloadAudioFile
-   * @brief   Modification of downloadFile to handle large files
-   * 
+   * @method  getObjectPropsSupported
+   * @brief   Retrieve the object property codes the device supports for an object format
+   *
    */
-  async downloadAudioFile(storageObject, fileObject, lenaDevice) {
+  async getObjectPropsSupported(objectFormat, options = {}) {
+    let result = await this.transaction(GET_OBJECT_PROPS_SUPPORTED, [objectFormat], options)
+    return new mtpDatasetReader(result.data).readUint16Array()
+  }
+
+  /*
+   * @method  getObjectPropDesc
+   * @brief   Retrieve the ObjectPropDesc dataset of a property for an object format
+   *
+   */
+  async getObjectPropDesc(propCode, objectFormat, options = {}) {
+    let result = await this.transaction(GET_OBJECT_PROP_DESC, [propCode, objectFormat], options)
+    let propDesc = new objectPropDescDataset()
+    propDesc.initDatasetFromMTPData(result.data)
+    return propDesc
+  }
+
+  /*
+   * @method  getObjectPropDataType
+   * @brief   The datatype of a property value: options.dataType when given, the datatype the specification
+   *          assigns to the common properties, otherwise the one the device reports in the ObjectPropDesc
+   *
+   */
+  async getObjectPropDataType(fileObject, propCode, options = {}) {
+    if (options.dataType !== undefined) {
+      return options.dataType
+    }
+    if (MTP_OBJECT_PROP_TYPES[propCode] !== undefined) {
+      return MTP_OBJECT_PROP_TYPES[propCode]
+    }
+    let propDesc = await this.getObjectPropDesc(propCode, fileObject.objectFormat, options)
+    return propDesc.dataType
+  }
+
+  /*
+   * @method  getObjectPropValue
+   * @brief   Read one property of an object, decoded according to its datatype. Dates are returned as the
+   *          MTP "YYYYMMDDThhmmss.s" strings; the matching fileObject field is updated as well.
+   *
+   */
+  async getObjectPropValue(fileObject, propCode, options = {}) {
+    let dataType = await this.getObjectPropDataType(fileObject, propCode, options)
+    let result = await this.transaction(GET_OBJECT_PROP_VALUE, [fileObject.fileID, propCode], options)
+    let value = new mtpDatasetReader(result.data).readValue(dataType)
+    fileObject.applyObjectProp(propCode, value)
+    return value
+  }
+
+  /*
+   * @method  setObjectPropValue
+   * @brief   Write one property of an object, encoded according to its datatype
+   *
+   */
+  async setObjectPropValue(fileObject, propCode, value, options = {}) {
+    let dataType = await this.getObjectPropDataType(fileObject, propCode, options)
+    let writer = new mtpDatasetWriter()
+    writer.writeValue(dataType, value)
+    await this.transaction(SET_OBJECT_PROP_VALUE, [fileObject.fileID, propCode], { ...options, data: writer.toUint8Array() })
+    fileObject.applyObjectProp(propCode, value)
+    return true
+  }
+
+  /*
+   * @method  getObjectPropList
+   * @brief   Retrieve properties of one or more objects with GetObjectPropList (0x9805). Returns an array of
+   *          {objectHandle, propCode, dataType, value}.
+   *
+   *          options   - objectFormat: only objects of this format (default all)
+   *                      propCode: a single property (default OBJECT_PROP_ALL)
+   *                      groupCode: a property group, used when propCode is 0
+   *                      depth: 0 for the object itself, 1 for its children, 0xFFFFFFFF for the whole tree
+   *
+   */
+  async getObjectPropList(objectHandle, options = {}) {
+    let params = [
+      objectHandle,
+      options.objectFormat || 0,
+      (options.propCode !== undefined) ? options.propCode : OBJECT_PROP_ALL,
+      options.groupCode || 0,
+      options.depth || 0
+    ]
+    let result = await this.transaction(GET_OBJECT_PROP_LIST, params, options)
+    let reader = new mtpDatasetReader(result.data)
+    let numElements = reader.readUint32()
+    let properties = new Array(0)
+    for (let i = 0; i < numElements; i++) {
+      let property = {
+        objectHandle: reader.readUint32(),
+        propCode: reader.readUint16(),
+        dataType: reader.readUint16(),
+        value: null
+      }
+      property.value = reader.readValue(property.dataType)
+      properties.push(property)
+    }
+    return properties
+  }
+
+  /*
+   * @method  getChildObjects
+   * @brief   Retrieve the objects contained in a folder, with their ObjectInfo. The list is also kept on
+   *          the folder as parentObject.children.
+   *
+   */
+  async getChildObjects(storageObject, parentObject, options = {}) {
+    let objectIDs = await this.getObjectHandles(storageObject.storageID, parentObject.fileID, options)
+    let children = objectIDs.map((object_id) => new ObjectInfoDataset(object_id))
+    await this.getObjectInfos(storageObject, children, parentObject.fileID, options)
+    parentObject.children = children
+    return children
+  }
+
+  /*
+   * @method  walkObjects
+   * @brief   Walk the folder tree of a storage depth first, yielding {object, path} for every object.
+   *          Folder contents are only requested from the device when the walk reaches them, so a caller
+   *          can stop early without enumerating the whole storage.
+   *
+   */
+  async *walkObjects(storageObject, options = {}) {
+    if (storageObject.objectInfoObjects.length === 0) {
+      await this.getFileObjects(storageObject, options)
+      await this.getObjectInfos(storageObject, storageObject.objectInfoObjects, GET_ROOT_OBJECTS, options)
+    }
+    let pending = storageObject.objectInfoObjects.map((object) => ({ object: object, folder: "" })).reverse()
+    while (pending.length > 0) {
+      let entry = pending.pop()
+      if (!entry.object.infoLoaded) {
+        await this.getFileObjectInfo(storageObject, entry.object, options)
+      }
+      let path = entry.folder + entry.object.fileName
+      yield { object: entry.object, path: path }
+      if (entry.object.isFolder()) {
+        if (entry.object.children === null) {
+          await this.getChildObjects(storageObject, entry.object, options)
+        }
+        for (let i = entry.object.children.length - 1; i >= 0; i--) {
+          pending.push({ object: entry.object.children[i], folder: path + "/" })
+        }
+      }
+    }
+  }
+
+  /*
+   * @method  getPartialObject
+   * @brief   Read length bytes of an object starting at offset. GetPartialObject64 (0x95C1) is used when the
+   *          device advertises it, otherwise GetPartialObject (0x101B) which can only address the first 4 GiB.
+   *          Accepts the same onData option as transaction() and resolves with the number of bytes the
+   *          device actually sent.
+   *
+   */
+  async getPartialObject(fileObject, offset, length, options = {}) {
+    let result = null
+    if (this.deviceInfo !== null && this.deviceInfo.operationsSupported.includes(GET_PARTIAL_OBJECT_64)) {
+      result = await this.transaction(GET_PARTIAL_OBJECT_64,
+        [fileObject.fileID, offset % MTP_UINT32_LIMIT, Math.floor(offset / MTP_UINT32_LIMIT), length], options)
+    } else {
+      if (offset + length > MTP_UINT32_LIMIT) {
+        throw new MTPError(MTP_OPERATION_NOT_SUPPORTED, GET_PARTIAL_OBJECT, this.transactionID,
+          "offset beyond 4 GiB needs GetPartialObject64")
+      }
+      result = await this.transaction(GET_PARTIAL_OBJECT, [fileObject.fileID, offset, length], options)
+    }
+    return result.params[0]
+  }
+
+  /*
+   * @method  downloadStream
+   * @brief   Download an object as a ReadableStream of Uint8Array chunks. Device reads pause while more than
+   *          MTP_STREAM_HIGH_WATER_MARK bytes are waiting for the consumer, so the stream can be piped into a
+   *          Blob, IndexedDB or a File System Access writable with constant memory. Cancelling the stream
+   *          cancels the transaction. options.onProgress(receivedBytes, totalBytes) reports progress.
+   *
+   *          When options.offset is set the stream starts at that byte, reading the rest of the object with
+   *          GetPartialObject requests. Progress then counts from the start of the object.
+   *
+   */
+  downloadStream(fileObject, options = {}) {
     let device = this
-    let results = this.receivePackets(device, 1)
-    let downloadPromise = new Promise(function(resolve) {
-      let firstObjectBuffer = new Uint8Array(0)
-      let fileLength = null
-      let objectBuffer = new Array(0)
-      let progress= 0
-      results.then(async (receivedPackets) => {
-        firstObjectBuffer = receivedPackets[0]
-        if (((firstObjectBuffer[7] << 8) | firstObjectBuffer[6]) === GET_OBJECT) {
-          fileLength =
-            (firstObjectBuffer[0] |
-              (firstObjectBuffer[1] << 8) |
-              (firstObjectBuffer[2] << 16) |
-              (firstObjectBuffer[3] << 24)) -
-              MTP_CONTAINER_ARRAY_LEN
-          objectBuffer.push.apply(objectBuffer, firstObjectBuffer.slice(MTP_CONTAINER_ARRAY_LEN, firstObjectBuffer.length))
-
-          let numberOfPacketsToBeReceived = Math.ceil((fileLength - objectBuffer.length) / MTP_PACKET_MAX_SIZE)
-          //lenaDevice.audioCopyBytes = objectBuffer.length
-          lenaDevice.audioCopyTotalBytes = fileLength
-          console.log("Number of packets: ", numberOfPacketsToBeReceived)
-          let range = Array.from(Array(numberOfPacketsToBeReceived).keys())
-          let blobCount = 0
-          for (const i of range) {
-            await device.device.transferIn(device.endpointIn, MTP_PACKET_MAX_SIZE).then((result) => {
-              let data = new Uint8Array(result.data.buffer)
-              // Stuff the info into objectBuffer - this is what blows up...
-              objectBuffer.push.apply(objectBuffer, data)
-              blobCount++
-              if (blobCount % 50000 === 0) {
-                let newBlob = {
-                  id: Date.now(),
-                  blobNumber: blobCount,
-                  fileBlob: objectBuffer
-                }
-                dbf.collection('fileblobs').add(newBlob).then()
-                progress = ((i / numberOfPacketsToBeReceived) * 100).toFixed(1)
-                if(lenaDevice) {
-                  lenaDevice.audioCopyBytes = (lenaDevice.audioCopyBytes + objectBuffer.length)
-                  lenaDevice.audioCopyProgress = progress
-                }
-                console.log("Progress: ", progress)
-                objectBuffer = []
-              }
-            })
+    let offset = options.offset || 0
+    let abort = new AbortController()
+    if (options.signal) {
+      if (options.signal.aborted) {
+        abort.abort()
+      } else {
+        options.signal.addEventListener("abort", () => abort.abort())
+      }
+    }
+    let resumeReads = null
+    let receivedBytes = offset
+    let wakeReader = () => {
+      if (resumeReads !== null) {
+        let resume = resumeReads
+        resumeReads = null
+        resume()
+      }
+    }
+    let readObject = async (controller) => {
+      let transactionOptions = {
+        ...options,
+        signal: abort.signal,
+        onData: async (chunk, payloadLength) => {
+          if (abort.signal.aborted) {
+            return
           }
-          // Save last blob from final range that does not end on the 50,000 block boundary
-          let newBlob = {
-            id: Date.now(),
-            blobNumber: blobCount,
-            fileBlob: objectBuffer
+          controller.enqueue(chunk)
+          receivedBytes += chunk.length
+          if (options.onProgress) {
+            options.onProgress(receivedBytes, offset > 0 ? fileObject.filesize : payloadLength)
           }
-          if (lenaDevice) {
-            lenaDevice.audioCopyBytes = (lenaDevice.audioCopyBytes + objectBuffer.length)
+          if (controller.desiredSize <= 0) {
+            await new Promise((resolve) => { resumeReads = resolve })
           }
-          dbf.collection('fileblobs').add(newBlob).then()
-          objectBuffer = []
-
-          // Read in any last data remaining on the USB bus
-          await device.device
-            .transferIn(device.endpointIn, MTP_PACKET_MAX_SIZE)
-            .then((result) => {
-              resolve([true, objectBuffer])
-              let newBlob = {
-                id: Date.now(),
-                blobNumber: blobCount+1,
-                fileBlob: objectBuffer
-              }
-              dbf.collection('fileblobs').add(newBlob).then()
-              if(lenaDevice) {
-                progress = 100
-                lenaDevice.audioCopyBytes = (lenaDevice.audioCopyBytes + objectBuffer.length)
-                lenaDevice.audioCopyProgress = progress
-              }
-              objectBuffer = []
-            })
-        } else {
-          throw "Unhandled exception when initiating download."
         }
+      }
+      if (offset === 0) {
+        await device.transaction(GET_OBJECT, [fileObject.fileID], transactionOptions)
+        return
+      }
+      let position = offset
+      while (position < fileObject.filesize) {
+        let length = Math.min(fileObject.filesize - position, MTP_PARTIAL_OBJECT_MAX_SIZE)
+        let sentBytes = await device.getPartialObject(fileObject, position, length, transactionOptions)
+        if (sentBytes === 0) {
+          break
+        }
+        position += sentBytes
+      }
+    }
+    return new ReadableStream({
+      start(controller) {
+        // The transfer runs in the background so that pull() can release the back pressure above
+        readObject(controller).then(() => {
+          controller.close()
+        }, (err) => {
+          controller.error(err)
+        })
+      },
+      pull() {
+        wakeReader()
+      },
+      cancel() {
+        abort.abort()
+        wakeReader()
+      }
+    }, new ByteLengthQueuingStrategy({ highWaterMark: MTP_STREAM_HIGH_WATER_MARK }))
+  }
+
+  /*
+   * @method  downloadBlob
+   * @brief   Download an object into a Blob, letting the browser hold the data instead of JavaScript arrays
+   *
+   */
+  async downloadBlob(fileObject, options = {}) {
+    return new Response(this.downloadStream(fileObject, options)).blob()
+  }
+
+  /*
+   * @method  downloadAudioFile
+   * @brief   Stream a large audio file into the IndexedDB 'fileblobs' collection in pieces of options.blobSize
+   *          bytes (MTP_AUDIO_BLOB_SIZE when not given), reporting progress on the device record.
+   *
+   *          Progress is recorded in the 'filedownloads' collection per version of the file: the id holds the
+   *          device serial number, the file name and the modification date and size of the object, see
+   *          audioDownloadID. An interrupted download, including one cut short by a page reload or a
+   *          disconnect, resumes from the last blob saved. A new recording under the same name starts a download
+   *          of its own, so a verified copy of an earlier one is never deleted here; only unverified downloads
+   *          of earlier versions, which can no longer be completed, are dropped.
+   *
+   *          The CRC-32 of the bytes received is kept with the progress. Once the download is complete the
+   *          blobs are read back from IndexedDB and checked against it, see verifyAudioDownload.
+   *          options.audioFormat, how the recording is encoded, is stored with a new download.
+   * 
+   */
+  async downloadAudioFile(storageObject, fileObject, lenaDevice, options = {}) {
+    let blobSize = options.blobSize || MTP_AUDIO_BLOB_SIZE
+    let downloadID = audioDownloadID(this.SerialNumber, fileObject)
+    let dateModified = fileObject.dateModified ? fileObject.dateModified.getTime() : null
+    let download = await findAudioDownload(downloadID)
+    if (download && download.verified === true) {
+      console.log("Already downloaded", downloadID)
+      if (lenaDevice) {
+        lenaDevice.audioCopyProgress = 100
+      }
+      return [true, null]
+    }
+    let resumable = download &&
+      download.checksum !== undefined &&
+      download.bytesSaved < fileObject.filesize
+    if (!resumable) {
+      // Start over, dropping what is stored of this version and the unverified downloads of earlier ones
+      let stale = (await this.getAudioDownloads(fileObject.fileName))
+        .filter((earlier) => earlier.id === downloadID || earlier.verified !== true)
+      for (const earlier of stale) {
+        await deleteAudioDownload(earlier.id)
+      }
+      download = {
+        id: downloadID,
+        serialNumber: this.SerialNumber,
+        fileName: fileObject.fileName,
+        filesize: fileObject.filesize,
+        dateModified: dateModified,
+        blobCount: 0,
+        bytesSaved: 0,
+        checksum: 0,                        // CRC-32 of the bytes saved so far
+        verified: false,
+        timeCompleted: null,
+        audioFormat: options.audioFormat || null
+      }
+      await dbf.collection('filedownloads').add(download)
+    } else {
+      console.log("Resuming download of", downloadID, "at byte", download.bytesSaved)
+    }
+
+    let blobParts = new Array(0)
+    let blobBytes = 0
+    let checksum = download.checksum
+
+    // Save the accumulated chunks as one blob in IndexedDB and record how far the download got
+    let saveBlob = async () => {
+      let newBlob = {
+        id: downloadID + "/" + (download.blobCount + 1),
+        downloadID: downloadID,
+        blobNumber: download.blobCount + 1,
+        offset: download.bytesSaved,
+        fileBlob: new Blob(blobParts)
+      }
+      await dbf.collection('fileblobs').add(newBlob)
+      download.blobCount++
+      download.bytesSaved += blobBytes
+      download.checksum = checksum
+      await dbf.collection('filedownloads').doc({ id: downloadID }).update({
+        blobCount: download.blobCount,
+        bytesSaved: download.bytesSaved,
+        checksum: download.checksum
       })
-      .catch((err) => {
-        console.log("Error getting file. ", err)
-        resolve(false)
-      })
+      blobParts = []
+      blobBytes = 0
+    }
+
+    let stream = this.downloadStream(fileObject, {
+      ...options,
+      offset: download.bytesSaved,
+      onProgress: (receivedBytes, totalBytes) => {
+        if (lenaDevice) {
+          lenaDevice.audioCopyTotalBytes = totalBytes
+          lenaDevice.audioCopyBytes = receivedBytes
+          lenaDevice.audioCopyProgress = ((receivedBytes / totalBytes) * 100).toFixed(1)
+        }
+      }
+    })
+    let reader = stream.getReader()
+    try {
+      while (true) {
+        let { done, value } = await reader.read()
+        if (done) {
+          break
+        }
+        // Split the chunk where it crosses a blob boundary, so every blob but the last holds blobSize bytes
+        let position = 0
+        while (position < value.length) {
+          let piece = value.subarray(position, position + blobSize - blobBytes)
+          blobParts.push(piece)
+          blobBytes += piece.length
+          checksum = crc32(piece, checksum)
+          position += piece.length
+          if (blobBytes >= blobSize) {
+            await saveBlob()
+          }
+        }
+      }
+    } finally {
+      // Save the last blob that does not end on a blob boundary, including the data
+      // received before an interruption so a later call can resume after it
+      if (blobBytes > 0) {
+        await saveBlob()
+      }
+    }
+    if (!await this.verifyAudioDownload(downloadID)) {
+      throw new Error("The audio saved for " + downloadID + " does not match what was received")
+    }
+    if (lenaDevice) {
+      lenaDevice.audioCopyProgress = 100
+    }
+    return [true, null]
+  }
+
+  /*
+   * @method  getAudioDownload
+   * @brief   The 'filedownloads' record of the version of a file described by its ObjectInfo (same modification
+   *          date and size) downloaded from this device with downloadAudioFile, or null
+   *
+   */
+  async getAudioDownload(fileObject) {
+    return findAudioDownload(audioDownloadID(this.SerialNumber, fileObject))
+  }
+
+  /*
+   * @method  getAudioDownloads
+   * @brief   The 'filedownloads' records of every version of a file downloaded from this device, newest first
+   *
+   */
+  async getAudioDownloads(fileName) {
+    return (await dbf.collection('filedownloads').get())
+      .filter((download) => download.serialNumber === this.SerialNumber && download.fileName === fileName)
+      .sort((a, b) => (b.dateModified || 0) - (a.dateModified || 0))
+  }
+
+  /*
+   * @method  getAudioBlobs
+   * @brief   The 'fileblobs' records of a download, in file order: { blobNumber, offset, fileBlob }
+   *
+   */
+  async getAudioBlobs(downloadID) {
+    return (await dbf.collection('fileblobs').get())
+      .filter((blob) => blob.downloadID === downloadID)
+      .sort((a, b) => a.blobNumber - b.blobNumber)
+  }
+
+  /*
+   * @method  verifyAudioDownload
+   * @brief   Check a completed download in IndexedDB: the blobs follow each other without gaps, add up to the
+   *          size of the file and their CRC-32 is the one computed while the data was received. The result is
+   *          stored in the 'filedownloads' record as verified, with the time of completion. Returns true when
+   *          the download is complete and intact.
+   *
+   */
+  async verifyAudioDownload(downloadID) {
+    let download = await findAudioDownload(downloadID)
+    if (download === null) {
+      return false
+    }
+    let blobs = await this.getAudioBlobs(downloadID)
+    let checksum = 0
+    let offset = 0
+    for (const blob of blobs) {
+      if (blob.offset !== offset) {
+        break
+      }
+      checksum = crc32(new Uint8Array(await blob.fileBlob.arrayBuffer()), checksum)
+      offset += blob.fileBlob.size
+    }
+    let verified = offset === download.filesize && download.bytesSaved === download.filesize && checksum === download.checksum
+    console.log("MTPDevice.verifyAudioDownload", downloadID, offset, "bytes, CRC-32", checksum.toString(16), verified ? "verified" : "mismatch")
+    await dbf.collection('filedownloads').doc({ id: downloadID }).update({
+      verified: verified,
+      timeCompleted: verified ? Date.now() : null
     })
-    // Request the Audio File
-    let reqObj = new mtpPacket(1)
-    reqObj.setTransactionID(++this.transactionID)
-    reqObj.setTransactionType(MTP_PACKET_TYPE_COMMAND)
-    reqObj.setOperation(GET_OBJECT)
-    reqObj.setParams(fileObject.fileID, 0, 0, 0, 0)
-    reqObj.pack()
-    await this.sendPacket(reqObj.container_array)
-    return downloadPromise
+    return verified
   }
 
   /*
@@ -855,64 +2189,10 @@ export default class MTPDevice {
    * @brief   Download a file from the device
    * 
    */
-  async downloadFile(storageObject, fileObject) {
-    let device = this
-    let results = device.receivePackets(device, 1)
-    let downloadPromise = new Promise(function(resolve) {
-      let firstObjectBuffer = new Uint8Array(0)
-      let fileLength = null
-      let objectBuffer = new Array(0)
-      results
-        .then(async (receivedPackets) => {
-          firstObjectBuffer = receivedPackets[0]
-          if (((firstObjectBuffer[7] << 8) | firstObjectBuffer[6]) === GET_OBJECT) {
-            fileLength =
-              (firstObjectBuffer[0] |
-                (firstObjectBuffer[1] << 8) |
-                (firstObjectBuffer[2] << 16) |
-                (firstObjectBuffer[3] << 24)) -
-                MTP_CONTAINER_ARRAY_LEN
-
-            console.log("DownloadFile transaction: ", device.transactionID, firstObjectBuffer[8])
-
-            objectBuffer.push.apply(objectBuffer, firstObjectBuffer.slice(MTP_CONTAINER_ARRAY_LEN, firstObjectBuffer.length))
-            let numberOfPacketsToBeReceived = Math.ceil((fileLength - objectBuffer.length) / MTP_PACKET_MAX_SIZE)
-            console.log("Number of packets: ", numberOfPacketsToBeReceived)
-            let range = Array.from(Array(numberOfPacketsToBeReceived).keys())
-            for (const i of range) {
-              await device.device
-                .transferIn(device.endpointIn, MTP_PACKET_MAX_SIZE)
-                .then((result) => {
-                  let data = new Uint8Array(result.data.buffer)
-                  objectBuffer.push.apply(objectBuffer, data)
-                })
-            }
-
-            await device.device.transferIn(device.endpointIn, MTP_PACKET_MAX_SIZE).then((result) => {
-
-                // Test objectBuffer here?
-                //console.log("DownloadFile 2 transaction: ", device.transactionID, objectBuffer[8])
-
-                resolve([true, objectBuffer])
-              })
-          } else {
-            throw "Unhandled exception when initiating download."
-          }
-        })
-        .catch((err) => {
-          console.log("Error getting file. ", err)
-          resolve(false)
-        })
-    })
-    // Request the File 
-    let reqObj = new mtpPacket(1)
-    reqObj.setTransactionID(++this.transactionID)
-    reqObj.setTransactionType(MTP_PACKET_TYPE_COMMAND)
-    reqObj.setOperation(GET_OBJECT)
-    reqObj.setParams(fileObject.fileID, 0, 0, 0, 0)
-    reqObj.pack()
-    await this.sendPacket(reqObj.container_array)
-    return downloadPromise
+  async downloadFile(storageObject, fileObject, options = {}) {
+    let result = await this.transaction(GET_OBJECT, [fileObject.fileID], options)
+    console.log("DownloadFile transaction: ", this.transactionID)
+    return [true, result.data]
   }
 
 
@@ -935,34 +2215,62 @@ export default class MTPDevice {
    * Parameter 5:    None
    * 
    */
-  async deleteFile(fileObject) {
-    let device = this
-    let result = device.receivePackets(device, 1)   
-    let deletePromise = new Promise(function(resolve) {
-      result.then((receivedPackets) => {
-        if (((receivedPackets[0][7] << 8) | receivedPackets[0][6]) === MTP_OK) {
-          device.logPacket("MTPDevice.deleteFile Resp:", receivedPackets[0])
-          console.log("deleteFile transaction: ", device.transactionID, receivedPackets[0][8])
-          resolve(true)
-        } else {
-          throw "Deletion unsuccessful!"
-        }
-      })
-      .catch((err) => {
-        console.log("MTPDevice.deleteFile Error ", err)
-        resolve(false)
-      })
-    })
+  async deleteFile(fileObject, options = {}) {
     // Delete the file. NOTE: RDR reverse engineered the protocol to determine the packet format, this is not well documented in the spec.
     console.log("Deleting", fileObject, fileObject.fileID)
-    let delete_packet = new mtpPacket(2)
-    delete_packet.setTransactionID(++this.transactionID)
-    delete_packet.setTransactionType(MTP_PACKET_TYPE_COMMAND)
-    delete_packet.setOperation(MTP_DELETE_OBJECT)
-    delete_packet.setParams(fileObject.fileID, 0, 0, 0, 0)
-    delete_packet.pack()
-    await this.sendPacket(delete_packet.container_array)
-    return deletePromise
+    await this.transaction(MTP_DELETE_OBJECT, [fileObject.fileID, 0], options)
+    console.log("deleteFile transaction: ", this.transactionID)
+    return true
+  }
+
+  /*
+   * @method  moveObject
+   * @brief   Move an object to another folder or storage with MoveObject (0x1019). The object keeps its
+   *          ObjectHandle. parentHandle PLACE_IN_ROOT moves it to the root of the storage.
+   *
+   * Parameter 1:    ObjectHandle of the object to move
+   * Parameter 2:    StorageID of the destination
+   * Parameter 3:    ObjectHandle of the destination folder, 0x00000000 for the root
+   *
+   */
+  async moveObject(storageObject, fileObject, parentHandle = PLACE_IN_ROOT, options = {}) {
+    let destinationHandle = (parentHandle === PLACE_IN_ROOT) ? MTP_ROOT_PARENT : parentHandle
+    await this.transaction(MOVE_OBJECT, [fileObject.fileID, storageObject.storageID, destinationHandle], options)
+    console.log("moveObject transaction: ", this.transactionID)
+    fileObject.storageID = storageObject.storageID
+    fileObject.parentObject = destinationHandle
+    return true
+  }
+
+  /*
+   * @method  copyObject
+   * @brief   Copy an object on the device with CopyObject (0x101A) and return [true, ObjectHandle of the copy].
+   *          The parameters are the same as MoveObject.
+   *
+   */
+  async copyObject(storageObject, fileObject, parentHandle = PLACE_IN_ROOT, options = {}) {
+    let destinationHandle = (parentHandle === PLACE_IN_ROOT) ? MTP_ROOT_PARENT : parentHandle
+    let result = await this.transaction(COPY_OBJECT, [fileObject.fileID, storageObject.storageID, destinationHandle], options)
+    console.log("copyObject transaction: ", this.transactionID)
+    return [true, result.params[0]]
+  }
+
+  /*
+   * @method  renameObject
+   * @brief   Rename an object in place by setting its ObjectFileName property (0xDC07)
+   *
+   */
+  async renameObject(fileObject, newName, options = {}) {
+    return this.setObjectPropValue(fileObject, OBJECT_PROP_OBJECT_FILE_NAME, newName, options)
+  }
+
+  /*
+   * @method  canRenameObjects
+   * @brief   Returns TRUE if the device advertises SetObjectPropValue, which renameObject relies on
+   *
+   */
+  canRenameObjects() {
+    return this.deviceInfo !== null && this.supportsOperation(SET_OBJECT_PROP_VALUE)
   }
 
   /*
@@ -970,6 +2278,7 @@ export default class MTPDevice {
    * @brief   The SendObjectInfo method is required to begin a SendObject transfer to the device. There are two
    *          packets required for this command. The first packet identifies the file object and parent folder
    *          and the second packet contains the file name, creation and last modificiation dates.
+   *          The object format follows the file extension unless options.objectFormat is given.
    * 
    * Protocol:
    * H->D : Command #1: 0x100C, Upload File Info packet #1
@@ -1017,65 +2326,52 @@ export default class MTPDevice {
    * 0030   00 00 00
    * 
   */
-  async uploadFileInfo(storageObject, filename, fileSize) {
-    let device = this 
-    let result = device.receivePackets(device, 2)      // Was 1
-    let uploadFileInfoPromise = new Promise(function(resolve) {
-      let objectInfoBuffer = ""
-      let MTP_OKBuffer = ""
-      result.then((receivedPackets) => {
-        if (((receivedPackets[0][7] << 8) | receivedPackets[0][6]) === SEND_OBJECT_INFO) {
-          objectInfoBuffer = receivedPackets[0]
-          MTP_OKBuffer = receivedPackets[1]
-        } else {
-          objectInfoBuffer = receivedPackets[1]
-          MTP_OKBuffer = receivedPackets[0]
-        }
-        device.logPacket("MTP.uploadFileInfo ObjectID:", objectInfoBuffer)
-        device.logPacket("MTP.uploadObjectInfo MTP Resp:", MTP_OKBuffer)
-        console.log("uploadFileInfo transaction (OBJ): ", device.transactionID, objectInfoBuffer[8])
-        console.log("uploadFileInfo transaction MTP  : ", device.transactionID, MTP_OKBuffer[8])
-        
-        if (((MTP_OKBuffer[7] << 8) | MTP_OKBuffer[6]) === MTP_OK) {
-          let newObjectID = 0
-          for (let i = 20; i < 24; i++) {
-            newObjectID |= (objectInfoBuffer[i] >> ((i - 20) * 8)) & 0xff
-          }
+  async uploadFileInfo(storageObject, filename, fileSize, parentHandle = PLACE_IN_ROOT, options = {}) {
+    let fileInfo = new ObjectInfoDataset(0)
+    fileInfo.objectFormat = options.objectFormat || objectFormatForFileName(filename)
+    fileInfo.filesize = fileSize
+    fileInfo.fileName = filename
+    return this.sendObjectInfo(storageObject, parentHandle, fileInfo, options)
+  }
 
-          resolve([true, newObjectID])
-        } else {
-          throw "File Info upload unsuccessful!"
-        }
-      })
-    }).catch((err) => {
-      console.log("MTPDevice.uploadFileInfo Error.", err)
-      resolve(false)
-    })
-    // Send theSendObjectInfo command to the device - this is accomplished in two packets, this first has 2 parameters
-    let sendObjInfo = new mtpPacket(2)
-    sendObjInfo.setOperation(SEND_OBJECT_INFO)
-    sendObjInfo.setTransactionID(++this.transactionID)
-    sendObjInfo.setTransactionType(MTP_PACKET_TYPE_COMMAND)
-    sendObjInfo.setParams(storageObject.storageID, PLACE_IN_ROOT, 0, 0, 0)
-    sendObjInfo.pack()
-    await this.sendPacket(sendObjInfo.container_array)
-
-    let fileInfo = new ObjectInfoDataset(storageObject.fileID)           // RDR this was originally hard coded as 0x01, this should be the FileID of the StorageObject
-    fileInfo.initContainer(UNDEFINED_OBJECT_FORMAT, fileSize, 0, 0, filename)
-    let sendObjInfo2 = new mtpPacket(0)
-    sendObjInfo2.setOperation(SEND_OBJECT_INFO)
-    sendObjInfo2.setTransactionID(this.transactionID)  // Same MTP Transaction as first packet
-    sendObjInfo2.setParams(0, 0, 0, 0, 0)
-    sendObjInfo2.setTransactionType(CONTAINER_TYPE_DATA)
-    sendObjInfo2.containerArrayLength = (MTP_CONTAINER_ARRAY_LEN + fileInfo.container_array.length + fileInfo.filename_array.length + fileInfo.dateCreateLength.length + fileInfo.dateCreateArray.length + fileInfo.dateModLength.length + fileInfo.dateModArray.length + fileInfo.keywords.length)
-    sendObjInfo2.pack()
-    await this.sendPacket(new Uint8Array([...sendObjInfo2.container_array, ...fileInfo.container_array, ...fileInfo.filename_array, ...fileInfo.dateCreateLength, ...fileInfo.dateCreateArray, ...fileInfo.dateModLength, ...fileInfo.dateModArray, ...fileInfo.keywords]))
-    return uploadFileInfoPromise
+  /*
+   * @method  createFolder
+   * @brief   Create a folder by sending an ObjectInfo dataset for a generic folder association. No SendObject
+   *          follows for a folder. Returns the handle of the new folder.
+   *
+   */
+  async createFolder(storageObject, folderName, parentHandle = PLACE_IN_ROOT, options = {}) {
+    let folderInfo = new ObjectInfoDataset(0)
+    folderInfo.objectFormat = OBJECT_FORMAT_ASSOCIATION
+    folderInfo.associationType = ASSOCIATION_TYPE_GENERIC_FOLDER
+    folderInfo.fileName = folderName
+    return this.sendObjectInfo(storageObject, parentHandle, folderInfo, options)
+  }
+
+  /*
+   * @method  sendObjectInfo
+   * @brief   SendObjectInfo (0x100C) transaction shared by uploadFileInfo and createFolder. The storage and parent
+   *          travel as command parameters and are left 0 in the dataset, and the thumbnail format is sent as
+   *          UNDEFINED_OBJECT_FORMAT, as the Windows MTP driver does. Dates default to the current time, or to
+   *          options.dateModified (and options.dateCreated) when the caller knows them.
+   *
+   */
+  async sendObjectInfo(storageObject, parentHandle, objectInfo, options = {}) {
+    let dateModified = options.dateModified || new Date()
+    objectInfo.thumbFormat = UNDEFINED_OBJECT_FORMAT
+    objectInfo.dateCreated = objectInfo.dateCreated || options.dateCreated || dateModified
+    objectInfo.dateModified = objectInfo.dateModified || dateModified
+    // The response parameters are the storage ID, parent handle and handle of the new object
+    let result = await this.transaction(SEND_OBJECT_INFO, [storageObject.storageID, parentHandle], { ...options, data: objectInfo.toMTPData() })
+    console.log("sendObjectInfo transaction MTP  : ", this.transactionID, result.params)
+    let newObjectID = result.params[2]
+    return [true, newObjectID]
   }
 
   /*
    * @method  uploadFile
    * @brief   Upload a file to the device. NOTE: The SendObject operation requires completion of the SendObjectInfo operation.
+   *          fileBytes may be an array of byte values, a Uint8Array or a Blob, which is streamed from disk.
    * 
    * Protocol:
    * H->D : Command #4: 0x100D, Upload File packet #1
@@ -1099,74 +2395,52 @@ export default class MTPDevice {
    * 0030   00 00 00 0c 00 00 00 03 00 01 20 0b 00 00 00      .......... ....
    * 
    */
-  async uploadFile(fileBytes) {
-    let device = this
-    let result = device.receivePackets(device, 2)
-    let uploadFilePromise = new Promise(function(resolve) {
-      result.then((receivedPackets) => {
-
-          device.logPacket("MTPDevice.uploadFile Resp:", receivedPackets[0])
-          console.log("uploadFile transaction MTP  : ", device.transactionID, receivedPackets[0][8])
-
-          device.logPacket("MTPDevice.uploadFile Resp:", receivedPackets[1])
-          console.log("uploadFile transaction MTP  : ", device.transactionID, receivedPackets[1][8])
-
+  async uploadFile(fileBytes, options = {}) {
+    let data = (fileBytes instanceof Blob || fileBytes instanceof Uint8Array) ? fileBytes : Uint8Array.from(fileBytes)
+    await this.transaction(SEND_OBJECT, [], { ...options, data: data })
+    console.log("uploadFile transaction MTP  : ", this.transactionID)
+    return true
+  }
 
-          if (((receivedPackets[0][7] << 8) | receivedPackets[0][6]) === MTP_OK) {
-            resolve(true)
-          } else {
-            throw "File upload unsuccessful!"
-          }
-        })
-        .catch((err) => {
-          console.log("MTPDevice.uploadFile Error", err)
-          resolve(false)
-        })
-    })
-    // Send the file to the device using as many messages as necessary.
-    let reqSendObject = new mtpPacket(0)
-    reqSendObject.setTransactionType(MTP_PACKET_TYPE_COMMAND)
-    reqSendObject.setTransactionID(++this.transactionID)
-    reqSendObject.setOperation(SEND_OBJECT)
-    reqSendObject.setParams(0, 0, 0, 0, 0)
-    reqSendObject.pack()
-    await this.sendPacket(reqSendObject.container_array)
-    
-    let reqSendObject2 = new mtpPacket(0)
-    reqSendObject2.setOperation(SEND_OBJECT)
-    reqSendObject2.setTransactionID(this.transactionID)  // Same MTP Transaction as first packet
-    reqSendObject2.setParams(0, 0, 0, 0, 0)
-    reqSendObject2.setTransactionType(CONTAINER_TYPE_DATA)
-    reqSendObject2.containerArrayLength = (MTP_CONTAINER_ARRAY_LEN + fileBytes.length)
-    reqSendObject2.pack()
-    let end = 0
-    let i = 0
-    while (i < fileBytes.length) {
-      if (i + MTP_PACKET_MAX_SIZE > fileBytes.length) {
-        end = fileBytes.length
-      } else {
-        end = i + MTP_PACKET_MAX_SIZE
-        if (i === 0) {
-          end = i + 500
-        }
-      }
-      let sliced = fileBytes.slice(i, end)
-      if (i === 0) {
-        let sendbuf = new Uint8Array([...reqSendObject2.container_array, ...sliced])
-        await this.sendPacket(sendbuf)
-      } else {
-        await this.sendPacket(sliced)
-      }
-      i = end
+  /*
+   * @method  uploadObject
+   * @brief   Upload a File or Blob to the device: SendObjectInfo with the object format taken from the file
+   *          extension, then SendObject streaming the contents. The name defaults to file.name and can be
+   *          overridden with options.fileName; options.onProgress(sentBytes, totalBytes) reports progress.
+   *          Returns [true, ObjectHandle of the new object].
+   *
+   */
+  async uploadObject(storageObject, file, parentHandle = PLACE_IN_ROOT, options = {}) {
+    let fileName = options.fileName || file.name
+    let fileInfo = new ObjectInfoDataset(0)
+    fileInfo.objectFormat = objectFormatForFileName(fileName)
+    fileInfo.filesize = file.size
+    fileInfo.fileName = fileName
+    if (file.lastModified !== undefined) {
+      fileInfo.dateModified = new Date(file.lastModified)
     }
-    return uploadFilePromise
+    let [status, newObjectID] = await this.sendObjectInfo(storageObject, parentHandle, fileInfo, { ...options, onProgress: null })
+    await this.uploadFile(file, options)
+    return [status, newObjectID]
   }
 
-
-  async sendPacket(packet) {
-    await this.sleep(10)
-    await this.device.transferOut(this.endpointOut, packet)
-    await this.sleep(10)
+  /*
+   * @method  sendPacket
+   * @brief   Write a transfer to the bulk out endpoint. A command container keeps the 10 ms pauses of the original
+   *          driver around it; the transfers of a data phase are sent back to back (pause FALSE).
+   *
+   */
+  async sendPacket(packet, context, pause = true) {
+    if (pause) {
+      await this.sleep(10)
+    }
+    let result = await this.guardTransfer(this.device.transferOut(this.endpointOut, packet), context)
+    if (result.status !== "ok") {
+      throw new MTPError(MTP_INCOMPLETE_TRANSFER, context.operation, context.transactionID, "bulk out transfer " + result.status)
+    }
+    if (pause) {
+      await this.sleep(10)
+    }
     
     this.logPacket("MTPDevice.sendPacket:", packet)
   }
@@ -1177,15 +2451,130 @@ export default class MTPDevice {
 
   logPacket(label, packet) {
     let packetstr = ""
-    packet.forEach(x => {packetstr += ("00" + x.toString(16)).toUpperCase().slice(-2) + " "})
+    packet.subarray(0, MTP_LOG_PACKET_MAX_BYTES).forEach(x => {packetstr += ("00" + x.toString(16)).toUpperCase().slice(-2) + " "})
+    if (packet.length > MTP_LOG_PACKET_MAX_BYTES) {
+      packetstr += "... (" + packet.length + " bytes)"
+    }
     console.log(label, packetstr)
   }  
 }
 
-function bin2String(array) {
-  let result = ""
-  for (let i = 0; i < array.length; i += 1) {
-    result += String.fromCharCode(array[i])
+/*
+ * @function  objectFormatForFileName
+ * @brief     The MTP object format code for a file name, from its extension. Files the table does not
+ *            know, such as the recorder's data.dat and BOOTIMG.img, are sent as Undefined.
+ *
+ */
+function objectFormatForFileName(fileName) {
+  let dot = fileName.lastIndexOf(".")
+  if (dot < 0) {
+    return UNDEFINED_OBJECT_FORMAT
+  }
+  let extension = fileName.slice(dot + 1).toLowerCase()
+  return MTP_OBJECT_FORMAT_BY_EXTENSION[extension] || UNDEFINED_OBJECT_FORMAT
+}
+
+/*
+ * @function  decodeEvent
+ * @brief     Decode an event container read from the interrupt endpoint into
+ *            { code, name, vendor, transactionID, params }. The first parameter is the ObjectHandle of
+ *            object events and the StorageID of storage events. Returns null for anything else.
+ *
+ */
+function decodeEvent(packet) {
+  if (packet.length < MTP_CONTAINER_ARRAY_LEN) {
+    return null
+  }
+  let reader = new mtpDatasetReader(packet)
+  let length = Math.min(reader.readUint32(), packet.length)
+  if (reader.readUint16() !== CONTAINER_TYPE_EVENT) {
+    return null
+  }
+  let event = {
+    code: reader.readUint16(),
+    name: null,
+    vendor: false,
+    transactionID: reader.readUint32(),
+    params: new Array(0)
+  }
+  while (reader.offset + 4 <= length) {
+    event.params.push(reader.readUint32())
+  }
+  event.name = codeName(MTP_EVENT_NAMES, event.code)
+  event.vendor = (event.code & 0xf000) === 0xc000 && MTP_EVENT_NAMES[event.code] === undefined
+  return event
+}
+
+/*
+ * @function  audioDownloadID
+ * @brief     The 'filedownloads' id of one version of a file on a device: serial number, file name, modification
+ *            time and size
+ *
+ */
+function audioDownloadID(serialNumber, fileObject) {
+  let dateModified = fileObject.dateModified ? fileObject.dateModified.getTime() : 0
+  return serialNumber + "/" + fileObject.fileName + "/" + dateModified + "/" + fileObject.filesize
+}
+
+/*
+ * @function  deleteAudioDownload
+ * @brief     Delete a 'filedownloads' record and its blobs. Localbase rejects a delete that matches no documents,
+ *            so only what is stored is deleted.
+ *
+ */
+async function deleteAudioDownload(downloadID) {
+  let blobs = (await dbf.collection('fileblobs').get()).filter((blob) => blob.downloadID === downloadID)
+  if (blobs.length > 0) {
+    await dbf.collection('fileblobs').doc({ downloadID: downloadID }).delete()
+  }
+  if (await findAudioDownload(downloadID) !== null) {
+    await dbf.collection('filedownloads').doc({ id: downloadID }).delete()
+  }
+}
+
+/*
+ * @function  findAudioDownload
+ * @brief     The 'filedownloads' record with this id, or null. The collection is searched rather than queried with
+ *            doc(): a Localbase doc().get() that finds nothing keeps its criteria and turns the next query on the
+ *            instance into a document lookup.
+ *
+ */
+async function findAudioDownload(downloadID) {
+  return (await dbf.collection('filedownloads').get()).find((download) => download.id === downloadID) || null
+}
+
+/*
+ * @function  parseMTPDateTime
+ * @brief     Parse an MTP DateTime string "YYYYMMDDThhmmss[.s][Z|+hhmm|-hhmm]" into a Date. Without a zone
+ *            designator the time is local to the device. Returns null for empty or malformed strings.
+ *
+ */
+function parseMTPDateTime(value) {
+  let match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(?:\.(\d))?(Z|[+-]\d{4})?$/.exec(value)
+  if (match === null) {
+    return null
+  }
+  let [year, month, day, hours, minutes, seconds] = match.slice(1, 7).map(Number)
+  let milliseconds = match[7] ? Number(match[7]) * 100 : 0
+  if (match[8] === undefined) {
+    return new Date(year, month - 1, day, hours, minutes, seconds, milliseconds)
+  }
+  let utc = Date.UTC(year, month - 1, day, hours, minutes, seconds, milliseconds)
+  if (match[8] !== "Z") {
+    let offsetMinutes = Number(match[8].slice(1, 3)) * 60 + Number(match[8].slice(3, 5))
+    utc -= (match[8][0] === "-" ? -1 : 1) * offsetMinutes * 60000
+  }
+  return new Date(utc)
+}
+
+/*
+ * @function  formatMTPDateTime
+ * @brief     Format a Date as an MTP DateTime string in local time, e.g. "20220315T093740.0"
+ *
+ */
+function formatMTPDateTime(date) {
+  if (date === null || date === undefined) {
+    return ""
   }
-  return result
+  return format(date, "yyyyMMdd'T'HHmmss.S")
 }
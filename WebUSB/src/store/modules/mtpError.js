@@ -0,0 +1,38 @@
+/**
+ *
+ * Copyright (c) 2021-2024 Technical Products Group
+ *
+ * @file    mtpError.js
+ * @brief   Error raised by the MTP driver when a transaction fails. Failures reported by the device carry
+ *          its response code; failures detected by the host (USB transfer errors, malformed containers,
+ *          unsupported operations) are mapped to the closest response code from the specification.
+ */
+
+import { MTP_OPERATION_NAMES, MTP_RESPONSE_NAMES, codeName } from './mtpCodes'
+
+/*
+ * @class   MTPError
+ * @brief   responseCode  - MTP Response code (0x20xx or 0xA8xx)
+ *          responseName  - Name of the response code from the specification
+ *          operation     - MTP Operation code of the failed transaction
+ *          operationName - Name of the operation code
+ *          transactionID - Transaction ID of the failed transaction
+ *
+ */
+export default class MTPError extends Error {
+  constructor(responseCode, operation, transactionID, detail = null) {
+    let responseName = codeName(MTP_RESPONSE_NAMES, responseCode)
+    let operationName = codeName(MTP_OPERATION_NAMES, operation)
+    let message = operationName + " failed: " + responseName
+    if (detail !== null) {
+      message += " (" + detail + ")"
+    }
+    super(message)
+    this.name = "MTPError"
+    this.responseCode = responseCode
+    this.responseName = responseName
+    this.operation = operation
+    this.operationName = operationName
+    this.transactionID = transactionID
+  }
+}
@@ -0,0 +1,818 @@
+/**
+ *
+ * Copyright (c) 2021-2024 Technical Products Group
+ *
+ * @file    mtpReplay.js
+ * @brief   USB capture replay harness for regression testing the MTP driver against the Windows MTP driver.
+ *
+ *          loadCapture reads a capture in pcapng or pcap format, or a Wireshark "Copy as Hex Dump" text like the
+ *          ones in Docs/, with USBPcap (Windows) or usbmon (Linux) link layers. extractMTPTraffic keeps the bulk
+ *          packets of the MTP device: what the host sent and what the device answered. MTPReplayDevice plays the
+ *          device side back to an MTPDevice and compares every packet the driver emits with the recorded one, byte
+ *          for byte.
+ *
+ *          runReplay drives one of the REPLAY_SCENARIOS (openSession, deleteFile, uploadFileInfo, uploadFile)
+ *          through the captured transaction and reports the mismatches; assertReplay throws on the first one.
+ *          The arguments of the call (session and transaction IDs, handles, file names and sizes) are taken from
+ *          the captured command, everything else is left to the driver's defaults. Where the driver knowingly
+ *          departs from the Windows driver a scenario lists the bytes as knownDifferences: they are compared on
+ *          their own and reported in the knownDifferences of the report instead of failing the replay.
+ *          tests/fixtures/replay holds the captures of the four scenarios.
+ */
+
+import MTPDevice, { ObjectInfoDataset } from './mtpDriver'
+import { MTP_OPERATION_NAMES, codeName } from './mtpCodes'
+
+// Capture file formats
+const PCAPNG_SECTION_HEADER_BLOCK = 0x0a0d0d0a
+const PCAPNG_INTERFACE_DESCRIPTION_BLOCK = 0x00000001
+const PCAPNG_PACKET_BLOCK = 0x00000002               // Obsolete, still written by old tools
+const PCAPNG_SIMPLE_PACKET_BLOCK = 0x00000003
+const PCAPNG_ENHANCED_PACKET_BLOCK = 0x00000006
+const PCAPNG_BYTE_ORDER_MAGIC = 0x1a2b3c4d
+const PCAPNG_OPTION_END = 0
+const PCAPNG_OPTION_IF_TSRESOL = 9
+const PCAP_MAGIC_MICROSECONDS = 0xa1b2c3d4
+const PCAP_MAGIC_NANOSECONDS = 0xa1b23c4d
+const PCAP_HEADER_LEN = 24
+const PCAP_RECORD_HEADER_LEN = 16
+
+// Link layer types
+const LINKTYPE_USB_LINUX = 189                       // usbmon, 48 byte header
+const LINKTYPE_USB_LINUX_MMAPPED = 220               // usbmon, 64 byte header
+const LINKTYPE_USBPCAP = 249                         // USBPcap on Windows
+const USB_LINUX_HEADER_LEN = 48
+const USB_LINUX_MMAPPED_HEADER_LEN = 64
+const USBPCAP_INFO_PDO_TO_FDO = 0x01                 // Set on completions travelling back up from the device
+const USBPCAP_MIN_HEADER_LEN = 27
+const USB_DIR_IN = 0x80
+const USB_TRANSFER_TYPES = ["isochronous", "interrupt", "control", "bulk"]
+
+// MTP containers
+const CONTAINER_TYPE_COMMAND = 0x0001
+const CONTAINER_TYPE_DATA = 0x0002
+const CONTAINER_TYPE_RESPONSE = 0x0003
+const CONTAINER_HEADER_LEN = 12
+const MTP_OPEN_SESSION = 0x1002
+const MTP_DELETE_OBJECT = 0x100b
+const MTP_SEND_OBJECT_INFO = 0x100c
+const MTP_SEND_OBJECT = 0x100d
+
+const REPLAY_PACKET_SIZE = 512
+const REPLAY_HEX_CONTEXT = 16                        // Bytes shown either side of a mismatch
+const OBJECT_INFO_FORMAT_OFFSET = 4                  // ObjectFormat in an ObjectInfo dataset
+const OBJECT_INFO_FILENAME_OFFSET = 52               // Filename, followed by DateCreated and DateModified
+
+/*
+ * @class   ReplayMismatchError
+ * @brief   Raised by assertReplay and by MTPReplayDevice when the driver departs from the capture.
+ *          mismatches - the { index, offset, expected, actual, message } records of the replay
+ *
+ */
+export class ReplayMismatchError extends Error {
+  constructor(mismatches) {
+    let first = mismatches[0]
+    let message = first.message
+    if (mismatches.length > 1) {
+      message += " (and " + (mismatches.length - 1) + " more)"
+    }
+    super(message)
+    this.name = "ReplayMismatchError"
+    this.mismatches = mismatches
+  }
+}
+
+/*
+ * @function  loadCapture
+ * @brief     Decode a capture into USB packet records:
+ *            { timestamp (ms), bus, device, endpoint, direction ("in"|"out"), transferType, completion, status, data }
+ *            capture - ArrayBuffer or Uint8Array of a pcapng/pcap file, or the text of a Wireshark hex dump
+ *            options.linkType - link layer of a hex dump; detected from the first frame when omitted
+ *
+ */
+export function loadCapture(capture, options = {}) {
+  if (typeof capture === "string") {
+    return parseHexDump(capture, options)
+  }
+  let bytes = (capture instanceof Uint8Array) ? capture : new Uint8Array(capture)
+  let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  if (bytes.length < 4) {
+    throw new Error("loadCapture: capture is empty")
+  }
+  let magic = view.getUint32(0, true)
+  if (magic === PCAPNG_SECTION_HEADER_BLOCK) {
+    return parsePcapng(bytes, view)
+  }
+  if ([PCAP_MAGIC_MICROSECONDS, PCAP_MAGIC_NANOSECONDS].includes(magic) ||
+      [PCAP_MAGIC_MICROSECONDS, PCAP_MAGIC_NANOSECONDS].includes(view.getUint32(0, false))) {
+    return parsePcap(bytes, view)
+  }
+  return parseHexDump(new TextDecoder().decode(bytes), options)
+}
+
+function parsePcapng(bytes, view) {
+  let packets = new Array(0)
+  let interfaces = new Array(0)
+  let littleEndian = true
+  let offset = 0
+  while (offset + 12 <= bytes.length) {
+    if (view.getUint32(offset, true) === PCAPNG_SECTION_HEADER_BLOCK) {
+      littleEndian = view.getUint32(offset + 8, true) === PCAPNG_BYTE_ORDER_MAGIC
+      interfaces = new Array(0)             // Interface IDs are numbered per section
+    }
+    let blockType = view.getUint32(offset, littleEndian)
+    let blockLength = view.getUint32(offset + 4, littleEndian)
+    if (blockLength < 12 || offset + blockLength > bytes.length) {
+      throw new Error("loadCapture: truncated pcapng block at offset " + offset)
+    }
+    let body = offset + 8
+    let bodyEnd = offset + blockLength - 4
+    if (blockType === PCAPNG_INTERFACE_DESCRIPTION_BLOCK) {
+      interfaces.push({
+        linkType: view.getUint16(body, littleEndian),
+        unitsPerMs: pcapngTimestampUnits(bytes, view, body + 8, bodyEnd, littleEndian)
+      })
+    } else if (blockType === PCAPNG_ENHANCED_PACKET_BLOCK || blockType === PCAPNG_PACKET_BLOCK) {
+      let interfaceID = (blockType === PCAPNG_PACKET_BLOCK) ? view.getUint16(body, littleEndian) : view.getUint32(body, littleEndian)
+      let captureInterface = interfaces[interfaceID]
+      let timestamp = view.getUint32(body + 4, littleEndian) * 0x100000000 + view.getUint32(body + 8, littleEndian)
+      let capturedLength = view.getUint32(body + 12, littleEndian)
+      let frame = bytes.subarray(body + 20, body + 20 + capturedLength)
+      if (captureInterface !== undefined) {
+        pushFrame(packets, captureInterface.linkType, frame, timestamp / captureInterface.unitsPerMs)
+      }
+    } else if (blockType === PCAPNG_SIMPLE_PACKET_BLOCK && interfaces.length > 0) {
+      let originalLength = view.getUint32(body, littleEndian)
+      let frame = bytes.subarray(body + 4, Math.min(bodyEnd, body + 4 + originalLength))
+      pushFrame(packets, interfaces[0].linkType, frame, null)
+    }
+    offset += blockLength
+  }
+  return packets
+}
+
+// Timestamp units per millisecond from the if_tsresol option of an Interface Description Block
+function pcapngTimestampUnits(bytes, view, offset, end, littleEndian) {
+  let unitsPerSecond = 1000000
+  while (offset + 4 <= end) {
+    let code = view.getUint16(offset, littleEndian)
+    let length = view.getUint16(offset + 2, littleEndian)
+    if (code === PCAPNG_OPTION_END) {
+      break
+    }
+    if (code === PCAPNG_OPTION_IF_TSRESOL && length >= 1) {
+      let resolution = bytes[offset + 4]
+      unitsPerSecond = (resolution & 0x80) ? Math.pow(2, resolution & 0x7f) : Math.pow(10, resolution)
+    }
+    offset += 4 + Math.ceil(length / 4) * 4
+  }
+  return unitsPerSecond / 1000
+}
+
+function parsePcap(bytes, view) {
+  let littleEndian = [PCAP_MAGIC_MICROSECONDS, PCAP_MAGIC_NANOSECONDS].includes(view.getUint32(0, true))
+  let unitsPerMs = (view.getUint32(0, littleEndian) === PCAP_MAGIC_NANOSECONDS) ? 1000000 : 1000
+  let linkType = view.getUint32(20, littleEndian) & 0x0fffffff
+  let packets = new Array(0)
+  let offset = PCAP_HEADER_LEN
+  while (offset + PCAP_RECORD_HEADER_LEN <= bytes.length) {
+    let seconds = view.getUint32(offset, littleEndian)
+    let fraction = view.getUint32(offset + 4, littleEndian)
+    let capturedLength = view.getUint32(offset + 8, littleEndian)
+    let frame = bytes.subarray(offset + PCAP_RECORD_HEADER_LEN, offset + PCAP_RECORD_HEADER_LEN + capturedLength)
+    pushFrame(packets, linkType, frame, seconds * 1000 + fraction / unitsPerMs)
+    offset += PCAP_RECORD_HEADER_LEN + capturedLength
+  }
+  return packets
+}
+
+/*
+ * Wireshark hex dumps: frames of "0000   1b 00 a0 78 ..." lines, each frame starting again at offset 0000.
+ * Any other text between the lines (notes, blank lines, RTF markup) is ignored.
+ */
+function parseHexDump(text, options) {
+  let frames = new Array(0)
+  let frame = null
+  for (const line of text.split(/\r\n|\r|\n|\\par/g)) {
+    let match = /^\s*([0-9a-fA-F]{4,8})\s{2,}((?:[0-9a-fA-F]{2} ){0,15}[0-9a-fA-F]{2})/.exec(line)
+    if (match === null) {
+      continue
+    }
+    let offset = parseInt(match[1], 16)
+    if (offset === 0 || frame === null) {
+      frame = new Array(0)
+      frames.push(frame)
+    }
+    match[2].split(" ").forEach((byte) => frame.push(parseInt(byte, 16)))
+  }
+  let packets = new Array(0)
+  for (const bytes of frames) {
+    let data = Uint8Array.from(bytes)
+    pushFrame(packets, options.linkType || detectLinkType(data), data, null)
+  }
+  return packets
+}
+
+function detectLinkType(frame) {
+  let headerLength = frame[0] | (frame[1] << 8)
+  if (headerLength >= USBPCAP_MIN_HEADER_LEN && headerLength <= frame.length && headerLength < 64) {
+    return LINKTYPE_USBPCAP
+  }
+  return (frame.length >= USB_LINUX_MMAPPED_HEADER_LEN) ? LINKTYPE_USB_LINUX_MMAPPED : LINKTYPE_USB_LINUX
+}
+
+function pushFrame(packets, linkType, frame, timestamp) {
+  let packet = null
+  if (linkType === LINKTYPE_USBPCAP) {
+    packet = decodeUsbPcap(frame)
+  } else if (linkType === LINKTYPE_USB_LINUX || linkType === LINKTYPE_USB_LINUX_MMAPPED) {
+    packet = decodeUsbmon(frame, linkType === LINKTYPE_USB_LINUX ? USB_LINUX_HEADER_LEN : USB_LINUX_MMAPPED_HEADER_LEN)
+  }
+  if (packet !== null) {
+    packet.timestamp = timestamp
+    packets.push(packet)
+  }
+}
+
+/*
+ * USBPcap packet header (USBPCAP_BUFFER_PACKET_HEADER):
+ * headerLen u16, irpId u64, status u32, function u16, info u8, bus u16, device u16, endpoint u8, transfer u8,
+ * dataLength u32, followed by the transfer data. Control transfers add a stage byte to the header.
+ */
+function decodeUsbPcap(frame) {
+  if (frame.length < USBPCAP_MIN_HEADER_LEN) {
+    return null
+  }
+  let view = new DataView(frame.buffer, frame.byteOffset, frame.byteLength)
+  let headerLength = view.getUint16(0, true)
+  let endpoint = frame[21]
+  let dataLength = view.getUint32(23, true)
+  return {
+    timestamp: null,
+    bus: view.getUint16(17, true),
+    device: view.getUint16(19, true),
+    endpoint: endpoint & 0x7f,
+    direction: (endpoint & USB_DIR_IN) ? "in" : "out",
+    transferType: USB_TRANSFER_TYPES[frame[22]] || "unknown",
+    completion: (frame[16] & USBPCAP_INFO_PDO_TO_FDO) !== 0,
+    status: view.getUint32(10, true),
+    data: frame.subarray(headerLength, headerLength + dataLength)
+  }
+}
+
+/*
+ * usbmon binary header (struct usbmon_packet): id u64, type u8 ('S'ubmit, 'C'omplete, 'E'rror), xfer_type u8,
+ * epnum u8, devnum u8, busnum u16, flag_setup, flag_data, ts_sec s64, ts_usec s32, status s32, length u32,
+ * len_cap u32, setup[8], and in the memory-mapped variant interval, start_frame, xfer_flags and ndesc.
+ */
+function decodeUsbmon(frame, headerLength) {
+  if (frame.length < headerLength) {
+    return null
+  }
+  let view = new DataView(frame.buffer, frame.byteOffset, frame.byteLength)
+  let eventType = String.fromCharCode(frame[8])
+  if (eventType === "E") {
+    return null
+  }
+  let endpoint = frame[10]
+  return {
+    timestamp: null,
+    bus: view.getUint16(12, true),
+    device: frame[11],
+    endpoint: endpoint & 0x7f,
+    direction: (endpoint & USB_DIR_IN) ? "in" : "out",
+    transferType: USB_TRANSFER_TYPES[frame[9]] || "unknown",
+    completion: eventType === "C",
+    status: view.getInt32(28, true),
+    data: frame.subarray(headerLength, headerLength + view.getUint32(36, true))
+  }
+}
+
+/*
+ * @function  extractMTPTraffic
+ * @brief     Keep the bulk traffic of one MTP device: the data the host submitted on the OUT endpoint and the
+ *            data the device completed on the IN endpoint, zero length packets included, in capture order.
+ *            options.bus / options.device select the device; by default it is the first one that was sent an
+ *            MTP command container.
+ *
+ */
+export function extractMTPTraffic(packets, options = {}) {
+  let target = packets.find((packet) => {
+    if (options.bus !== undefined && packet.bus !== options.bus) {
+      return false
+    }
+    if (options.device !== undefined && packet.device !== options.device) {
+      return false
+    }
+    let header = isHostPacket(packet) ? containerHeader(packet.data) : null
+    return header !== null && header.type === CONTAINER_TYPE_COMMAND
+  })
+  if (target === undefined) {
+    return { bus: null, device: null, endpointOut: null, endpointIn: null, packets: new Array(0) }
+  }
+  let traffic = packets.filter((packet) => packet.bus === target.bus && packet.device === target.device &&
+    (isHostPacket(packet) || isDevicePacket(packet)))
+  let firstIn = traffic.find((packet) => packet.direction === "in")
+  return {
+    bus: target.bus,
+    device: target.device,
+    endpointOut: target.endpoint,
+    endpointIn: firstIn ? firstIn.endpoint : null,
+    packets: traffic
+  }
+}
+
+function isHostPacket(packet) {
+  return packet.transferType === "bulk" && packet.direction === "out" && !packet.completion
+}
+
+function isDevicePacket(packet) {
+  return packet.transferType === "bulk" && packet.direction === "in" && packet.completion && packet.status === 0
+}
+
+function containerHeader(data) {
+  if (data.length < CONTAINER_HEADER_LEN) {
+    return null
+  }
+  let view = new DataView(data.buffer, data.byteOffset, data.byteLength)
+  let header = {
+    length: view.getUint32(0, true),
+    type: view.getUint16(4, true),
+    code: view.getUint16(6, true),
+    transactionID: view.getUint32(8, true),
+    params: new Array(0)
+  }
+  if (header.length < CONTAINER_HEADER_LEN || header.type < CONTAINER_TYPE_COMMAND || header.type > 0x0004) {
+    return null
+  }
+  for (let offset = CONTAINER_HEADER_LEN; offset + 4 <= Math.min(header.length, data.length) && header.type !== CONTAINER_TYPE_DATA; offset += 4) {
+    header.params.push(view.getUint32(offset, true))
+  }
+  return header
+}
+
+/*
+ * @function  findTransaction
+ * @brief     Locate the first captured transaction of an operation in the traffic. Returns
+ *            { command, data, start, end }: the command container, the host data phase payload (or null), and
+ *            the packet indexes from the command to the packet completing its response.
+ *
+ */
+export function findTransaction(traffic, operation) {
+  let packets = traffic.packets
+  let start = packets.findIndex((packet) => {
+    let header = (packet.direction === "out") ? containerHeader(packet.data) : null
+    return header !== null && header.type === CONTAINER_TYPE_COMMAND && header.code === operation
+  })
+  if (start < 0) {
+    throw new Error("findTransaction: the capture has no " + codeName(MTP_OPERATION_NAMES, operation) + " command")
+  }
+  let command = containerHeader(packets[start].data)
+  let data = hostDataPhase(packets, start + 1, command.transactionID)
+  // Walk the device containers, which may span packets or share one, until the response arrives
+  let remaining = 0
+  for (let i = start + 1; i < packets.length; i++) {
+    if (packets[i].direction !== "in") {
+      continue
+    }
+    let offset = 0
+    let bytes = packets[i].data
+    while (offset < bytes.length) {
+      if (remaining > 0) {
+        let used = Math.min(remaining, bytes.length - offset)
+        remaining -= used
+        offset += used
+        continue
+      }
+      let header = containerHeader(bytes.subarray(offset))
+      if (header === null) {
+        break
+      }
+      if (header.type === CONTAINER_TYPE_RESPONSE && header.transactionID === command.transactionID) {
+        return { command: command, data: data, start: start, end: i }
+      }
+      remaining = header.length
+    }
+  }
+  throw new Error("findTransaction: the capture ends before the response to transaction " + command.transactionID)
+}
+
+// Payload of the data container the host sent for a transaction, gathered from the packets that follow its command
+function hostDataPhase(packets, index, transactionID) {
+  let chunks = new Array(0)
+  let total = 0
+  let length = null
+  for (let i = index; i < packets.length && (length === null || total < length); i++) {
+    let packet = packets[i]
+    if (packet.direction !== "out") {
+      continue
+    }
+    if (length === null) {
+      let header = containerHeader(packet.data)
+      if (header === null || header.type !== CONTAINER_TYPE_DATA || header.transactionID !== transactionID) {
+        return null
+      }
+      length = header.length
+    }
+    chunks.push(packet.data)
+    total += packet.data.length
+  }
+  if (length === null) {
+    return null
+  }
+  let data = new Uint8Array(total)
+  let offset = 0
+  chunks.forEach((chunk) => { data.set(chunk, offset); offset += chunk.length })
+  return data.subarray(CONTAINER_HEADER_LEN, length)
+}
+
+/*
+ * @class   MTPReplayDevice
+ * @brief   Plays the device side of captured traffic back through the WebUSB USBDevice interface. transferOut
+ *          checks each host packet against the next recorded one and transferIn returns the recorded device
+ *          packets in order; a driver that reads before sending what the capture shows, or sends something
+ *          else, is recorded in mismatches and its transfer fails.
+ *
+ *          options.coalesce - compare the host byte stream between device packets instead of packet by packet,
+ *                             for captures whose drivers split containers differently (zero length packets
+ *                             are then ignored on both sides)
+ *          options.knownDifferences - byte ranges { name, packet, offset, length, reason } of the recorded host
+ *                             packets the driver is known to send differently. They are left out of the
+ *                             comparison; the ones that did differ are listed in knownDifferences with the
+ *                             expected and actual bytes.
+ *
+ */
+export class MTPReplayDevice {
+
+  constructor(traffic, options = {}) {
+    this.options = { coalesce: false, packetSize: REPLAY_PACKET_SIZE, ...options }
+    this.records = traffic.packets
+    this.endpointIn = traffic.endpointIn
+    this.position = 0                       // Index of the next recorded packet
+    this.inOffset = 0                       // Bytes of the current device packet already returned
+    this.outOffset = 0                      // Bytes of the current host packet already matched (coalesce mode)
+    this.mismatches = new Array(0)
+    this.knownDifferences = new Array(0)    // The options.knownDifferences that occurred, with their bytes
+    this.hostPackets = new Array(0)         // Every packet the driver sent, for reports
+    this.pendingReads = new Array(0)
+
+    this.vendorId = 0
+    this.productId = 0
+    this.productName = "MTP capture replay"
+    this.manufacturerName = ""
+    this.serialNumber = ""
+    this.opened = false
+    this.configuration = null
+    this.configurations = [{
+      configurationValue: 1,
+      interfaces: [{
+        interfaceNumber: 0,
+        claimed: false,
+        alternates: [{
+          alternateSetting: 0,
+          endpoints: [
+            { endpointNumber: traffic.endpointOut, direction: "out", type: "bulk", packetSize: this.options.packetSize },
+            { endpointNumber: traffic.endpointIn, direction: "in", type: "bulk", packetSize: this.options.packetSize }
+          ]
+        }]
+      }]
+    }]
+  }
+
+  /*
+   * @method  finished
+   * @brief   TRUE once every recorded packet up to end (an index, default all) has been replayed
+   *
+   */
+  finished(end = this.records.length - 1) {
+    return this.position > end
+  }
+
+  async open() {
+    this.opened = true
+  }
+
+  async close() {
+    this.opened = false
+    this.rejectReads()
+  }
+
+  async selectConfiguration(configurationValue) {
+    this.configuration = this.configurations.find((config) => config.configurationValue === configurationValue) || null
+  }
+
+  async claimInterface(interfaceNumber) {
+    this.configuration.interfaces[interfaceNumber].claimed = true
+  }
+
+  async releaseInterface(interfaceNumber) {
+    this.configuration.interfaces[interfaceNumber].claimed = false
+    this.rejectReads()
+  }
+
+  async clearHalt() {
+  }
+
+  async reset() {
+    this.rejectReads()
+  }
+
+  // Class requests are not part of the bulk traffic; the device is always ready
+  async controlTransferOut(setup, data) {
+    return { status: "ok", bytesWritten: data ? data.byteLength : 0 }
+  }
+
+  async controlTransferIn(setup, length) {
+    let status = Uint8Array.from([0x04, 0x00, 0x01, 0x20]).subarray(0, length)
+    return { status: "ok", data: new DataView(status.buffer, status.byteOffset, status.byteLength) }
+  }
+
+  async transferOut(endpointNumber, data) {
+    let bytes = (data instanceof Uint8Array) ? data : new Uint8Array(data.buffer || data, data.byteOffset || 0, data.byteLength)
+    this.hostPackets.push(bytes.slice())
+    if (this.options.coalesce) {
+      this.matchStream(bytes)
+    } else {
+      this.matchPacket(bytes)
+    }
+    return { status: "ok", bytesWritten: bytes.length }
+  }
+
+  async transferIn(endpointNumber, length) {
+    if (endpointNumber !== this.endpointIn) {
+      // Events are not replayed: the interrupt endpoint stays quiet until the device is closed
+      return new Promise((resolve, reject) => this.pendingReads.push(reject))
+    }
+    this.skipHostZeroLengthPackets()
+    let record = this.records[this.position]
+    if (record === undefined || record.direction !== "in") {
+      this.fail(record ? "driver read from the device where the capture shows the host sending" :
+        "driver read past the end of the capture", new Uint8Array(0))
+    }
+    let remaining = record.data.length - this.inOffset
+    let count = Math.min(length, remaining)
+    if (count < remaining) {
+      count -= count % this.options.packetSize
+    }
+    let bytes = record.data.slice(this.inOffset, this.inOffset + count)
+    this.inOffset += count
+    if (this.inOffset >= record.data.length) {
+      this.position++
+      this.inOffset = 0
+    }
+    return { status: "ok", data: new DataView(bytes.buffer) }
+  }
+
+  matchPacket(bytes) {
+    let record = this.records[this.position]
+    if (record === undefined || record.direction !== "out") {
+      this.fail(record ? "driver sent a packet where the capture shows the device answering" :
+        "driver sent a packet past the end of the capture", bytes)
+    }
+    let offset = this.compareHostData(record.data, bytes, 0)
+    if (offset >= 0) {
+      this.fail("host packet differs from the capture at byte " + offset, bytes, offset)
+    }
+    this.position++
+  }
+
+  matchStream(bytes) {
+    let matched = 0
+    while (matched < bytes.length) {
+      this.skipHostZeroLengthPackets()
+      let record = this.records[this.position]
+      if (record === undefined || record.direction !== "out") {
+        this.fail("driver sent more data than the capture shows", bytes.subarray(matched))
+      }
+      let count = Math.min(record.data.length - this.outOffset, bytes.length - matched)
+      let expected = record.data.subarray(this.outOffset, this.outOffset + count)
+      let offset = this.compareHostData(expected, bytes.subarray(matched, matched + count), this.outOffset)
+      if (offset >= 0) {
+        this.fail("host data differs from the capture at byte " + (this.outOffset + offset) + " of packet " + this.position,
+          bytes.subarray(matched), offset, this.outOffset)
+      }
+      matched += count
+      this.outOffset += count
+      if (this.outOffset === record.data.length) {
+        this.position++
+        this.outOffset = 0
+      }
+    }
+  }
+
+  /*
+   * @method  compareHostData
+   * @brief   Compare host bytes with the recorded packet at position, expected starting at byte base of it.
+   *          Bytes in options.knownDifferences are skipped, and recorded in knownDifferences when they differ.
+   *          Returns the offset of the first other difference, or -1.
+   *
+   */
+  compareHostData(expected, actual, base) {
+    let ranges = (this.options.knownDifferences || []).filter((range) => range.packet === this.position)
+    let known = (offset) => ranges.find((range) => base + offset >= range.offset && base + offset < range.offset + range.length)
+    let length = Math.min(expected.length, actual.length)
+    for (let i = 0; i < length; i++) {
+      if (expected[i] === actual[i]) {
+        continue
+      }
+      let range = known(i)
+      if (range === undefined) {
+        return i
+      }
+      if (!this.knownDifferences.some((difference) => difference.name === range.name)) {
+        let start = range.offset - base
+        this.knownDifferences.push({
+          name: range.name,
+          reason: range.reason,
+          expected: expected.slice(start, start + range.length),
+          actual: actual.slice(start, start + range.length)
+        })
+      }
+    }
+    return (expected.length === actual.length) ? -1 : length
+  }
+
+  skipHostZeroLengthPackets() {
+    if (!this.options.coalesce) {
+      return
+    }
+    while (this.outOffset === 0 && this.records[this.position] !== undefined &&
+      this.records[this.position].direction === "out" && this.records[this.position].data.length === 0) {
+      this.position++
+    }
+  }
+
+  fail(message, actual, offset = 0, expectedOffset = 0) {
+    let record = this.records[this.position]
+    let mismatch = {
+      index: this.position,
+      offset: expectedOffset + offset,
+      expected: record ? hexWindow(record.data, expectedOffset + offset) : "",
+      actual: hexWindow(actual, offset),
+      message: "Packet " + this.position + ": " + message
+    }
+    this.mismatches.push(mismatch)
+    throw new ReplayMismatchError([mismatch])
+  }
+
+  rejectReads() {
+    let reads = this.pendingReads
+    this.pendingReads = new Array(0)
+    reads.forEach((reject) => reject(new Error("The transfer was cancelled.")))
+  }
+}
+
+function hexWindow(bytes, offset) {
+  let start = Math.max(0, offset - REPLAY_HEX_CONTEXT)
+  let end = Math.min(bytes.length, offset + REPLAY_HEX_CONTEXT)
+  let hex = Array.from(bytes.subarray(start, end), (byte) => byte.toString(16).padStart(2, "0"))
+  return start.toString(16).padStart(4, "0") + ": " + hex.join(" ")
+}
+
+/*
+ * @const   REPLAY_SCENARIOS
+ * @brief   Driver calls replayed against a captured transaction. Each entry names the operation to find in the
+ *          capture and a run(mtpDevice, transaction) that aligns the session state with it and makes the call.
+ *          knownDifferences(transaction), when present, gives the ranges { name, offset, length, reason } of the
+ *          host data phase payload where the driver's defaults differ from the Windows driver.
+ *
+ */
+export const REPLAY_SCENARIOS = {
+  openSession: {
+    operation: MTP_OPEN_SESSION,
+    async run(mtpDevice, transaction) {
+      mtpDevice.sessionID = transaction.command.params[0]
+      mtpDevice.transactionID = transaction.command.transactionID
+      return mtpDevice.openSession()
+    }
+  },
+  deleteFile: {
+    operation: MTP_DELETE_OBJECT,
+    async run(mtpDevice, transaction) {
+      mtpDevice.transactionID = transaction.command.transactionID - 1
+      return mtpDevice.deleteFile({ fileID: transaction.command.params[0] })
+    }
+  },
+  uploadFileInfo: {
+    operation: MTP_SEND_OBJECT_INFO,
+    async run(mtpDevice, transaction) {
+      requireDataPhase(transaction)
+      let [storageID, parentHandle] = transaction.command.params
+      let fileInfo = new ObjectInfoDataset(0)
+      fileInfo.initDatasetFromMTPData(transaction.data)
+      mtpDevice.transactionID = transaction.command.transactionID - 1
+      return mtpDevice.uploadFileInfo({ storageID: storageID }, fileInfo.fileName, fileInfo.filesize, parentHandle)
+    },
+    knownDifferences(transaction) {
+      let data = transaction.data
+      let dateCreated = OBJECT_INFO_FILENAME_OFFSET + 1 + 2 * data[OBJECT_INFO_FILENAME_OFFSET]
+      let dateModified = dateCreated + 1 + 2 * data[dateCreated]
+      return [
+        { name: "objectFormat", offset: OBJECT_INFO_FORMAT_OFFSET, length: 2,
+          reason: "the driver sends the format of the file extension (Text for .txt), Windows sends Undefined" },
+        { name: "dateCreated", offset: dateCreated, length: 1 + 2 * data[dateCreated],
+          reason: "the driver stamps an upload with the time it is made" },
+        { name: "dateModified", offset: dateModified, length: 1 + 2 * data[dateModified],
+          reason: "the driver stamps an upload with the time it is made" },
+      ]
+    }
+  },
+  uploadFile: {
+    operation: MTP_SEND_OBJECT,
+    async run(mtpDevice, transaction) {
+      requireDataPhase(transaction)
+      mtpDevice.transactionID = transaction.command.transactionID - 1
+      return mtpDevice.uploadFile(transaction.data)
+    }
+  }
+}
+
+function requireDataPhase(transaction) {
+  if (transaction.data === null) {
+    throw new Error("the capture has no data phase for transaction " + transaction.command.transactionID)
+  }
+}
+
+/*
+ * @function  runReplay
+ * @brief     Replay a scenario against a capture with a fresh MTPDevice. Returns
+ *            { scenario, passed, mismatches, knownDifferences, hostPackets, result, error }.
+ *            capture - anything loadCapture accepts, or the packets it returned
+ *            options - { bus, device } for extractMTPTraffic, coalesce and packetSize for MTPReplayDevice
+ *
+ */
+export async function runReplay(capture, scenarioName, options = {}) {
+  let scenario = REPLAY_SCENARIOS[scenarioName]
+  if (scenario === undefined) {
+    throw new Error("runReplay: unknown scenario " + scenarioName)
+  }
+  let packets = Array.isArray(capture) ? capture : loadCapture(capture, options)
+  let traffic = extractMTPTraffic(packets, options)
+  let transaction = findTransaction(traffic, scenario.operation)
+  let replayTraffic = { ...traffic, packets: traffic.packets.slice(transaction.start, transaction.end + 1) }
+  let knownDifferences = scenario.knownDifferences ? hostDataRanges(replayTraffic.packets, scenario.knownDifferences(transaction)) : []
+  let replayDevice = new MTPReplayDevice(replayTraffic, { ...options, knownDifferences: knownDifferences })
+  let mtpDevice = new MTPDevice()
+  mtpDevice.device = replayDevice
+  mtpDevice.sleep = async () => {}
+  mtpDevice.recovering = true               // A failed replay must not be followed by cancel and reset traffic
+  let report = {
+    scenario: scenarioName, passed: false, mismatches: replayDevice.mismatches, knownDifferences: replayDevice.knownDifferences,
+    hostPackets: replayDevice.hostPackets, result: null, error: null
+  }
+  try {
+    await replayDevice.open()
+    await replayDevice.selectConfiguration(1)
+    await replayDevice.claimInterface(0)
+    await mtpDevice.getEndpoints()
+    mtpDevice.sessionOpen = true
+    report.result = await scenario.run(mtpDevice, transaction)
+  } catch (err) {
+    report.error = err
+  } finally {
+    await replayDevice.close()
+  }
+  if (report.error === null && !replayDevice.finished()) {
+    report.mismatches.push({
+      index: replayDevice.position, offset: 0, expected: "", actual: "",
+      message: "Packet " + replayDevice.position + ": the transaction ended before the rest of the capture was replayed"
+    })
+  }
+  report.passed = report.error === null && report.mismatches.length === 0
+  return report
+}
+
+// Ranges of the host data phase payload of a replayed transaction as { packet, offset } of the recorded packets
+function hostDataRanges(packets, ranges) {
+  let located = new Array(0)
+  for (const range of ranges) {
+    let position = CONTAINER_HEADER_LEN + range.offset   // Offset in the data container
+    for (let i = 1; i < packets.length; i++) {
+      if (packets[i].direction !== "out") {
+        continue
+      }
+      if (position < packets[i].data.length) {
+        located.push({ ...range, packet: i, offset: position })
+        break
+      }
+      position -= packets[i].data.length
+    }
+  }
+  return located
+}
+
+/*
+ * @function  assertReplay
+ * @brief     runReplay, throwing ReplayMismatchError when the driver's packets differ from the capture
+ *
+ */
+export async function assertReplay(capture, scenarioName, options = {}) {
+  let report = await runReplay(capture, scenarioName, options)
+  if (report.mismatches.length > 0) {
+    throw new ReplayMismatchError(report.mismatches)
+  }
+  if (report.error !== null) {
+    throw report.error
+  }
+  return report
+}
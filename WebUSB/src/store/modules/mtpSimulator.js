@@ -0,0 +1,1297 @@
+/**
+ *
+ * Copyright (c) 2021-2024 Technical Products Group
+ *
+ * @file    mtpSimulator.js
+ * @brief   In-memory MTP responder implementing the parts of the WebUSB USBDevice interface used by mtpDriver.js
+ *          (open, selectConfiguration, claimInterface, transferIn, transferOut, controlTransferIn/Out, clearHalt).
+ *          It keeps a virtual object store preloaded with the TPG recorder layout and answers MTP operations per
+ *          the USB Media Transfer Protocol Specification v1.1, so the driver can be exercised in Node or as the
+ *          "demo device" of the app without a recorder plugged in.
+ *
+ *          Faults can be injected per operation with addFault: a delayed response, an error response code, a
+ *          stalled bulk IN endpoint, or no response at all.
+ *
+ *          replug restarts the recorder the way unplugging it does: the simulator drops off the bus for
+ *          options.rebootDelay and reports "disconnect" and "connect" to its addEventListener listeners, the way
+ *          navigator.usb does for a recorder.
+ *
+ *          BOOTIMG.img is opaque to the simulator, as its format is not documented: a restart after a new one
+ *          was uploaded reports options.updateFirmwareVersion as the installed firmware.
+ */
+
+// MTP Container Types
+const CONTAINER_TYPE_COMMAND = 0x0001
+const CONTAINER_TYPE_DATA = 0x0002
+const CONTAINER_TYPE_RESPONSE = 0x0003
+const CONTAINER_TYPE_EVENT = 0x0004
+const CONTAINER_HEADER_LEN = 12
+
+// MTP Operation Codes answered by the simulator
+const GET_DEVICE_INFO = 0x1001
+const OPEN_SESSION = 0x1002
+const CLOSE_SESSION = 0x1003
+const GET_STORAGE_IDS = 0x1004
+const GET_STORAGE_INFO = 0x1005
+const GET_OBJECT_HANDLES = 0x1007
+const GET_OBJECT_INFO = 0x1008
+const GET_OBJECT = 0x1009
+const DELETE_OBJECT = 0x100b
+const SEND_OBJECT_INFO = 0x100c
+const SEND_OBJECT = 0x100d
+const MOVE_OBJECT = 0x1019
+const COPY_OBJECT = 0x101a
+const GET_PARTIAL_OBJECT = 0x101b
+const GET_PARTIAL_OBJECT_64 = 0x95c1
+const GET_OBJECT_PROPS_SUPPORTED = 0x9801
+const GET_OBJECT_PROP_DESC = 0x9802
+const GET_OBJECT_PROP_VALUE = 0x9803
+const SET_OBJECT_PROP_VALUE = 0x9804
+const GET_OBJECT_PROP_LIST = 0x9805
+
+// Operations with a host to device data phase
+const DATA_OUT_OPERATIONS = [SEND_OBJECT_INFO, SEND_OBJECT, SET_OBJECT_PROP_VALUE]
+
+// MTP Response Codes
+const MTP_OK = 0x2001
+const MTP_GENERAL_ERROR = 0x2002
+const MTP_SESSION_NOT_OPEN = 0x2003
+const MTP_OPERATION_NOT_SUPPORTED = 0x2005
+const MTP_INVALID_STORAGE_ID = 0x2008
+const MTP_INVALID_OBJECT_HANDLE = 0x2009
+const MTP_STORE_FULL = 0x200c
+const MTP_ACCESS_DENIED = 0x200f
+const MTP_NO_VALID_OBJECT_INFO = 0x2015
+const MTP_DEVICE_BUSY = 0x2019
+const MTP_INVALID_PARENT_OBJECT = 0x201a
+const MTP_INVALID_PARAMETER = 0x201d
+const MTP_SESSION_ALREADY_OPEN = 0x201e
+const MTP_INVALID_OBJECT_PROP_CODE = 0xa801
+const MTP_GROUP_NOT_SUPPORTED = 0xa805
+const MTP_SPECIFICATION_BY_DEPTH_UNSUPPORTED = 0xa808
+
+// MTP Event Codes
+const EVENT_OBJECT_ADDED = 0x4002
+const EVENT_OBJECT_REMOVED = 0x4003
+const EVENT_OBJECT_INFO_CHANGED = 0x4007
+
+// MTP Class-specific control requests
+const CLASS_CANCEL_REQUEST = 0x64
+const CLASS_DEVICE_RESET = 0x66
+const CLASS_GET_DEVICE_STATUS = 0x67
+
+// Object formats, property codes and datatypes
+const FORMAT_UNDEFINED = 0x3000
+const FORMAT_ASSOCIATION = 0x3001
+const FORMAT_TEXT = 0x3004
+const ASSOCIATION_GENERIC_FOLDER = 0x0001
+const PROP_STORAGE_ID = 0xdc01
+const PROP_OBJECT_FORMAT = 0xdc02
+const PROP_PROTECTION_STATUS = 0xdc03
+const PROP_OBJECT_SIZE = 0xdc04
+const PROP_ASSOCIATION_TYPE = 0xdc05
+const PROP_ASSOCIATION_DESC = 0xdc06
+const PROP_OBJECT_FILE_NAME = 0xdc07
+const PROP_DATE_CREATED = 0xdc08
+const PROP_DATE_MODIFIED = 0xdc09
+const PROP_PARENT_OBJECT = 0xdc0b
+const PROP_NAME = 0xdc44
+const PROP_ALL = 0xffffffff
+const TYPE_UINT16 = 0x0004
+const TYPE_UINT32 = 0x0006
+const TYPE_UINT64 = 0x0008
+const TYPE_STR = 0xffff
+
+const OBJECT_PROP_TYPES = {
+  [PROP_STORAGE_ID]: TYPE_UINT32,
+  [PROP_OBJECT_FORMAT]: TYPE_UINT16,
+  [PROP_PROTECTION_STATUS]: TYPE_UINT16,
+  [PROP_OBJECT_SIZE]: TYPE_UINT64,
+  [PROP_ASSOCIATION_TYPE]: TYPE_UINT16,
+  [PROP_ASSOCIATION_DESC]: TYPE_UINT32,
+  [PROP_OBJECT_FILE_NAME]: TYPE_STR,
+  [PROP_DATE_CREATED]: TYPE_STR,
+  [PROP_DATE_MODIFIED]: TYPE_STR,
+  [PROP_PARENT_OBJECT]: TYPE_UINT32,
+  [PROP_NAME]: TYPE_STR,
+}
+
+// Simulated USB layout
+const TPG_USB_VENDOR_ID = 7485
+const SIM_PRODUCT_ID = 0x0001
+const SIM_INTERFACE_NUMBER = 0
+const SIM_ENDPOINT_OUT = 1
+const SIM_ENDPOINT_IN = 2
+const SIM_ENDPOINT_EVENT = 3
+const SIM_PACKET_SIZE = 512
+const SIM_EVENT_PACKET_SIZE = 64
+
+// Simulated recorder
+const SIM_STORAGE_ID = 0x00010001
+const SIM_ROOT = 0x00000000                 // Parent handle of objects in the root of the storage
+const SIM_ALL_OBJECTS = 0xffffffff          // GetObjectHandles parent meaning "root", DeleteObject handle meaning "all"
+const SIM_UINT32_LIMIT = 0x100000000
+const SIM_STATUS_BUSY_TIME = 50             // Milliseconds the device reports Device Busy after a cancel
+const SIM_AUDIO_SAMPLE_RATE = 16000         // data.dat is synthesized as 16-bit mono PCM at this rate
+const SIM_AUDIO_TONE = 440                  // Frequency of the synthesized tone in Hz
+const SIM_COMMAND_FILE = "command.txt"
+const SIM_CONFIG_FILE = "config.txt"
+const SIM_FIRMWARE_FILE = "BOOTIMG.img"
+const SIM_AUDIO_FILE = "data.dat"
+
+const DEFAULT_OPTIONS = {
+  serialNumber: "SIM00001",
+  firmwareVersion: "2.1.4",
+  hardwareVersion: "3",
+  storageSize: 8 * 1024 * 1024 * 1024,      // Capacity of the virtual storage in bytes
+  audioSize: 8 * 1024 * 1024,               // Size of the preloaded data.dat
+  firmwareSize: 256 * 1024,                 // Size of the preloaded BOOTIMG.img
+  updateFirmwareVersion: "2.2.0",           // FirmwareVersion reported after a new BOOTIMG.img is installed
+  transferDelay: 0,                         // Milliseconds added to every bulk transfer
+  commandDelay: 2000,                       // Milliseconds before a new command.txt is applied to config.txt
+  rebootDelay: 3000,                        // Milliseconds the device is off the bus when it restarts
+  shareTransfers: false,                    // Complete a bulk IN transfer with the start of the next container
+}
+
+/*
+ * @class   simDatasetWriter
+ * @brief   Little-endian writer for the datasets the simulated device sends
+ *
+ */
+class simDatasetWriter {
+  constructor() {
+    this.bytes = new Array(0)
+  }
+
+  uint8(value) {
+    this.bytes.push(value & 0xff)
+  }
+
+  uint16(value) {
+    this.bytes.push(value & 0xff, (value >> 8) & 0xff)
+  }
+
+  uint32(value) {
+    for (let i = 0; i < 4; i++) {
+      this.bytes.push(Math.floor(value / Math.pow(2, 8 * i)) & 0xff)
+    }
+  }
+
+  uint64(value) {
+    this.uint32(value % SIM_UINT32_LIMIT)
+    this.uint32(Math.floor(value / SIM_UINT32_LIMIT))
+  }
+
+  string(value) {
+    if (value.length === 0) {
+      this.uint8(0)
+      return
+    }
+    this.uint8(value.length + 1)
+    for (let i = 0; i < value.length; i++) {
+      this.uint16(value.charCodeAt(i))
+    }
+    this.uint16(0)
+  }
+
+  uint16Array(values) {
+    this.uint32(values.length)
+    values.forEach((value) => this.uint16(value))
+  }
+
+  uint32Array(values) {
+    this.uint32(values.length)
+    values.forEach((value) => this.uint32(value))
+  }
+
+  value(dataType, value) {
+    switch (dataType) {
+      case TYPE_UINT16: this.uint16(value); break
+      case TYPE_UINT32: this.uint32(value); break
+      case TYPE_UINT64: this.uint64(value); break
+      case TYPE_STR: this.string(value); break
+    }
+  }
+
+  toUint8Array() {
+    return Uint8Array.from(this.bytes)
+  }
+}
+
+/*
+ * @class   simDatasetReader
+ * @brief   Little-endian reader for the datasets the host sends
+ *
+ */
+class simDatasetReader {
+  constructor(bytes) {
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    this.offset = 0
+  }
+
+  uint8() {
+    return this.view.getUint8(this.offset++)
+  }
+
+  uint16() {
+    let value = this.view.getUint16(this.offset, true)
+    this.offset += 2
+    return value
+  }
+
+  uint32() {
+    let value = this.view.getUint32(this.offset, true)
+    this.offset += 4
+    return value
+  }
+
+  string() {
+    let numChars = this.uint8()
+    let chars = new Array(0)
+    for (let i = 0; i < numChars; i++) {
+      chars.push(this.uint16())
+    }
+    let terminator = chars.indexOf(0)
+    return String.fromCharCode(...(terminator >= 0 ? chars.slice(0, terminator) : chars))
+  }
+}
+
+/*
+ * @class   simObject
+ * @brief   An object in the virtual store. Its content is either a Uint8Array or, for large synthesized
+ *          files, a generator function (offset, length) => Uint8Array with a fixed size.
+ *
+ */
+class simObject {
+  constructor(handle, parent, fileName, format, content = new Uint8Array(0), size = null) {
+    this.handle = handle
+    this.storageID = SIM_STORAGE_ID
+    this.parent = parent
+    this.fileName = fileName
+    this.format = format
+    this.associationType = (format === FORMAT_ASSOCIATION) ? ASSOCIATION_GENERIC_FOLDER : 0
+    this.content = content
+    this.contentSize = (size !== null) ? size : content.length
+    this.dateCreated = new Date()
+    this.dateModified = this.dateCreated
+  }
+
+  get size() {
+    return this.contentSize
+  }
+
+  isFolder() {
+    return this.format === FORMAT_ASSOCIATION
+  }
+
+  read(offset, length) {
+    length = Math.max(0, Math.min(length, this.contentSize - offset))
+    if (typeof this.content === "function") {
+      return this.content(offset, length)
+    }
+    return this.content.subarray(offset, offset + length)
+  }
+
+  setContent(content) {
+    this.content = content
+    this.contentSize = content.length
+    this.dateModified = new Date()
+  }
+}
+
+/*
+ * @class   MTPSimulator
+ * @brief   A simulated TPG recorder with the shape of a WebUSB USBDevice
+ *
+ */
+export default class MTPSimulator {
+
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options }
+
+    // USBDevice properties
+    this.vendorId = TPG_USB_VENDOR_ID
+    this.productId = SIM_PRODUCT_ID
+    this.manufacturerName = "Technical Products Group"
+    this.productName = "LENA Recorder (demo)"
+    this.serialNumber = this.options.serialNumber
+    this.opened = false
+    this.configuration = null
+    this.configurations = [{
+      configurationValue: 1,
+      configurationName: null,
+      interfaces: [{
+        interfaceNumber: SIM_INTERFACE_NUMBER,
+        claimed: false,
+        alternates: [{
+          alternateSetting: 0,
+          interfaceClass: 0x06,             // Still Image Capture Device class
+          interfaceSubclass: 0x01,
+          interfaceProtocol: 0x01,
+          interfaceName: "MTP",
+          endpoints: [
+            { endpointNumber: SIM_ENDPOINT_OUT, direction: "out", type: "bulk", packetSize: SIM_PACKET_SIZE },
+            { endpointNumber: SIM_ENDPOINT_IN, direction: "in", type: "bulk", packetSize: SIM_PACKET_SIZE },
+            { endpointNumber: SIM_ENDPOINT_EVENT, direction: "in", type: "interrupt", packetSize: SIM_EVENT_PACKET_SIZE }
+          ]
+        }]
+      }]
+    }]
+
+    // Protocol state
+    this.sessionID = 0
+    this.bulkIn = new Array(0)              // Containers queued for the host, see queueContainer
+    this.events = new Array(0)              // Event containers queued for the interrupt endpoint
+    this.readers = new Array(0)             // Pending transferIn calls waiting for data, by endpoint
+    this.bulkInHalted = false
+    this.command = null                     // Command waiting for its data phase
+    this.dataOut = null                     // Data phase being received { length, chunks, received }
+    this.pendingObject = null               // Object announced by SendObjectInfo waiting for SendObject
+    this.busyUntil = 0
+    this.faults = new Array(0)
+    this.transferLog = new Array(0)         // Operations answered, for tests: { operation, transactionID, params, responseCode }
+    this.sharedTransfers = 0                // Bulk IN transfers that held more than one container, for tests
+
+    // Virtual object store
+    this.objects = new Map()
+    this.nextHandle = 1
+    this.clockOffset = 0                    // Milliseconds the recorder clock was set ahead of the host clock
+    this.config = {
+      SerialNumber: this.options.serialNumber,
+      FirmwareVersion: this.options.firmwareVersion,
+      HardwareVersion: this.options.hardwareVersion,
+      DeviceCurrentTime: formatConfigTime(new Date()),
+      RecordingDurationConfig: "16",
+      RecordingMultidayConfig: "1",
+      AudioEncoding: "PCM16",
+      AudioLength: "4.5",
+      Gain: "24",
+      BatteryIsCharging: "Charged",
+      BatteryAmperage: "0.12",
+      BatteryVoltage: "4.15",
+    }
+    this.addObject(SIM_ROOT, SIM_CONFIG_FILE, FORMAT_TEXT, this.configFileContent())
+    this.addObject(SIM_ROOT, SIM_COMMAND_FILE, FORMAT_TEXT)
+    this.addObject(SIM_ROOT, SIM_AUDIO_FILE, FORMAT_UNDEFINED, synthesizeAudio, this.options.audioSize)
+    this.firmwareImage = this.addObject(SIM_ROOT, SIM_FIRMWARE_FILE, FORMAT_UNDEFINED, firmwarePattern(this.options.firmwareSize))
+    this.listeners = { connect: new Array(0), disconnect: new Array(0) }
+  }
+
+  /*
+   * @method  addEventListener
+   * @brief   Listen for the "disconnect" and "connect" of a restart; listener is called with
+   *          { device } like the navigator.usb events
+   *
+   */
+  addEventListener(type, listener) {
+    this.listeners[type].push(listener)
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners[type] = this.listeners[type].filter((element) => element !== listener)
+  }
+
+  emitUsbEvent(type) {
+    for (const listener of this.listeners[type]) {
+      listener({ type: type, device: this })
+    }
+  }
+
+  /*
+   * @method  addFault
+   * @brief   Inject a fault into the handling of an operation (null for any operation). The fault applies to
+   *          the next count commands, or to all of them when count is omitted.
+   *
+   *          { operation, type: "delay", ms }          - respond after ms milliseconds
+   *          { operation, type: "error", responseCode } - respond with responseCode and no data phase
+   *          { operation, type: "stall" }               - halt the bulk IN endpoint instead of responding
+   *          { operation, type: "hang" }                - never respond (the host has to cancel)
+   *
+   */
+  addFault(fault) {
+    this.faults.push({ operation: null, count: Infinity, ...fault })
+  }
+
+  clearFaults() {
+    this.faults = new Array(0)
+  }
+
+  /*
+   * @method  addObject
+   * @brief   Add an object to the virtual store and return it
+   *
+   */
+  addObject(parent, fileName, format, content = new Uint8Array(0), size = null) {
+    let object = new simObject(this.nextHandle++, parent, fileName, format, content, size)
+    this.objects.set(object.handle, object)
+    return object
+  }
+
+  findObject(fileName, parent = SIM_ROOT) {
+    for (const object of this.objects.values()) {
+      if (object.fileName === fileName && object.parent === parent) {
+        return object
+      }
+    }
+    return null
+  }
+
+  usedSpace() {
+    let total = 0
+    this.objects.forEach((object) => { total += object.size })
+    return total
+  }
+
+  configFileContent() {
+    let text = Object.keys(this.config).map((key) => key + "=" + this.config[key]).join("\r\n") + "\r\n"
+    return Uint8Array.from(text, (c) => c.charCodeAt(0) & 0xff)
+  }
+
+  /*
+   * USBDevice interface
+   */
+  async open() {
+    this.opened = true
+  }
+
+  async close() {
+    this.opened = false
+    this.configuration = null
+    this.abortReaders("The device was closed.")
+    this.resetProtocol()
+  }
+
+  async selectConfiguration(configurationValue) {
+    this.checkOpened()
+    this.configuration = this.configurations.find((config) => config.configurationValue === configurationValue)
+    if (this.configuration === undefined) {
+      this.configuration = null
+      throw new Error("The configuration value provided is not supported by the device.")
+    }
+  }
+
+  async claimInterface(interfaceNumber) {
+    this.checkInterface(interfaceNumber).claimed = true
+  }
+
+  async releaseInterface(interfaceNumber) {
+    this.checkInterface(interfaceNumber).claimed = false
+    this.abortReaders("The transfer was cancelled.")
+  }
+
+  async reset() {
+    this.checkOpened()
+    this.abortReaders("The transfer was cancelled.")
+    this.resetProtocol()
+  }
+
+  async clearHalt(direction, endpointNumber) {
+    this.checkOpened()
+    if (direction === "in" && endpointNumber === SIM_ENDPOINT_IN) {
+      this.bulkInHalted = false
+    }
+  }
+
+  async transferOut(endpointNumber, data) {
+    this.checkClaimed()
+    await this.delay(this.options.transferDelay)
+    let bytes = toUint8Array(data)
+    if (endpointNumber !== SIM_ENDPOINT_OUT) {
+      throw new Error("The specified endpoint is not part of a claimed and selected alternate interface.")
+    }
+    if (this.dataOut !== null) {
+      this.receiveData(bytes)
+    } else if (bytes.length >= CONTAINER_HEADER_LEN) {
+      this.receiveContainer(bytes)
+    }
+    return { status: "ok", bytesWritten: bytes.length }
+  }
+
+  async transferIn(endpointNumber, length) {
+    this.checkClaimed()
+    if (endpointNumber === SIM_ENDPOINT_EVENT) {
+      while (this.events.length === 0) {
+        await this.waitForData(endpointNumber)
+      }
+      let event = this.events.shift()
+      return { status: "ok", data: new DataView(event.buffer, event.byteOffset, event.byteLength) }
+    }
+    if (endpointNumber !== SIM_ENDPOINT_IN) {
+      throw new Error("The specified endpoint is not part of a claimed and selected alternate interface.")
+    }
+    await this.delay(this.options.transferDelay)
+    while (!this.bulkInHalted && this.bulkIn.length === 0) {
+      await this.waitForData(endpointNumber)
+    }
+    if (this.bulkInHalted) {
+      return { status: "stall", data: new DataView(new ArrayBuffer(0)) }
+    }
+    let bytes = this.takeBulkIn(length)
+    if (bytes === null) {
+      return { status: "babble", data: new DataView(new ArrayBuffer(0)) }
+    }
+    return { status: "ok", data: new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength) }
+  }
+
+  async controlTransferOut(setup, data) {
+    this.checkClaimed()
+    switch (setup.request) {
+      case CLASS_CANCEL_REQUEST:
+        // Drop the transaction in progress; the device reports busy for a moment while it cleans up
+        this.bulkIn = new Array(0)
+        this.command = null
+        this.dataOut = null
+        this.busyUntil = Date.now() + SIM_STATUS_BUSY_TIME
+        break
+      case CLASS_DEVICE_RESET:
+        this.resetProtocol()
+        break
+      default:
+        return { status: "stall", bytesWritten: 0 }
+    }
+    return { status: "ok", bytesWritten: data ? toUint8Array(data).length : 0 }
+  }
+
+  async controlTransferIn(setup, length) {
+    this.checkClaimed()
+    if (setup.request !== CLASS_GET_DEVICE_STATUS) {
+      return { status: "stall", data: new DataView(new ArrayBuffer(0)) }
+    }
+    let writer = new simDatasetWriter()
+    let halted = this.bulkInHalted ? [0x80 | SIM_ENDPOINT_IN] : []
+    writer.uint16(4 + 4 * halted.length)
+    writer.uint16((halted.length > 0 || Date.now() < this.busyUntil) ? MTP_DEVICE_BUSY : MTP_OK)
+    halted.forEach((endpoint) => writer.uint32(endpoint))
+    let bytes = writer.toUint8Array().subarray(0, length)
+    return { status: "ok", data: new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength) }
+  }
+
+  /*
+   * Transfer plumbing
+   */
+  checkOpened() {
+    if (!this.opened) {
+      throw new Error("The device must be opened first.")
+    }
+  }
+
+  checkInterface(interfaceNumber) {
+    this.checkOpened()
+    if (this.configuration === null) {
+      throw new Error("The device must have a configuration selected.")
+    }
+    let deviceInterface = this.configuration.interfaces.find((element) => element.interfaceNumber === interfaceNumber)
+    if (deviceInterface === undefined) {
+      throw new Error("The interface number provided is not supported by the device in its current configuration.")
+    }
+    return deviceInterface
+  }
+
+  checkClaimed() {
+    if (!this.checkInterface(SIM_INTERFACE_NUMBER).claimed) {
+      throw new Error("The specified endpoint is not part of a claimed and selected alternate interface.")
+    }
+  }
+
+  async delay(ms) {
+    if (ms > 0) {
+      await new Promise((resolve) => setTimeout(resolve, ms))
+    }
+  }
+
+  waitForData(endpointNumber) {
+    return new Promise((resolve, reject) => {
+      this.readers.push({ endpointNumber: endpointNumber, resolve: resolve, reject: reject })
+    })
+  }
+
+  wakeReaders(endpointNumber) {
+    let readers = this.readers.filter((reader) => reader.endpointNumber === endpointNumber)
+    this.readers = this.readers.filter((reader) => reader.endpointNumber !== endpointNumber)
+    readers.forEach((reader) => reader.resolve())
+  }
+
+  abortReaders(message) {
+    let readers = this.readers
+    this.readers = new Array(0)
+    readers.forEach((reader) => reader.reject(abortError(message)))
+  }
+
+  resetProtocol() {
+    this.sessionID = 0
+    this.bulkIn = new Array(0)
+    this.bulkInHalted = false
+    this.command = null
+    this.dataOut = null
+    this.pendingObject = null
+  }
+
+  /*
+   * @method  queueContainer
+   * @brief   Queue a container for the bulk IN endpoint. The payload is read lazily through read(offset, length)
+   *          so that large objects are never copied as a whole.
+   *
+   */
+  queueContainer(type, code, transactionID, payloadLength, read) {
+    let header = new simDatasetWriter()
+    header.uint32(Math.min(CONTAINER_HEADER_LEN + payloadLength, SIM_UINT32_LIMIT - 1))
+    header.uint16(type)
+    header.uint16(code)
+    header.uint32(transactionID)
+    let headerBytes = header.toUint8Array()
+    this.bulkIn.push({
+      length: CONTAINER_HEADER_LEN + payloadLength,
+      position: 0,
+      read: (offset, length) => {
+        let chunk = new Uint8Array(length)
+        let payloadStart = 0
+        if (offset < CONTAINER_HEADER_LEN) {
+          let headerPart = headerBytes.subarray(offset, Math.min(CONTAINER_HEADER_LEN, offset + length))
+          chunk.set(headerPart)
+          payloadStart = headerPart.length
+        }
+        if (payloadStart < length) {
+          let payloadOffset = offset + payloadStart - CONTAINER_HEADER_LEN
+          chunk.set(read(payloadOffset, length - payloadStart), payloadStart)
+        }
+        return chunk
+      }
+    })
+    this.wakeReaders(SIM_ENDPOINT_IN)
+  }
+
+  queueData(code, transactionID, bytes) {
+    this.queueContainer(CONTAINER_TYPE_DATA, code, transactionID, bytes.length,
+      (offset, length) => bytes.subarray(offset, offset + length))
+  }
+
+  queueResponse(code, transactionID, params = []) {
+    let writer = new simDatasetWriter()
+    params.forEach((param) => writer.uint32(param))
+    let bytes = writer.toUint8Array()
+    this.queueContainer(CONTAINER_TYPE_RESPONSE, code, transactionID, bytes.length,
+      (offset, length) => bytes.subarray(offset, offset + length))
+  }
+
+  queueEvent(code, params = []) {
+    let writer = new simDatasetWriter()
+    writer.uint32(CONTAINER_HEADER_LEN + 4 * params.length)
+    writer.uint16(CONTAINER_TYPE_EVENT)
+    writer.uint16(code)
+    writer.uint32(0)
+    params.forEach((param) => writer.uint32(param))
+    this.events.push(writer.toUint8Array())
+    this.wakeReaders(SIM_ENDPOINT_EVENT)
+  }
+
+  /*
+   * @method  takeBulkIn
+   * @brief   Complete a transferIn of up to length bytes with USB semantics: a transfer ends when length is
+   *          reached or at the short packet that ends a container. A container ending exactly on a packet
+   *          boundary is followed by a zero length packet, which a later transfer receives if this one
+   *          did not. Returns null when length is not a whole number of packets (babble).
+   *
+   *          With options.shareTransfers the room left in a transfer after the end of a container is filled
+   *          from the next one queued, as the recorder did with two responses in the capture of an upload
+   *          (tests/fixtures/replay/uploadFile.txt).
+   *
+   */
+  takeBulkIn(length) {
+    let container = this.bulkIn[0]
+    let remaining = container.length - container.position
+    if (remaining === 0) {
+      this.bulkIn.shift()                   // The zero length packet left after the last full packet
+      return new Uint8Array(0)
+    }
+    let count = Math.min(length, remaining)
+    if (count < remaining) {
+      count = Math.floor(count / SIM_PACKET_SIZE) * SIM_PACKET_SIZE
+      if (count === 0) {
+        return null
+      }
+    }
+    let bytes = container.read(container.position, count)
+    container.position += count
+    if (container.position === container.length) {
+      if (container.length % SIM_PACKET_SIZE !== 0 || count < length) {
+        this.bulkIn.shift()
+        if (this.options.shareTransfers && count < length && this.bulkIn.length > 0) {
+          let next = this.takeBulkIn(length - count)
+          if (next !== null && next.length > 0) {
+            let shared = new Uint8Array(count + next.length)
+            shared.set(bytes)
+            shared.set(next, count)
+            this.sharedTransfers++
+            return shared
+          }
+        }
+      }
+    }
+    return bytes
+  }
+
+  receiveContainer(bytes) {
+    let reader = new simDatasetReader(bytes)
+    let length = reader.uint32()
+    let type = reader.uint16()
+    let code = reader.uint16()
+    let transactionID = reader.uint32()
+    if (type === CONTAINER_TYPE_COMMAND) {
+      let params = new Array(0)
+      while (reader.offset + 4 <= Math.min(length, bytes.length)) {
+        params.push(reader.uint32())
+      }
+      this.command = { operation: code, transactionID: transactionID, params: params }
+      if (!DATA_OUT_OPERATIONS.includes(code)) {
+        this.runCommand(null)
+      }
+    } else if (type === CONTAINER_TYPE_DATA && this.command !== null) {
+      this.dataOut = { length: length, chunks: new Array(0), received: 0 }
+      this.receiveData(bytes)
+    }
+  }
+
+  receiveData(bytes) {
+    this.dataOut.chunks.push(bytes.slice())
+    this.dataOut.received += bytes.length
+    let complete = (this.dataOut.length === SIM_UINT32_LIMIT - 1) ?
+      (bytes.length % SIM_PACKET_SIZE !== 0) :
+      (this.dataOut.received >= this.dataOut.length)
+    if (complete) {
+      let data = new Uint8Array(this.dataOut.received)
+      let offset = 0
+      this.dataOut.chunks.forEach((chunk) => { data.set(chunk, offset); offset += chunk.length })
+      this.dataOut = null
+      this.runCommand(data.subarray(CONTAINER_HEADER_LEN))
+    }
+  }
+
+  /*
+   * @method  runCommand
+   * @brief   Apply any fault registered for the command, then answer it
+   *
+   */
+  async runCommand(data) {
+    let command = this.command
+    this.command = null
+    let fault = this.faults.find((element) => element.count > 0 && (element.operation === null || element.operation === command.operation))
+    if (fault !== undefined) {
+      fault.count--
+      if (fault.type === "delay") {
+        await this.delay(fault.ms)
+      } else if (fault.type === "error") {
+        this.respond(command, fault.responseCode)
+        return
+      } else if (fault.type === "stall") {
+        this.bulkInHalted = true
+        this.wakeReaders(SIM_ENDPOINT_IN)
+        return
+      } else if (fault.type === "hang") {
+        return
+      }
+    }
+    let result = null
+    try {
+      result = this.handleOperation(command, data)
+    } catch (err) {
+      console.log("MTPSimulator: operation failed", command, err)
+      result = { code: MTP_GENERAL_ERROR }
+    }
+    if (result.data !== undefined) {
+      if (result.data instanceof Uint8Array) {
+        this.queueData(command.operation, command.transactionID, result.data)
+      } else {
+        this.queueContainer(CONTAINER_TYPE_DATA, command.operation, command.transactionID, result.data.length, result.data.read)
+      }
+    }
+    this.respond(command, result.code || MTP_OK, result.params || [])
+  }
+
+  respond(command, responseCode, params = []) {
+    this.transferLog.push({ operation: command.operation, transactionID: command.transactionID, params: command.params, responseCode: responseCode })
+    this.queueResponse(responseCode, command.transactionID, params)
+  }
+
+  /*
+   * @method  handleOperation
+   * @brief   Answer one MTP operation. Returns { code, params, data } where data is a Uint8Array or, for object
+   *          contents, { length, read(offset, length) }.
+   *
+   */
+  handleOperation(command, data) {
+    let p = command.params
+    if (this.sessionID === 0 && command.operation !== GET_DEVICE_INFO && command.operation !== OPEN_SESSION) {
+      return { code: MTP_SESSION_NOT_OPEN }
+    }
+    switch (command.operation) {
+      case GET_DEVICE_INFO:
+        return { data: this.deviceInfoDataset() }
+      case OPEN_SESSION:
+        if (this.sessionID !== 0) {
+          return { code: MTP_SESSION_ALREADY_OPEN, params: [this.sessionID] }
+        }
+        if (!p[0]) {
+          return { code: MTP_INVALID_PARAMETER }
+        }
+        this.sessionID = p[0]
+        return {}
+      case CLOSE_SESSION:
+        this.sessionID = 0
+        return {}
+      case GET_STORAGE_IDS: {
+        let writer = new simDatasetWriter()
+        writer.uint32Array([SIM_STORAGE_ID])
+        return { data: writer.toUint8Array() }
+      }
+      case GET_STORAGE_INFO:
+        if (p[0] !== SIM_STORAGE_ID) {
+          return { code: MTP_INVALID_STORAGE_ID }
+        }
+        return { data: this.storageInfoDataset() }
+      case GET_OBJECT_HANDLES:
+        return this.getObjectHandles(p[0], p[1] || 0, p[2] || 0)
+      case GET_OBJECT_INFO:
+        return this.withObject(p[0], (object) => ({ data: this.objectInfoDataset(object) }))
+      case GET_OBJECT:
+        return this.withObject(p[0], (object) => ({
+          data: { length: object.size, read: (offset, length) => object.read(offset, length) }
+        }))
+      case GET_PARTIAL_OBJECT:
+        return this.getPartialObject(p[0], p[1], p[2])
+      case GET_PARTIAL_OBJECT_64:
+        return this.getPartialObject(p[0], p[1] + p[2] * SIM_UINT32_LIMIT, p[3])
+      case DELETE_OBJECT:
+        return this.deleteObject(p[0])
+      case SEND_OBJECT_INFO:
+        return this.sendObjectInfo(p[0], p[1], data)
+      case SEND_OBJECT:
+        return this.sendObject(data)
+      case MOVE_OBJECT:
+        return this.moveObject(p[0], p[1], p[2], false)
+      case COPY_OBJECT:
+        return this.moveObject(p[0], p[1], p[2], true)
+      case GET_OBJECT_PROPS_SUPPORTED: {
+        let writer = new simDatasetWriter()
+        writer.uint16Array(Object.keys(OBJECT_PROP_TYPES).map(Number))
+        return { data: writer.toUint8Array() }
+      }
+      case GET_OBJECT_PROP_DESC:
+        return this.getObjectPropDesc(p[0])
+      case GET_OBJECT_PROP_VALUE:
+        return this.withObject(p[0], (object) => {
+          if (OBJECT_PROP_TYPES[p[1]] === undefined) {
+            return { code: MTP_INVALID_OBJECT_PROP_CODE }
+          }
+          let writer = new simDatasetWriter()
+          writer.value(OBJECT_PROP_TYPES[p[1]], this.objectPropValue(object, p[1]))
+          return { data: writer.toUint8Array() }
+        })
+      case SET_OBJECT_PROP_VALUE:
+        return this.setObjectPropValue(p[0], p[1], data)
+      case GET_OBJECT_PROP_LIST:
+        return this.getObjectPropList(p[0], p[1] || 0, (p[2] === undefined) ? PROP_ALL : p[2], p[3] || 0, p[4] || 0)
+      default:
+        return { code: MTP_OPERATION_NOT_SUPPORTED }
+    }
+  }
+
+  withObject(handle, action) {
+    let object = this.objects.get(handle)
+    if (object === undefined) {
+      return { code: MTP_INVALID_OBJECT_HANDLE }
+    }
+    return action(object)
+  }
+
+  deviceInfoDataset() {
+    let writer = new simDatasetWriter()
+    writer.uint16(100)                              // StandardVersion
+    writer.uint32(6)                                // VendorExtensionID (Microsoft)
+    writer.uint16(100)                              // VendorExtensionVersion
+    writer.string("microsoft.com: 1.0; android.com: 1.0;")
+    writer.uint16(0)                                // FunctionalMode
+    writer.uint16Array([
+      GET_DEVICE_INFO, OPEN_SESSION, CLOSE_SESSION, GET_STORAGE_IDS, GET_STORAGE_INFO, GET_OBJECT_HANDLES,
+      GET_OBJECT_INFO, GET_OBJECT, DELETE_OBJECT, SEND_OBJECT_INFO, SEND_OBJECT, MOVE_OBJECT, COPY_OBJECT,
+      GET_PARTIAL_OBJECT, GET_PARTIAL_OBJECT_64, GET_OBJECT_PROPS_SUPPORTED, GET_OBJECT_PROP_DESC,
+      GET_OBJECT_PROP_VALUE, SET_OBJECT_PROP_VALUE, GET_OBJECT_PROP_LIST
+    ])
+    writer.uint16Array([EVENT_OBJECT_ADDED, EVENT_OBJECT_REMOVED, EVENT_OBJECT_INFO_CHANGED])
+    writer.uint16Array([])                          // DevicePropertiesSupported
+    writer.uint16Array([])                          // CaptureFormats
+    writer.uint16Array([FORMAT_UNDEFINED, FORMAT_ASSOCIATION, FORMAT_TEXT])
+    writer.string(this.manufacturerName)
+    writer.string(this.productName)
+    writer.string(this.options.firmwareVersion)
+    writer.string(this.options.serialNumber)
+    return writer.toUint8Array()
+  }
+
+  storageInfoDataset() {
+    let writer = new simDatasetWriter()
+    writer.uint16(0x0003)                           // Fixed RAM
+    writer.uint16(0x0002)                           // Generic hierarchical
+    writer.uint16(0x0000)                           // Read-write
+    writer.uint64(this.options.storageSize)
+    writer.uint64(Math.max(0, this.options.storageSize - this.usedSpace()))
+    writer.uint32(0xffffffff)                       // FreeSpaceInObjects not used
+    writer.string("Internal Storage")
+    writer.string("LENA")
+    return writer.toUint8Array()
+  }
+
+  objectInfoDataset(object) {
+    let writer = new simDatasetWriter()
+    writer.uint32(object.storageID)
+    writer.uint16(object.format)
+    writer.uint16(0)                                // ProtectionStatus
+    writer.uint32(Math.min(object.size, SIM_UINT32_LIMIT - 1))
+    writer.uint16(0)                                // ThumbFormat
+    for (let i = 0; i < 6; i++) {
+      writer.uint32(0)                              // Thumb and image sizes, ImageBitDepth
+    }
+    writer.uint32(object.parent)
+    writer.uint16(object.associationType)
+    writer.uint32(0)                                // AssociationDesc
+    writer.uint32(0)                                // SequenceNumber
+    writer.string(object.fileName)
+    writer.string(formatDateTime(object.dateCreated))
+    writer.string(formatDateTime(object.dateModified))
+    writer.string("")                               // Keywords
+    return writer.toUint8Array()
+  }
+
+  getObjectHandles(storageID, format, parent) {
+    if (storageID !== SIM_STORAGE_ID && storageID !== 0xffffffff) {
+      return { code: MTP_INVALID_STORAGE_ID }
+    }
+    let handles = new Array(0)
+    for (const object of this.objects.values()) {
+      let inParent = (parent === 0) ||
+        (parent === SIM_ALL_OBJECTS && object.parent === SIM_ROOT) ||
+        (object.parent === parent)
+      if (inParent && (format === 0 || object.format === format)) {
+        handles.push(object.handle)
+      }
+    }
+    if (parent !== 0 && parent !== SIM_ALL_OBJECTS && !this.objects.has(parent)) {
+      return { code: MTP_INVALID_PARENT_OBJECT }
+    }
+    let writer = new simDatasetWriter()
+    writer.uint32Array(handles)
+    return { data: writer.toUint8Array() }
+  }
+
+  getPartialObject(handle, offset, maxBytes) {
+    return this.withObject(handle, (object) => {
+      let length = Math.max(0, Math.min(maxBytes, object.size - offset))
+      return {
+        data: { length: length, read: (position, count) => object.read(offset + position, count) },
+        params: [length]
+      }
+    })
+  }
+
+  deleteObject(handle) {
+    let handles = (handle === SIM_ALL_OBJECTS) ? Array.from(this.objects.keys()) : [handle]
+    if (handle !== SIM_ALL_OBJECTS && !this.objects.has(handle)) {
+      return { code: MTP_INVALID_OBJECT_HANDLE }
+    }
+    for (const objectHandle of handles) {
+      this.removeObject(objectHandle)
+    }
+    return {}
+  }
+
+  removeObject(handle) {
+    let object = this.objects.get(handle)
+    if (object === undefined) {
+      return
+    }
+    for (const child of Array.from(this.objects.values())) {
+      if (child.parent === handle) {
+        this.removeObject(child.handle)
+      }
+    }
+    this.objects.delete(handle)
+    this.queueEvent(EVENT_OBJECT_REMOVED, [handle])
+  }
+
+  sendObjectInfo(storageID, parent, data) {
+    if (storageID !== SIM_STORAGE_ID) {
+      return { code: MTP_INVALID_STORAGE_ID }
+    }
+    let parentHandle = (parent === SIM_ALL_OBJECTS) ? SIM_ROOT : parent
+    if (parentHandle !== SIM_ROOT && !(this.objects.has(parentHandle) && this.objects.get(parentHandle).isFolder())) {
+      return { code: MTP_INVALID_PARENT_OBJECT }
+    }
+    let reader = new simDatasetReader(data)
+    reader.uint32()                                 // StorageID
+    let format = reader.uint16()
+    reader.uint16()                                 // ProtectionStatus
+    let size = reader.uint32()
+    reader.offset += 2 + 6 * 4                      // Thumb and image fields
+    reader.uint32()                                 // ParentObject
+    reader.uint16()                                 // AssociationType
+    reader.offset += 8                              // AssociationDesc, SequenceNumber
+    let fileName = reader.string()
+    if (fileName.length === 0) {
+      return { code: MTP_INVALID_PARAMETER }
+    }
+    if (size !== SIM_UINT32_LIMIT - 1 && size > this.options.storageSize - this.usedSpace()) {
+      return { code: MTP_STORE_FULL }
+    }
+    let handle = this.nextHandle++
+    if (format === FORMAT_ASSOCIATION) {
+      let folder = new simObject(handle, parentHandle, fileName, format)
+      this.objects.set(handle, folder)
+      this.queueEvent(EVENT_OBJECT_ADDED, [handle])
+    } else {
+      this.pendingObject = new simObject(handle, parentHandle, fileName, format)
+    }
+    return { params: [SIM_STORAGE_ID, (parent === SIM_ALL_OBJECTS) ? SIM_ALL_OBJECTS : parentHandle, handle] }
+  }
+
+  sendObject(data) {
+    if (this.pendingObject === null) {
+      return { code: MTP_NO_VALID_OBJECT_INFO }
+    }
+    let object = this.pendingObject
+    this.pendingObject = null
+    object.setContent(data.slice())
+    this.objects.set(object.handle, object)
+    this.queueEvent(EVENT_OBJECT_ADDED, [object.handle])
+    this.objectWritten(object)
+    return {}
+  }
+
+  moveObject(handle, storageID, parent, copy) {
+    return this.withObject(handle, (object) => {
+      if (storageID !== SIM_STORAGE_ID) {
+        return { code: MTP_INVALID_STORAGE_ID }
+      }
+      if (parent !== SIM_ROOT && !(this.objects.has(parent) && this.objects.get(parent).isFolder())) {
+        return { code: MTP_INVALID_PARENT_OBJECT }
+      }
+      if (copy) {
+        let duplicate = this.addObject(parent, object.fileName, object.format, object.content, object.size)
+        this.queueEvent(EVENT_OBJECT_ADDED, [duplicate.handle])
+        return { params: [duplicate.handle] }
+      }
+      object.parent = parent
+      this.queueEvent(EVENT_OBJECT_INFO_CHANGED, [handle])
+      return {}
+    })
+  }
+
+  objectPropValue(object, propCode) {
+    switch (propCode) {
+      case PROP_STORAGE_ID: return object.storageID
+      case PROP_OBJECT_FORMAT: return object.format
+      case PROP_PROTECTION_STATUS: return 0
+      case PROP_OBJECT_SIZE: return object.size
+      case PROP_ASSOCIATION_TYPE: return object.associationType
+      case PROP_ASSOCIATION_DESC: return 0
+      case PROP_OBJECT_FILE_NAME: return object.fileName
+      case PROP_DATE_CREATED: return formatDateTime(object.dateCreated)
+      case PROP_DATE_MODIFIED: return formatDateTime(object.dateModified)
+      case PROP_PARENT_OBJECT: return object.parent
+      case PROP_NAME: return object.fileName
+    }
+    return null
+  }
+
+  getObjectPropDesc(propCode) {
+    let dataType = OBJECT_PROP_TYPES[propCode]
+    if (dataType === undefined) {
+      return { code: MTP_INVALID_OBJECT_PROP_CODE }
+    }
+    let writer = new simDatasetWriter()
+    writer.uint16(propCode)
+    writer.uint16(dataType)
+    writer.uint8(propCode === PROP_OBJECT_FILE_NAME ? 0x01 : 0x00)     // Get/Set
+    writer.value(dataType, dataType === TYPE_STR ? "" : 0)           // Default value
+    writer.uint32(0)                                                 // Group code
+    writer.uint8(0)                                                  // Form flag: none
+    return { data: writer.toUint8Array() }
+  }
+
+  setObjectPropValue(handle, propCode, data) {
+    return this.withObject(handle, (object) => {
+      if (OBJECT_PROP_TYPES[propCode] === undefined) {
+        return { code: MTP_INVALID_OBJECT_PROP_CODE }
+      }
+      if (propCode !== PROP_OBJECT_FILE_NAME) {
+        return { code: MTP_ACCESS_DENIED }
+      }
+      let fileName = new simDatasetReader(data).string()
+      if (fileName.length === 0) {
+        return { code: MTP_INVALID_PARAMETER }
+      }
+      object.fileName = fileName
+      this.queueEvent(EVENT_OBJECT_INFO_CHANGED, [handle])
+      this.objectWritten(object)
+      return {}
+    })
+  }
+
+  getObjectPropList(handle, format, propCode, groupCode, depth) {
+    if (propCode === 0) {
+      return { code: MTP_GROUP_NOT_SUPPORTED }
+    }
+    if (propCode !== PROP_ALL && OBJECT_PROP_TYPES[propCode] === undefined) {
+      return { code: MTP_INVALID_OBJECT_PROP_CODE }
+    }
+    let selected = new Array(0)
+    if (handle === SIM_ROOT && depth === 0xffffffff) {
+      selected = Array.from(this.objects.values())
+    } else if (depth === 0) {
+      if (!this.objects.has(handle)) {
+        return { code: MTP_INVALID_OBJECT_HANDLE }
+      }
+      selected = [this.objects.get(handle)]
+    } else if (depth === 1) {
+      if (handle !== SIM_ROOT && !this.objects.has(handle)) {
+        return { code: MTP_INVALID_OBJECT_HANDLE }
+      }
+      selected = Array.from(this.objects.values()).filter((object) => object.parent === handle)
+    } else {
+      return { code: MTP_SPECIFICATION_BY_DEPTH_UNSUPPORTED }
+    }
+    selected = selected.filter((object) => format === 0 || object.format === format)
+    let propCodes = (propCode === PROP_ALL) ? Object.keys(OBJECT_PROP_TYPES).map(Number) : [propCode]
+    let writer = new simDatasetWriter()
+    writer.uint32(selected.length * propCodes.length)
+    for (const object of selected) {
+      for (const code of propCodes) {
+        writer.uint32(object.handle)
+        writer.uint16(code)
+        writer.uint16(OBJECT_PROP_TYPES[code])
+        writer.value(OBJECT_PROP_TYPES[code], this.objectPropValue(object, code))
+      }
+    }
+    return { data: writer.toUint8Array() }
+  }
+
+  /*
+   * @method  objectWritten
+   * @brief   Like the recorder, apply a command.txt written to the root after options.commandDelay: its
+   *          Key="Value" lines update the settings (DeviceCurrentTime sets the clock) and config.txt is rewritten.
+   *
+   */
+  objectWritten(object) {
+    if (object.fileName !== SIM_COMMAND_FILE || object.parent !== SIM_ROOT) {
+      return
+    }
+    setTimeout(() => {
+      if (this.objects.get(object.handle) !== object) {
+        return
+      }
+      let text = String.fromCharCode(...object.read(0, object.size))
+      for (const line of text.split(/\r\n|\r|\n/g)) {
+        let separator = line.indexOf("=")
+        if (separator > 0) {
+          let key = line.slice(0, separator).trim()
+          let value = line.slice(separator + 1).trim().replace(/^"(.*)"$/, "$1")
+          if (key === "DeviceCurrentTime") {
+            let time = parseConfigTime(value)
+            if (time !== null) {
+              this.clockOffset = time.getTime() - Date.now()
+            }
+          } else if (this.config[key] !== undefined) {
+            this.config[key] = value
+          }
+        }
+      }
+      this.config.DeviceCurrentTime = formatConfigTime(new Date(Date.now() + this.clockOffset))
+      let configFile = this.findObject(SIM_CONFIG_FILE)
+      if (configFile === null) {
+        configFile = this.addObject(SIM_ROOT, SIM_CONFIG_FILE, FORMAT_TEXT, this.configFileContent())
+        this.queueEvent(EVENT_OBJECT_ADDED, [configFile.handle])
+      } else {
+        configFile.setContent(this.configFileContent())
+        this.queueEvent(EVENT_OBJECT_INFO_CHANGED, [configFile.handle])
+      }
+    }, this.options.commandDelay)
+  }
+
+  /*
+   * @method  replug
+   * @brief   Restart like a recorder that is unplugged and connected again: leave the bus and come back after
+   *          options.rebootDelay. A BOOTIMG.img uploaded since the last start is installed on the way.
+   *
+   */
+  replug() {
+    let imageFile = this.findObject(SIM_FIRMWARE_FILE)
+    if (imageFile !== null && imageFile !== this.firmwareImage && imageFile.size > 0) {
+      this.firmwareImage = imageFile
+      this.options.firmwareVersion = this.options.updateFirmwareVersion
+      this.config.FirmwareVersion = this.options.updateFirmwareVersion
+      this.findObject(SIM_CONFIG_FILE).setContent(this.configFileContent())
+    }
+    this.close()
+    this.emitUsbEvent("disconnect")
+    setTimeout(() => this.emitUsbEvent("connect"), this.options.rebootDelay)
+  }
+}
+
+function toUint8Array(data) {
+  if (data instanceof Uint8Array) {
+    return data
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+  }
+  return new Uint8Array(data)
+}
+
+function abortError(message) {
+  if (typeof DOMException !== "undefined") {
+    return new DOMException(message, "AbortError")
+  }
+  let error = new Error(message)
+  error.name = "AbortError"
+  return error
+}
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, "0")
+}
+
+// MTP DateTime string "YYYYMMDDThhmmss" in local time
+function formatDateTime(date) {
+  return date.getFullYear() + pad(date.getMonth() + 1) + pad(date.getDate()) + "T" +
+    pad(date.getHours()) + pad(date.getMinutes()) + pad(date.getSeconds())
+}
+
+// DeviceCurrentTime as the recorder writes it in config.txt
+function formatConfigTime(date) {
+  return date.getFullYear() + "-" + pad(date.getMonth() + 1) + "-" + pad(date.getDate()) + " " +
+    pad(date.getHours()) + ":" + pad(date.getMinutes()) + ":" + pad(date.getSeconds())
+}
+
+// DeviceCurrentTime written to command.txt, null when it is not a time
+function parseConfigTime(text) {
+  let match = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2}):(\d{2})$/.exec(text)
+  return (match === null) ? null : new Date(match[1], match[2] - 1, match[3], match[4], match[5], match[6])
+}
+
+// data.dat content: a 16-bit little-endian mono tone, computed for whatever range is read
+function synthesizeAudio(offset, length) {
+  let bytes = new Uint8Array(length)
+  for (let i = 0; i < length; i++) {
+    let position = offset + i
+    let sample = Math.round(8000 * Math.sin(2 * Math.PI * SIM_AUDIO_TONE * Math.floor(position / 2) / SIM_AUDIO_SAMPLE_RATE))
+    bytes[i] = (position % 2 === 0) ? (sample & 0xff) : ((sample >> 8) & 0xff)
+  }
+  return bytes
+}
+
+// BOOTIMG.img content: a repeating byte pattern
+function firmwarePattern(size) {
+  let bytes = new Uint8Array(size)
+  for (let i = 0; i < size; i++) {
+    bytes[i] = (i * 7 + (i >> 8)) & 0xff
+  }
+  return bytes
+}
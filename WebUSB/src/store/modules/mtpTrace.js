@@ -0,0 +1,239 @@
+/**
+ *
+ * Copyright (c) 2021-2024 Technical Products Group
+ *
+ * @file    mtpTrace.js
+ * @brief   Protocol trace of an MTP device: a ring buffer of every container sent and received, decoded to
+ *          direction, container type, operation/response/event name, transaction ID and parameters. The trace
+ *          exports as JSON, and as pcapng with the USBPcap link layer so that it opens in Wireshark and in
+ *          the replay harness (mtpReplay.js).
+ */
+
+import { MTP_OPERATION_NAMES, MTP_RESPONSE_NAMES, MTP_EVENT_NAMES, codeName } from './mtpCodes'
+
+const MTP_TRACE_CAPACITY = 4096             // Containers kept before the oldest are dropped
+const MTP_TRACE_CAPTURE_BYTES = 512         // Bytes of each container kept for the pcapng export
+const CONTAINER_HEADER_LEN = 12
+const CONTAINER_TYPE_COMMAND = 0x0001
+const CONTAINER_TYPE_DATA = 0x0002
+const CONTAINER_TYPE_RESPONSE = 0x0003
+const CONTAINER_TYPE_EVENT = 0x0004
+const CONTAINER_TYPE_NAMES = {
+  [CONTAINER_TYPE_COMMAND]: "Command",
+  [CONTAINER_TYPE_DATA]: "Data",
+  [CONTAINER_TYPE_RESPONSE]: "Response",
+  [CONTAINER_TYPE_EVENT]: "Event",
+}
+
+// pcapng export
+const PCAPNG_SECTION_HEADER_BLOCK = 0x0a0d0d0a
+const PCAPNG_INTERFACE_DESCRIPTION_BLOCK = 0x00000001
+const PCAPNG_ENHANCED_PACKET_BLOCK = 0x00000006
+const PCAPNG_BYTE_ORDER_MAGIC = 0x1a2b3c4d
+const PCAPNG_OPTION_SHB_USERAPPL = 4
+const LINKTYPE_USBPCAP = 249
+const USBPCAP_HEADER_LEN = 27
+const USBPCAP_FUNCTION_BULK_OR_INTERRUPT_TRANSFER = 0x0009
+const USBPCAP_INFO_PDO_TO_FDO = 0x01
+const USBPCAP_TRANSFER_INTERRUPT = 1
+const USBPCAP_TRANSFER_BULK = 3
+const USB_DIR_IN = 0x80
+
+/*
+ * @class   MTPTrace
+ * @brief   Ring buffer of decoded containers. Each entry is
+ *          { seq, timestamp (ms since the epoch), direction ("out"|"in"), endpoint, type, typeName, code, name,
+ *            transactionID, params, length, bytes } where bytes holds the first MTP_TRACE_CAPTURE_BYTES of
+ *          the container.
+ *
+ */
+export default class MTPTrace {
+
+  constructor(capacity = MTP_TRACE_CAPACITY) {
+    this.capacity = capacity
+    this.buffer = new Array(0)
+    this.next = 0                           // Slot the next entry is written to once the buffer is full
+    this.seq = 0                            // Entries recorded since the trace was created or cleared
+    this.listeners = new Array(0)
+  }
+
+  /*
+   * @method  record
+   * @brief   Add a container to the trace. bytes must start with the container header; length is the full
+   *          container length when only its beginning is at hand (a streamed data phase).
+   *
+   */
+  record(direction, endpoint, bytes, length = bytes.length) {
+    if (bytes.length < CONTAINER_HEADER_LEN) {
+      return null
+    }
+    let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    let type = view.getUint16(4, true)
+    let code = view.getUint16(6, true)
+    let params = new Array(0)
+    if (type !== CONTAINER_TYPE_DATA) {
+      for (let offset = CONTAINER_HEADER_LEN; offset + 4 <= Math.min(length, bytes.length); offset += 4) {
+        params.push(view.getUint32(offset, true))
+      }
+    }
+    let entry = {
+      seq: ++this.seq,
+      timestamp: Date.now(),
+      direction: direction,
+      endpoint: endpoint,
+      type: type,
+      typeName: CONTAINER_TYPE_NAMES[type] || "Undefined",
+      code: code,
+      name: decodeName(type, code),
+      transactionID: view.getUint32(8, true),
+      params: params,
+      length: length,
+      bytes: bytes.slice(0, MTP_TRACE_CAPTURE_BYTES)
+    }
+    if (this.buffer.length < this.capacity) {
+      this.buffer.push(entry)
+    } else {
+      this.buffer[this.next] = entry
+      this.next = (this.next + 1) % this.capacity
+    }
+    for (const listener of this.listeners) {
+      listener(entry)
+    }
+    return entry
+  }
+
+  /*
+   * @method  entries
+   * @brief   The entries in the order they were recorded, oldest first
+   *
+   */
+  entries() {
+    return this.buffer.slice(this.next).concat(this.buffer.slice(0, this.next))
+  }
+
+  clear() {
+    this.buffer = new Array(0)
+    this.next = 0
+    this.seq = 0
+  }
+
+  /*
+   * @method  subscribe
+   * @brief   Call listener(entry) for every container recorded. Returns a function that removes it.
+   *
+   */
+  subscribe(listener) {
+    this.listeners.push(listener)
+    return () => {
+      this.listeners = this.listeners.filter((element) => element !== listener)
+    }
+  }
+
+  /*
+   * @method  toJSON
+   * @brief   Plain object of the trace with the captured bytes as hex strings; info is merged in at the top
+   *          (serial number, firmware version and so on)
+   *
+   */
+  toJSON(info = {}) {
+    return {
+      ...info,
+      exported: new Date().toISOString(),
+      entries: this.entries().map((entry) => ({
+        ...entry,
+        timestamp: new Date(entry.timestamp).toISOString(),
+        bytes: Array.from(entry.bytes, (byte) => ("0" + byte.toString(16)).slice(-2)).join(" ")
+      }))
+    }
+  }
+
+  /*
+   * @method  toPcapng
+   * @brief   The trace as a pcapng capture with one USBPcap bulk (or interrupt, for events) packet per container.
+   *          Containers are truncated to the captured bytes; the packet's original length is the full one.
+   *
+   */
+  toPcapng(userApplication = "TPG WebUSB") {
+    let blocks = [sectionHeaderBlock(userApplication), interfaceDescriptionBlock()]
+    for (const entry of this.entries()) {
+      blocks.push(enhancedPacketBlock(entry))
+    }
+    let capture = new Uint8Array(blocks.reduce((total, block) => total + block.length, 0))
+    let offset = 0
+    for (const block of blocks) {
+      capture.set(block, offset)
+      offset += block.length
+    }
+    return capture
+  }
+}
+
+function decodeName(type, code) {
+  if (type === CONTAINER_TYPE_RESPONSE) {
+    return codeName(MTP_RESPONSE_NAMES, code)
+  }
+  if (type === CONTAINER_TYPE_EVENT) {
+    return codeName(MTP_EVENT_NAMES, code)
+  }
+  return codeName(MTP_OPERATION_NAMES, code)
+}
+
+function pcapngBlock(type, body) {
+  let length = 12 + Math.ceil(body.length / 4) * 4
+  let block = new Uint8Array(length)
+  let view = new DataView(block.buffer)
+  view.setUint32(0, type, true)
+  view.setUint32(4, length, true)
+  block.set(body, 8)
+  view.setUint32(length - 4, length, true)
+  return block
+}
+
+function sectionHeaderBlock(userApplication) {
+  let application = new TextEncoder().encode(userApplication)
+  let body = new Uint8Array(16 + 4 + Math.ceil(application.length / 4) * 4 + 4)
+  let view = new DataView(body.buffer)
+  view.setUint32(0, PCAPNG_BYTE_ORDER_MAGIC, true)
+  view.setUint16(4, 1, true)                // Version 1.0
+  view.setInt32(8, -1, true)                // Section length not specified
+  view.setInt32(12, -1, true)
+  view.setUint16(16, PCAPNG_OPTION_SHB_USERAPPL, true)
+  view.setUint16(18, application.length, true)
+  body.set(application, 20)                 // Followed by padding and the end of options, all zero
+  return pcapngBlock(PCAPNG_SECTION_HEADER_BLOCK, body)
+}
+
+function interfaceDescriptionBlock() {
+  let body = new Uint8Array(8)
+  let view = new DataView(body.buffer)
+  view.setUint16(0, LINKTYPE_USBPCAP, true)
+  view.setUint32(4, 0, true)                // No snap length
+  return pcapngBlock(PCAPNG_INTERFACE_DESCRIPTION_BLOCK, body)
+}
+
+function enhancedPacketBlock(entry) {
+  let frame = new Uint8Array(USBPCAP_HEADER_LEN + entry.bytes.length)
+  let view = new DataView(frame.buffer)
+  view.setUint16(0, USBPCAP_HEADER_LEN, true)
+  view.setUint32(2, entry.seq, true)        // IRP ID
+  view.setUint32(10, 0, true)               // USBD status success
+  view.setUint16(14, USBPCAP_FUNCTION_BULK_OR_INTERRUPT_TRANSFER, true)
+  frame[16] = (entry.direction === "in") ? USBPCAP_INFO_PDO_TO_FDO : 0
+  view.setUint16(17, 1, true)               // Bus
+  view.setUint16(19, 1, true)               // Device address
+  frame[21] = (entry.direction === "in") ? (entry.endpoint | USB_DIR_IN) : entry.endpoint
+  frame[22] = (entry.type === CONTAINER_TYPE_EVENT) ? USBPCAP_TRANSFER_INTERRUPT : USBPCAP_TRANSFER_BULK
+  view.setUint32(23, entry.length, true)
+  frame.set(entry.bytes, USBPCAP_HEADER_LEN)
+
+  let microseconds = entry.timestamp * 1000
+  let body = new Uint8Array(20 + frame.length)
+  let bodyView = new DataView(body.buffer)
+  bodyView.setUint32(0, 0, true)            // Interface ID
+  bodyView.setUint32(4, Math.floor(microseconds / 0x100000000), true)
+  bodyView.setUint32(8, microseconds % 0x100000000, true)
+  bodyView.setUint32(12, frame.length, true)
+  bodyView.setUint32(16, USBPCAP_HEADER_LEN + entry.length, true)
+  body.set(frame, 20)
+  return pcapngBlock(PCAPNG_ENHANCED_PACKET_BLOCK, body)
+}
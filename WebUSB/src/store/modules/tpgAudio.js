@@ -0,0 +1,437 @@
+/**
+ *
+ * Copyright (c) 2021-2024 Technical Products Group
+ *
+ * @file    tpgAudio.js
+ * @brief   Decoding of recorder audio (data.dat), export as WAV or FLAC and playback in the browser. The layout
+ *          of data.dat is assumed, see AUDIO_FORMAT_NOTE. The work is done by the Web Worker
+ *          public/workers/tpgAudioWorker.js, one per export or open recording. Every
+ *          request is { type, id, blobs, format: { encoding, sampleRate, gain, compensateGain } } plus
+ *            export  container: "wav" | "flac"          done with { blob, samples, duration }
+ *            info                                       done with { samples, duration }
+ *            peaks   samplesPerPeak                     done with { peaks (Int16Array of min, max), samplesPerPeak }
+ *            read    startSample, sampleCount           done with { pcm (Int16Array), startSample }
+ *          The worker answers with { type: "progress", id, bytesDone, totalBytes } while it decodes a whole
+ *          recording, then with { type: "done", id, ... } or { type: "error", id, message }.
+ */
+
+export const AUDIO_DEFAULT_ENCODING = "PCM16"
+export const AUDIO_DEFAULT_SAMPLE_RATE = 16000
+
+// Shown wherever a recording is played or exported: the decoding rests on the assumptions in tpgAudioWorker.js
+export const AUDIO_FORMAT_NOTE = "The format of data.dat is not documented. It is assumed to be mono PCM16, PCM8 or " +
+  "ULAW samples (the AudioEncoding of config.txt) without a header, at " + AUDIO_DEFAULT_SAMPLE_RATE + " Hz, with Gain " +
+  "in dB, so the audio may not sound as recorded."
+export const AUDIO_CONTAINERS = {
+  wav: { label: "WAV", extension: "wav" },
+  flac: { label: "FLAC", extension: "flac" },
+}
+
+const AUDIO_WORKER_URL = process.env.BASE_URL + "workers/tpgAudioWorker.js"
+const PLAYER_CHUNK_SECONDS = 5            // Seconds of audio decoded and scheduled at a time
+const PLAYER_LOOKAHEAD_SECONDS = 15       // Seconds of audio kept scheduled ahead of the playback position
+const PLAYER_START_DELAY = 0.1            // Seconds between pressing play and the first sample
+const PLAYER_POLL = 1000                  // Milliseconds between top-ups of the scheduled audio
+
+let exportCount = 0
+
+/*
+ * @function  audioFormat
+ * @brief     How a recording is encoded, from the typed config.txt values of the recorder that made it:
+ *            { encoding, sampleRate, gain }. config.txt does not report a sample rate, so it is the default.
+ *
+ */
+export function audioFormat(config) {
+  config = config || {}
+  return {
+    encoding: config.AudioEncoding || AUDIO_DEFAULT_ENCODING,
+    sampleRate: AUDIO_DEFAULT_SAMPLE_RATE,
+    gain: (typeof config.Gain === "number") ? config.Gain : 0,
+  }
+}
+
+/*
+ * @function  exportRecording
+ * @brief     Decode the blobs of a recording (in order) in a Web Worker and write them as one audio file.
+ *            options are { container ("wav" or "flac"), compensateGain, onProgress(bytesDone, totalBytes),
+ *            signal }; aborting the signal stops the worker. Resolves with { blob, samples, duration }.
+ *
+ */
+export function exportRecording(blobs, format, options = {}) {
+  return new Promise((resolve, reject) => {
+    let id = ++exportCount
+    let worker = new Worker(AUDIO_WORKER_URL)
+    let finish = () => {
+      worker.terminate()
+      if (options.signal) {
+        options.signal.removeEventListener("abort", onAbort)
+      }
+    }
+    let onAbort = () => {
+      finish()
+      reject(new DOMException("The audio export was cancelled", "AbortError"))
+    }
+    if (options.signal) {
+      if (options.signal.aborted) {
+        worker.terminate()
+        reject(new DOMException("The audio export was cancelled", "AbortError"))
+        return
+      }
+      options.signal.addEventListener("abort", onAbort)
+    }
+    worker.onmessage = (message) => {
+      let reply = message.data
+      if (reply.type === "progress") {
+        if (options.onProgress) {
+          options.onProgress(reply.bytesDone, reply.totalBytes)
+        }
+      } else if (reply.type === "done") {
+        finish()
+        resolve({ blob: reply.blob, samples: reply.samples, duration: reply.duration })
+      } else if (reply.type === "error") {
+        finish()
+        reject(new Error(reply.message))
+      }
+    }
+    worker.onerror = (event) => {
+      finish()
+      reject(new Error("The audio worker failed: " + (event.message || "unknown error")))
+    }
+    worker.postMessage({
+      type: "export",
+      id: id,
+      blobs: blobs,
+      format: { ...format, compensateGain: options.compensateGain === true },
+      container: options.container || "wav"
+    })
+  })
+}
+
+/*
+ * @class   RecordingReader
+ * @brief   A recording kept as blobs in IndexedDB, opened for the player. One Web Worker decodes the parts that
+ *          are asked for, so only those are read into memory. close() stops the worker.
+ *
+ */
+export class RecordingReader {
+  constructor(blobs, format) {
+    this.blobs = blobs
+    this.format = format
+    this.requestCount = 0
+    this.requests = {}                    // { resolve, reject, onProgress } of the requests in the worker, by id
+    this.worker = new Worker(AUDIO_WORKER_URL)
+    this.worker.onmessage = (message) => this.receive(message.data)
+    this.worker.onerror = (event) => this.failRequests(new Error("The audio worker failed: " + (event.message || "unknown error")))
+  }
+
+  /*
+   * @method  request
+   * @brief   Send a request of this type to the worker; resolves with the fields of its done reply
+   *
+   */
+  request(type, fields = {}, onProgress = null) {
+    if (this.worker === null) {
+      return Promise.reject(new Error("The recording is closed"))
+    }
+    return new Promise((resolve, reject) => {
+      let id = ++this.requestCount
+      this.requests[id] = { resolve: resolve, reject: reject, onProgress: onProgress }
+      this.worker.postMessage({ ...fields, type: type, id: id, blobs: this.blobs, format: this.format })
+    })
+  }
+
+  /*
+   * @method  receive
+   * @brief   A reply of the worker: pass progress on and settle the request it answers
+   *
+   */
+  receive(reply) {
+    let request = this.requests[reply.id]
+    if (request === undefined) {
+      return
+    }
+    if (reply.type === "progress") {
+      if (request.onProgress) {
+        request.onProgress(reply.bytesDone, reply.totalBytes)
+      }
+    } else if (reply.type === "done") {
+      delete this.requests[reply.id]
+      request.resolve(reply)
+    } else if (reply.type === "error") {
+      delete this.requests[reply.id]
+      request.reject(new Error(reply.message))
+    }
+  }
+
+  /*
+   * @method  failRequests
+   * @brief   Reject all requests still waiting for the worker
+   *
+   */
+  failRequests(err) {
+    let requests = this.requests
+    this.requests = {}
+    Object.values(requests).forEach((request) => request.reject(err))
+  }
+
+  /*
+   * @method  info
+   * @brief   The length of the recording: { samples, duration }
+   *
+   */
+  async info() {
+    let reply = await this.request("info")
+    return { samples: reply.samples, duration: reply.duration }
+  }
+
+  /*
+   * @method  peaks
+   * @brief   The waveform overview, decoded from the whole recording: { peaks, samplesPerPeak } where peaks holds
+   *          the lowest and highest sample of every samplesPerPeak samples. onProgress(bytesDone, totalBytes)
+   *
+   */
+  async peaks(samplesPerPeak, onProgress = null) {
+    let reply = await this.request("peaks", { samplesPerPeak: samplesPerPeak }, onProgress)
+    return { peaks: reply.peaks, samplesPerPeak: reply.samplesPerPeak }
+  }
+
+  /*
+   * @method  read
+   * @brief   Decode sampleCount samples from startSample on; resolves with an Int16Array, shorter at the end of
+   *          the recording
+   *
+   */
+  async read(startSample, sampleCount) {
+    let reply = await this.request("read", { startSample: startSample, sampleCount: sampleCount })
+    return reply.pcm
+  }
+
+  /*
+   * @method  close
+   * @brief   Stop the worker; requests still waiting are rejected
+   *
+   */
+  close() {
+    if (this.worker !== null) {
+      this.worker.terminate()
+      this.worker = null
+      this.failRequests(new Error("The recording is closed"))
+    }
+  }
+}
+
+/*
+ * @class   RecordingPlayer
+ * @brief   Plays a recording through Web Audio while it is decoded: PLAYER_CHUNK_SECONDS at a time are read from a
+ *          RecordingReader and scheduled back to back, keeping PLAYER_LOOKAHEAD_SECONDS ahead of the playback
+ *          position. A seek or pause drops what was scheduled and reads from the new position. onEnded is called
+ *          when playback reaches the end of the recording.
+ *
+ */
+export class RecordingPlayer {
+  constructor(reader, samples) {
+    this.reader = reader
+    this.samples = samples                // Length of the recording in samples
+    this.sampleRate = reader.format.sampleRate
+    this.context = null                   // AudioContext, created on the first play() as browsers require
+    this.gainNode = null
+    this.volume = 1                       // Gain of the playback, set with setVolume()
+    this.playing = false
+    this.position = 0                     // Sample playback starts from, or stopped at
+    this.startTime = 0                    // AudioContext time at which the sample at position plays
+    this.nextSample = 0                   // First sample not scheduled yet
+    this.nextTime = 0                     // AudioContext time at which nextSample is to play
+    this.sources = []                     // AudioBufferSourceNodes scheduled and not ended
+    this.generation = 0                   // Counts play(), pause() and seek(); reads of an earlier one are dropped
+    this.scheduling = false
+    this.timer = null
+    this.onEnded = null
+    this.onError = null
+  }
+
+  /*
+   * @method  getCurrentTime
+   * @brief   Seconds from the start of the recording that are playing now
+   *
+   */
+  getCurrentTime() {
+    if (!this.playing) {
+      return this.position / this.sampleRate
+    }
+    let elapsed = Math.max(0, this.context.currentTime - this.startTime)
+    return Math.min(this.position / this.sampleRate + elapsed, this.nextSample / this.sampleRate)
+  }
+
+  /*
+   * @method  setVolume
+   * @brief   Playback volume, 0 to 1
+   *
+   */
+  setVolume(level) {
+    this.volume = level
+    if (this.gainNode !== null) {
+      this.gainNode.gain.value = level
+    }
+  }
+
+  /*
+   * @method  play
+   * @brief   Start playing from the current position
+   *
+   */
+  async play() {
+    if (this.playing) {
+      return
+    }
+    if (this.context === null) {
+      this.context = new AudioContext()
+      this.gainNode = this.context.createGain()
+      this.gainNode.gain.value = this.volume
+      this.gainNode.connect(this.context.destination)
+    }
+    if (this.context.state === "suspended") {
+      await this.context.resume()
+    }
+    if (this.position >= this.samples) {
+      this.position = 0
+    }
+    this.generation++
+    this.playing = true
+    this.startTime = this.context.currentTime + PLAYER_START_DELAY
+    this.nextSample = this.position
+    this.nextTime = this.startTime
+    this.timer = setInterval(() => this.schedule(), PLAYER_POLL)
+    await this.schedule()
+  }
+
+  /*
+   * @method  pause
+   * @brief   Stop playing and keep the position
+   *
+   */
+  pause() {
+    if (this.playing) {
+      this.position = Math.round(this.getCurrentTime() * this.sampleRate)
+      this.stop()
+    }
+  }
+
+  /*
+   * @method  seek
+   * @brief   Continue from a time in seconds, playing on if the recording was playing
+   *
+   */
+  async seek(time) {
+    let wasPlaying = this.playing
+    this.stop()
+    this.position = Math.min(Math.max(Math.round(time * this.sampleRate), 0), this.samples)
+    if (wasPlaying) {
+      await this.play()
+    }
+  }
+
+  /*
+   * @method  close
+   * @brief   Stop playing and release the AudioContext. The reader stays open.
+   *
+   */
+  close() {
+    this.stop()
+    if (this.context !== null) {
+      this.context.close()
+      this.context = null
+      this.gainNode = null
+    }
+  }
+
+  /*
+   * @method  stop
+   * @brief   Drop the scheduled audio and any read in progress
+   *
+   */
+  stop() {
+    this.generation++
+    this.playing = false
+    clearInterval(this.timer)
+    this.timer = null
+    let sources = this.sources
+    this.sources = []
+    sources.forEach((source) => {
+      source.onended = null
+      source.stop()
+    })
+  }
+
+  /*
+   * @method  schedule
+   * @brief   Read and schedule chunks until PLAYER_LOOKAHEAD_SECONDS are queued or the recording ends. When a
+   *          read comes in late, playback continues from now and the position is moved along with it.
+   *
+   */
+  async schedule() {
+    if (this.scheduling) {
+      return
+    }
+    this.scheduling = true
+    let generation = this.generation
+    try {
+      while (this.playing && generation === this.generation && this.nextSample < this.samples &&
+        this.nextTime - this.context.currentTime < PLAYER_LOOKAHEAD_SECONDS) {
+        let pcm = await this.reader.read(this.nextSample, PLAYER_CHUNK_SECONDS * this.sampleRate)
+        if (generation !== this.generation) {
+          return
+        }
+        if (pcm.length === 0) {
+          this.samples = this.nextSample
+          break
+        }
+        let buffer = this.context.createBuffer(1, pcm.length, this.sampleRate)
+        let channel = buffer.getChannelData(0)
+        for (let i = 0; i < pcm.length; i++) {
+          channel[i] = pcm[i] / 32768
+        }
+        let now = this.context.currentTime
+        if (this.nextTime < now) {
+          this.startTime += now - this.nextTime
+          this.nextTime = now
+        }
+        let source = this.context.createBufferSource()
+        source.buffer = buffer
+        source.connect(this.gainNode)
+        source.onended = () => this.sourceEnded(source)
+        source.start(this.nextTime)
+        this.sources.push(source)
+        this.nextSample += pcm.length
+        this.nextTime += pcm.length / this.sampleRate
+      }
+    } catch (err) {
+      if (generation === this.generation) {
+        this.pause()
+        if (this.onError) {
+          this.onError(err)
+        }
+      }
+    } finally {
+      this.scheduling = false
+      if (this.playing && generation !== this.generation) {
+        this.schedule()
+      }
+    }
+  }
+
+  /*
+   * @method  sourceEnded
+   * @brief   A chunk finished playing; after the last one the player stops at the end of the recording
+   *
+   */
+  sourceEnded(source) {
+    this.sources = this.sources.filter((element) => element !== source)
+    if (this.playing && this.sources.length === 0 && this.nextSample >= this.samples) {
+      this.stop()
+      this.position = this.samples
+      if (this.onEnded) {
+        this.onEnded()
+      }
+    }
+  }
+}
@@ -0,0 +1,55 @@
+/**
+ *
+ * Copyright (c) 2021-2024 Technical Products Group
+ *
+ * @file    tpgCommands.js
+ * @brief   Commands for the TPG recorder. A command is a set of command.txt entries together with the way the
+ *          recorder shows it was carried out, which is a change in what config.txt reports.
+ *
+ *          Only keys with a source are used. command.txt takes Key="Value" lines like config.txt: the capture
+ *          in Docs/MTP Command File Upload packet comparison.rtf shows one with Password and HideBootPartition,
+ *          and DeviceCurrentTime is a setting the recorder reports in config.txt (see CONFIG_SCHEMA). No key
+ *          for restarting, erasing the recordings or a factory reset is documented, so there are no such
+ *          commands: the recorder restarts when it is unplugged, and data.dat is deleted over MTP
+ *          (devices/deleteAudio).
+ */
+
+import { buildCommandFile, valuesMatch } from './tpgConfig'
+
+/*
+ * Named commands. entries(args) gives the command.txt Key/Value pairs and acknowledged(config, context) tells
+ * from the typed config.txt values read afterwards whether it took effect. context is
+ * { args, elapsed, clockTolerance }: elapsed is the milliseconds since command.txt was written.
+ */
+export const DEVICE_COMMANDS = {
+  setClock: {
+    label: "Set clock",
+    entries: (args) => ({ DeviceCurrentTime: args.time }),
+    acknowledged: (config, context) => valuesMatch("DeviceCurrentTime", new Date(context.args.time.getTime() + context.elapsed),
+      config.DeviceCurrentTime, context.clockTolerance),
+  },
+}
+
+/*
+ * @function  buildDeviceCommand
+ * @brief     Look up a named command and prepare it for sending. args holds its arguments (setClock takes
+ *            { time }, the host clock when left out). Returns { name, label, args, commandText, acknowledged }
+ *            or throws when the name is unknown.
+ *
+ */
+export function buildDeviceCommand(name, args = {}) {
+  let command = DEVICE_COMMANDS[name]
+  if (command === undefined) {
+    throw "Unknown device command " + name
+  }
+  if (name === "setClock" && !(args.time instanceof Date)) {
+    args = { ...args, time: new Date() }
+  }
+  return {
+    name: name,
+    label: command.label,
+    args: args,
+    commandText: buildCommandFile(command.entries(args)),
+    acknowledged: command.acknowledged,
+  }
+}
@@ -0,0 +1,394 @@
+/**
+ *
+ * Copyright (c) 2021-2024 Technical Products Group
+ *
+ * @file    tpgConfig.js
+ * @brief   Parser and serializer for the recorder's config.txt (and command.txt): one Key=Value or Key="Value"
+ *          setting per line. Known keys are typed by CONFIG_SCHEMA (text, numbers, dates and versions);
+ *          unknown keys, malformed lines and values that do not parse are reported instead of being dropped. The file keeps every line as it was read, so serializing a parsed file
+ *          returns the same text, and changing a setting rewrites only the value on its line.
+ */
+
+import { format } from 'date-fns'
+
+const CONFIG_TIME_FORMAT = "yyyy-MM-dd HH:mm:ss"        // DeviceCurrentTime as the recorder writes it
+const CONFIG_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2}):(\d{2})$/
+const CONFIG_ENTRY_PATTERN = /^(\s*)([^=]*?)(\s*=\s*)(.*?)(\s*)$/
+const CONFIG_COMMENT_PATTERN = /^\s*(#|;|\/\/)/
+const INTEGER_PATTERN = /^[+-]?\d+$/
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/
+const VERSION_PATTERN = /^\d+(\.\d+)*$/
+const UNQUOTABLE_PATTERN = /["\r\n]/                // A Key="Value" line has no escapes for these
+
+/*
+ * Settings the recorder reports in config.txt, the keys of the baseline settings form. Only the type of a
+ * value is checked: no document gives the allowed values or ranges, so the recorder is left to refuse them.
+ * Each entry gives
+ *   type     - "string", "integer", "number", "datetime" (a Date) or "version" ("2.1.4")
+ *   label    - name shown in the app
+ *   unit     - unit of a numeric value, shown after it
+ *   readOnly - reported by the recorder, cannot be changed through command.txt
+ */
+export const CONFIG_SCHEMA = {
+  SerialNumber: { type: "string", label: "Serial Number" },
+  FirmwareVersion: { type: "version", label: "Firmware Version", readOnly: true },
+  HardwareVersion: { type: "string", label: "Hardware Version", readOnly: true },
+  DeviceCurrentTime: { type: "datetime", label: "Device Time" },
+  RecordingDurationConfig: { type: "integer", label: "Recording Duration" },
+  RecordingMultidayConfig: { type: "integer", label: "Multi Day Config" },
+  AudioEncoding: { type: "string", label: "Audio Encoding" },
+  AudioLength: { type: "number", label: "Audio Length", readOnly: true },
+  Gain: { type: "integer", label: "Gain" },
+  BatteryIsCharging: { type: "string", label: "Battery Status", readOnly: true },
+  BatteryAmperage: { type: "number", label: "Battery Amperage", unit: "A", readOnly: true },
+  BatteryVoltage: { type: "number", label: "Battery Voltage", unit: "V", readOnly: true },
+}
+
+/*
+ * @class   TpgConfig
+ * @brief   A parsed config.txt. Lines are kept as
+ *          { text, eol, key, value, quoted, before, after, number } where text is the line as read (without
+ *          its line ending eol), key and value are set for Key=Value lines, before/after are the text around
+ *          the value and number is the line number in the file (1-based, null for lines added since).
+ *
+ */
+export default class TpgConfig {
+
+  constructor(lines = [], eol = "\r\n") {
+    this.lines = lines
+    this.eol = eol                          // Line ending for added lines, the one the file already uses
+  }
+
+  /*
+   * @method  parse
+   * @brief   Parse the text of config.txt or command.txt. Never throws; problems are reported by validate().
+   *
+   */
+  static parse(text) {
+    let pieces = String(text || "").split(/(\r\n|\r|\n)/)
+    let lines = new Array(0)
+    for (let i = 0; i < pieces.length; i += 2) {
+      if (i === pieces.length - 1 && pieces[i] === "" && i > 0) {
+        break                               // Nothing after the last line ending
+      }
+      lines.push(parseLine(pieces[i], pieces[i + 1] || "", lines.length + 1))
+    }
+    let eol = (pieces.length > 1) ? pieces[1] : "\r\n"
+    return new TpgConfig(lines, eol)
+  }
+
+  // Keys in the order of the file
+  keys() {
+    let keys = new Array(0)
+    for (const line of this.lines) {
+      if (line.key !== null && !keys.includes(line.key)) {
+        keys.push(line.key)
+      }
+    }
+    return keys
+  }
+
+  has(key) {
+    return this.findLine(key) !== null
+  }
+
+  /*
+   * @method  get
+   * @brief   Typed value of a setting: a Number, Date or string by its schema type, null when the value is
+   *          empty, and the text as written when it does not parse. undefined when the key is not in the file.
+   *
+   */
+  get(key) {
+    let line = this.findLine(key)
+    return (line === null) ? undefined : parseValue(key, line.value).value
+  }
+
+  // Value of a setting as written in the file, without quotes
+  getText(key) {
+    let line = this.findLine(key)
+    return (line === null) ? undefined : line.value
+  }
+
+  /*
+   * @method  set
+   * @brief   Change a setting, keeping the rest of its line and the quoting it had. A key that is not in the
+   *          file is added at the end. Returns the validation error of the new value, or null.
+   *
+   */
+  set(key, value) {
+    let text = formatValue(key, value)
+    let line = this.findLine(key)
+    if (line === null) {
+      if (this.lines.length === 1 && this.lines[0].text === "") {
+        this.lines = new Array(0)           // An empty file
+      }
+      let last = this.lines[this.lines.length - 1]
+      if (last !== undefined && last.eol === "") {
+        last.eol = this.eol
+      }
+      line = parseLine(key + "=" + text, this.eol, null)
+      this.lines.push(line)
+    } else {
+      line.value = text
+      line.text = line.before + (line.quoted ? "\"" + text + "\"" : text) + line.after
+    }
+    let parsed = parseValue(key, text)
+    return parsed.error || validateValue(key, parsed.value)
+  }
+
+  remove(key) {
+    this.lines = this.lines.filter((line) => line.key !== key)
+  }
+
+  // Plain object of the typed values, by key
+  values() {
+    let values = {}
+    for (const key of this.keys()) {
+      values[key] = this.get(key)
+    }
+    return values
+  }
+
+  // Keys in the file that are not in CONFIG_SCHEMA
+  unknownKeys() {
+    return this.keys().filter((key) => CONFIG_SCHEMA[key] === undefined)
+  }
+
+  /*
+   * @method  validate
+   * @brief   Problems found in the file, as { key, line, severity, message }. Errors are lines that are not
+   *          settings, repeated keys and values that do not parse. Keys that are not in CONFIG_SCHEMA are
+   *          warnings: command.txt takes keys config.txt does not report (Password, HideBootPartition), so
+   *          they are sent as written once the user has confirmed them.
+   *
+   */
+  validate() {
+    let issues = new Array(0)
+    let seen = {}
+    let report = (line, severity, message) => issues.push({ key: line.key, line: line.number, severity: severity, message: message })
+    for (const line of this.lines) {
+      if (line.key === null) {
+        if (line.text.trim() !== "" && !CONFIG_COMMENT_PATTERN.test(line.text)) {
+          report(line, "error", "Line is not a Key=Value setting: " + line.text.trim())
+        }
+        continue
+      }
+      if (seen[line.key]) {
+        report(line, "error", line.key + " is set more than once, the last value is used")
+      }
+      seen[line.key] = true
+      if (CONFIG_SCHEMA[line.key] === undefined) {
+        report(line, "warning", "Unknown setting " + line.key + ", its value cannot be checked")
+      }
+      let parsed = parseValue(line.key, line.value)
+      let message = parsed.error || validateValue(line.key, parsed.value)
+      if (message !== null) {
+        report(line, "error", message)
+      }
+    }
+    return issues
+  }
+
+  // The file as text, identical to the parsed text apart from the settings changed since
+  toString() {
+    return this.lines.map((line) => line.text + line.eol).join("")
+  }
+
+  findLine(key) {
+    for (let i = this.lines.length - 1; i >= 0; i--) {
+      if (this.lines[i].key === key) {
+        return this.lines[i]                // The recorder uses the last of repeated keys
+      }
+    }
+    return null
+  }
+}
+
+/*
+ * @function  parseValue
+ * @brief     Convert the text of a setting to its schema type. Returns { value, error } where error is null
+ *            when the text parsed; otherwise value is the text itself.
+ *
+ */
+export function parseValue(key, text) {
+  let schema = CONFIG_SCHEMA[key]
+  if (text === undefined || text === null || text.trim() === "") {
+    return { value: null, error: null }
+  }
+  text = text.trim()
+  if (schema === undefined) {
+    return { value: text, error: null }
+  }
+  switch (schema.type) {
+    case "integer":
+      if (!INTEGER_PATTERN.test(text)) {
+        return { value: text, error: schema.label + " \"" + text + "\" is not a whole number" }
+      }
+      return { value: Number(text), error: null }
+    case "number":
+      if (!NUMBER_PATTERN.test(text)) {
+        return { value: text, error: schema.label + " \"" + text + "\" is not a number" }
+      }
+      return { value: Number(text), error: null }
+    case "datetime": {
+      let match = CONFIG_TIME_PATTERN.exec(text)
+      let date = (match === null) ? null : new Date(match[1], match[2] - 1, match[3], match[4], match[5], match[6])
+      if (date === null || date.getMonth() !== match[2] - 1 || date.getDate() !== Number(match[3])) {
+        return { value: text, error: schema.label + " \"" + text + "\" is not a date and time (" + CONFIG_TIME_FORMAT + ")" }
+      }
+      return { value: date, error: null }
+    }
+    case "version":
+      if (!VERSION_PATTERN.test(text)) {
+        return { value: text, error: schema.label + " \"" + text + "\" is not a version number" }
+      }
+      return { value: text, error: null }
+    default:
+      return { value: text, error: null }
+  }
+}
+
+/*
+ * @function  formatValue
+ * @brief     Text of a typed value as the recorder writes it
+ *
+ */
+export function formatValue(key, value) {
+  if (value === undefined || value === null) {
+    return ""
+  }
+  let schema = CONFIG_SCHEMA[key]
+  if (schema !== undefined && schema.type === "datetime" && value instanceof Date) {
+    return format(value, CONFIG_TIME_FORMAT)
+  }
+  return String(value).trim()
+}
+
+/*
+ * @function  validateValue
+ * @brief     Check that a typed value is of the type of its setting and can be written to command.txt.
+ *            Returns the reason it is not valid, or null.
+ *
+ */
+export function validateValue(key, value) {
+  let schema = CONFIG_SCHEMA[key]
+  if (value === null || value === undefined) {
+    return null
+  }
+  if (typeof value === "string" && UNQUOTABLE_PATTERN.test(value)) {
+    return ((schema === undefined) ? key : schema.label) + " cannot contain quotes or line breaks"
+  }
+  if (schema === undefined) {
+    return null
+  }
+  switch (schema.type) {
+    case "integer":
+    case "number":
+      if (typeof value !== "number" || Number.isNaN(value)) {
+        return schema.label + " \"" + value + "\" is not a number"
+      }
+      if (schema.type === "integer" && !Number.isInteger(value)) {
+        return schema.label + " " + value + " is not a whole number"
+      }
+      return null
+    case "datetime":
+      return (value instanceof Date && !Number.isNaN(value.getTime())) ? null : schema.label + " \"" + value + "\" is not a date and time"
+    case "version":
+      return VERSION_PATTERN.test(value) ? null : schema.label + " \"" + value + "\" is not a version number"
+    default:
+      return null
+  }
+}
+
+/*
+ * @function  diffConfig
+ * @brief     The settings whose edited value differs from the current one, in schema order, as
+ *            { key, label, unit, from, to } with both values as config.txt text. current holds typed values
+ *            (TpgConfig.values()); edited holds typed values or the text typed into the settings form.
+ *
+ */
+export function diffConfig(current, edited) {
+  let changes = new Array(0)
+  for (const key of Object.keys(CONFIG_SCHEMA).concat(Object.keys(edited))) {
+    if (edited[key] === undefined || changes.some((change) => change.key === key)) {
+      continue
+    }
+    let from = formatValue(key, current[key])
+    let to = formatValue(key, edited[key])
+    if (from !== to) {
+      let schema = CONFIG_SCHEMA[key] || { label: key }
+      changes.push({ key: key, label: schema.label, unit: schema.unit || "", from: from, to: to })
+    }
+  }
+  return changes
+}
+
+/*
+ * @function  buildCommandFile
+ * @brief     Text of a command.txt that applies the changes given as { key: value }, one Key="Value" line
+ *            each as the recorder expects. The format has no escapes, so throws when a value contains a
+ *            quote or a line break.
+ *
+ */
+export function buildCommandFile(changes, eol = "\r\n") {
+  return Object.keys(changes).map((key) => {
+    let text = formatValue(key, changes[key])
+    if (UNQUOTABLE_PATTERN.test(text)) {
+      throw key + " " + JSON.stringify(text) + " cannot be written to command.txt, it contains a quote or a line break"
+    }
+    return key + "=\"" + text + "\"" + eol
+  }).join("")
+}
+
+/*
+ * @function  valuesMatch
+ * @brief     True when the value the recorder reports for a setting is the one that was sent. The device clock
+ *            keeps running after it is set, so times match within tolerance milliseconds of expected.
+ *
+ */
+export function valuesMatch(key, expected, actual, tolerance = 0) {
+  let schema = CONFIG_SCHEMA[key]
+  if (schema !== undefined && schema.type === "datetime" && expected instanceof Date && actual instanceof Date) {
+    return Math.abs(actual.getTime() - expected.getTime()) <= tolerance
+  }
+  return formatValue(key, expected) === formatValue(key, actual)
+}
+
+/*
+ * @function  compareVersions
+ * @brief     Compare two version numbers ("2.1.4") part by part. Returns a negative number when a is older
+ *            than b, 0 when they are the same and a positive number when a is newer.
+ *
+ */
+export function compareVersions(a, b) {
+  let partsA = String(a).split(".").map(Number)
+  let partsB = String(b).split(".").map(Number)
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    let difference = (partsA[i] || 0) - (partsB[i] || 0)
+    if (difference !== 0) {
+      return difference
+    }
+  }
+  return 0
+}
+
+function parseLine(text, eol, number) {
+  let line = { text: text, eol: eol, key: null, value: null, quoted: false, before: "", after: "", number: number }
+  if (CONFIG_COMMENT_PATTERN.test(text)) {
+    return line
+  }
+  let match = CONFIG_ENTRY_PATTERN.exec(text)
+  if (match === null || match[2] === "") {
+    return line
+  }
+  let value = match[4]
+  line.key = match[2]
+  line.before = match[1] + match[2] + match[3]
+  line.after = match[5]
+  if (value.length >= 2 && value.startsWith("\"") && value.endsWith("\"")) {
+    line.quoted = true
+    value = value.slice(1, -1)
+  }
+  line.value = value
+  return line
+}
@@ -0,0 +1,76 @@
+/**
+ *
+ * Copyright (c) 2021-2024 Technical Products Group
+ *
+ * @file    tpgFirmware.js
+ * @brief   Checks made before a firmware image (BOOTIMG.img) is installed on a TPG recorder.
+ *
+ *          No specification of the BOOTIMG.img format is available to this app: the baseline only names the
+ *          file (TPG_FIRMWARE_FILE in views/WebHub.vue) and Docs holds no description of its header, version
+ *          or checksum. The image is therefore treated as opaque bytes. What can be checked is that the file
+ *          is not empty and fits in the free space of the recorder; the version it contains is the one the
+ *          user states (from the release the image came with) and is compared with FirmwareVersion from
+ *          config.txt only when given. Hardware compatibility cannot be checked.
+ */
+
+import { compareVersions } from './tpgConfig'
+
+const FIRMWARE_VERSION_PATTERN = /^\d+(\.\d+)*$/
+
+/*
+ * @class   FirmwareImageError
+ * @brief   Raised when a file cannot be a firmware image; the message gives the reason
+ *
+ */
+export class FirmwareImageError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "FirmwareImageError"
+  }
+}
+
+/*
+ * @function  readFirmwareImage
+ * @brief     Describe a picked firmware image: returns { size, version } where version is the one the user
+ *            stated for it ("2.1.4", null when not given). Throws FirmwareImageError when the file is empty or
+ *            the stated version is not a version number.
+ *
+ */
+export function readFirmwareImage(size, version = null) {
+  if (!(size > 0)) {
+    throw new FirmwareImageError("The file is empty")
+  }
+  let stated = (version === null || version === undefined) ? "" : String(version).trim()
+  if (stated !== "" && !FIRMWARE_VERSION_PATTERN.test(stated)) {
+    throw new FirmwareImageError("\"" + stated + "\" is not a version number such as 2.1.4")
+  }
+  return { size: size, version: (stated === "") ? null : stated }
+}
+
+/*
+ * @function  checkFirmwareUpdate
+ * @brief     Decide whether an image may be installed on a recorder. config holds the typed config.txt values
+ *            (FirmwareVersion) and freeSpace the bytes available for the image on the storage (StorageInfo free
+ *            space plus the image it replaces). Returns a list of { message, overridable }: an image of
+ *            unknown version, a downgrade and a reinstall are overridable in admin mode; a lack of free space
+ *            is not.
+ *
+ */
+export function checkFirmwareUpdate(image, config, freeSpace) {
+  let problems = new Array(0)
+  let installed = config.FirmwareVersion
+  if (image.version === null) {
+    problems.push({ message: "The version of the image is not known, so a downgrade cannot be ruled out", overridable: true })
+  } else if (installed !== undefined && installed !== null) {
+    let comparison = compareVersions(image.version, installed)
+    if (comparison < 0) {
+      problems.push({ message: "Version " + image.version + " is older than the installed " + installed, overridable: true })
+    } else if (comparison === 0) {
+      problems.push({ message: "Version " + installed + " is already installed", overridable: true })
+    }
+  }
+  if (freeSpace < image.size) {
+    problems.push({ message: "The recorder needs " + image.size + " bytes free, " + freeSpace + " are available", overridable: false })
+  }
+  return problems
+}
@@ -0,0 +1,205 @@
+/**
+ *
+ * Copyright (c) 2021-2024 Technical Products Group
+ *
+ * @file    mtpDriver.spec.js
+ * @brief   MTPDevice against the simulated recorder (store/modules/mtpSimulator.js): connecting, enumerating the
+ *          storage, downloading data.dat into IndexedDB (fake-indexeddb here) and uploading a file.
+ */
+
+import MTPDevice from '@/store/modules/mtpDriver'
+import MTPSimulator from '@/store/modules/mtpSimulator'
+
+const BLOB_SIZE = 512 * 1024               // IndexedDB blob size passed to downloadAudioFile
+const AUDIO_SIZE = 4 * BLOB_SIZE + 1000    // Five blobs, the last one short, and more than one 1 MB bulk read
+
+let simulatorCount = 0
+
+// A simulator with its own serial number, so the downloads of the tests do not meet in IndexedDB
+function createSimulator(options = {}) {
+  simulatorCount++
+  return new MTPSimulator({ serialNumber: "TEST" + String(simulatorCount).padStart(4, "0"), audioSize: AUDIO_SIZE, ...options })
+}
+
+// Open the USB device and an MTP session the way the devices store does
+async function connect(simulator) {
+  let device = new MTPDevice()
+  device.device = simulator
+  await simulator.open()
+  await simulator.selectConfiguration(1)
+  await simulator.claimInterface(0)
+  await device.getEndpoints()
+  await device.getDeviceInfo()
+  expect(await device.openSession()).toBe(true)
+  return device
+}
+
+// Read the storages and the ObjectInfo of the files in the root of the first one
+async function enumerate(device) {
+  await device.getStorageIDS()
+  for (const storageObject of device.storageInfoObjects) {
+    await device.getStorageInfo(storageObject)
+  }
+  let storageObject = device.storageInfoObjects[0]
+  await device.getFileObjects(storageObject)
+  await device.getObjectInfos(storageObject, storageObject.objectInfoObjects)
+  return storageObject
+}
+
+function findFile(storageObject, fileName) {
+  return storageObject.objectInfoObjects.find((fileObject) => fileObject.fileName === fileName)
+}
+
+// The bytes of a download as stored in IndexedDB
+async function storedBytes(device, downloadID) {
+  let blobs = await device.getAudioBlobs(downloadID)
+  return new Uint8Array(await new Blob(blobs.map((blob) => blob.fileBlob)).arrayBuffer())
+}
+
+function sameBytes(a, b) {
+  return a.length === b.length && a.every((value, index) => value === b[index])
+}
+
+jest.setTimeout(120000)
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {})
+})
+
+afterAll(() => {
+  console.log.mockRestore()
+})
+
+describe('MTPDevice with the simulated recorder', () => {
+  test('connects and reads DeviceInfo', async () => {
+    let simulator = createSimulator()
+    let device = await connect(simulator)
+    expect(device.SerialNumber).toBe(simulator.serialNumber)
+    expect(device.deviceInfo).not.toBeNull()
+    await device.closeSession()
+  })
+
+  test('numbers queued transactions in the order they run', async () => {
+    let simulator = createSimulator()
+    let device = await connect(simulator)
+    let logged = simulator.transferLog.length
+    await Promise.all([device.getStorageIDS(), device.getDeviceInfo(), device.getStorageIDS()])
+    let transactionIDs = simulator.transferLog.slice(logged).map((entry) => entry.transactionID)
+    expect(transactionIDs).toEqual([1, 2, 3].map((step) => transactionIDs[0] + step - 1))
+    await device.closeSession()
+  })
+
+  test('enumerates the storage and the recorder files', async () => {
+    let simulator = createSimulator()
+    let device = await connect(simulator)
+    let storageObject = await enumerate(device)
+    expect(device.storageInfoObjects).toHaveLength(1)
+    expect(storageObject.objectInfoObjects.map((fileObject) => fileObject.fileName).sort())
+      .toEqual(["BOOTIMG.img", "command.txt", "config.txt", "data.dat"])
+    expect(findFile(storageObject, "data.dat").filesize).toBe(AUDIO_SIZE)
+    expect(findFile(storageObject, "config.txt").filesize).toBe(simulator.findObject("config.txt").size)
+    await device.closeSession()
+  })
+
+  test('downloads data.dat into IndexedDB and verifies it', async () => {
+    let simulator = createSimulator()
+    let device = await connect(simulator)
+    let storageObject = await enumerate(device)
+    let fileObject = findFile(storageObject, "data.dat")
+    let format = { encoding: "PCM16", sampleRate: 16000, gain: 24 }
+    let [status] = await device.downloadAudioFile(storageObject, fileObject, null, { audioFormat: format, blobSize: BLOB_SIZE })
+    expect(status).toBe(true)
+    let download = await device.getAudioDownload(fileObject)
+    expect(download.audioFormat).toEqual(format)
+    expect(download.bytesSaved).toBe(AUDIO_SIZE)
+    expect(download.blobCount).toBe(5)
+    expect((await device.getAudioBlobs(download.id)).map((blob) => blob.offset)).toEqual([0, 1, 2, 3, 4].map((blob) => blob * BLOB_SIZE))
+    expect(download.verified).toBe(true)
+    expect(sameBytes(await storedBytes(device, download.id), simulator.findObject("data.dat").read(0, AUDIO_SIZE))).toBe(true)
+    await device.closeSession()
+  })
+
+  test('resumes an interrupted download where it stopped', async () => {
+    let simulator = createSimulator()
+    let device = await connect(simulator)
+    let storageObject = await enumerate(device)
+    let fileObject = findFile(storageObject, "data.dat")
+    let controller = new AbortController()
+    // Stop the download from its progress report, the simulated transfers leave no room for a timer
+    let card = {
+      set audioCopyBytes(receivedBytes) {
+        if (receivedBytes > AUDIO_SIZE / 4) {
+          controller.abort()
+        }
+      }
+    }
+    await expect(device.downloadAudioFile(storageObject, fileObject, card, { signal: controller.signal, blobSize: BLOB_SIZE })).rejects.toBeTruthy()
+    let interrupted = await device.getAudioDownload(fileObject)
+    expect(interrupted.bytesSaved).toBeGreaterThan(0)
+    expect(interrupted.bytesSaved).toBeLessThan(AUDIO_SIZE)
+    expect(interrupted.verified).toBe(false)
+
+    let [status] = await device.downloadAudioFile(storageObject, fileObject, null, { blobSize: BLOB_SIZE })
+    expect(status).toBe(true)
+    let download = await device.getAudioDownload(fileObject)
+    expect(download.verified).toBe(true)
+    expect(sameBytes(await storedBytes(device, download.id), simulator.findObject("data.dat").read(0, AUDIO_SIZE))).toBe(true)
+    await device.closeSession()
+  })
+
+  test('keeps the verified download of an earlier data.dat', async () => {
+    let simulator = createSimulator({ audioSize: BLOB_SIZE / 2 })
+    let device = await connect(simulator)
+    let storageObject = await enumerate(device)
+    let earlierFile = findFile(storageObject, "data.dat")
+    await device.downloadAudioFile(storageObject, earlierFile, null)
+
+    // A new recording under the same name
+    simulator.findObject("data.dat").dateModified = new Date(earlierFile.dateModified.getTime() + 60000)
+    storageObject = await enumerate(device)
+    let newerFile = findFile(storageObject, "data.dat")
+    expect(await device.getAudioDownload(newerFile)).toBeNull()
+    let [status] = await device.downloadAudioFile(storageObject, newerFile, null)
+    expect(status).toBe(true)
+
+    let earlier = await device.getAudioDownload(earlierFile)
+    let newer = await device.getAudioDownload(newerFile)
+    expect(earlier.verified).toBe(true)
+    expect(newer.verified).toBe(true)
+    expect(newer.id).not.toBe(earlier.id)
+    expect((await device.getAudioDownloads("data.dat")).map((download) => download.id)).toEqual([newer.id, earlier.id])
+    expect(await device.getAudioBlobs(earlier.id)).toHaveLength(1)
+    await device.closeSession()
+  })
+
+  test('reads containers that share a bulk-in transfer', async () => {
+    let simulator = createSimulator({ audioSize: BLOB_SIZE / 2, shareTransfers: true })
+    let device = await connect(simulator)
+    let storageObject = await enumerate(device)
+    let fileObject = findFile(storageObject, "data.dat")
+    let [status] = await device.downloadAudioFile(storageObject, fileObject, null, { blobSize: BLOB_SIZE })
+    expect(status).toBe(true)
+    expect((await device.getAudioDownload(fileObject)).verified).toBe(true)
+    let content = new TextEncoder().encode("Gain=24\r\n")
+    let [uploaded] = await device.uploadObject(storageObject, new File([content], "shared.txt"))
+    expect(uploaded).toBe(true)
+    expect(simulator.sharedTransfers).toBeGreaterThan(0)
+    expect(device.pendingInput).toBeNull()
+    await device.closeSession()
+  })
+
+  test('uploads a file to the root of the storage', async () => {
+    let simulator = createSimulator()
+    let device = await connect(simulator)
+    let storageObject = await enumerate(device)
+    let content = new TextEncoder().encode("RecordingDurationConfig=16\r\n")
+    let [status, newObjectID] = await device.uploadObject(storageObject, new File([content], "notes.txt"))
+    expect(status).toBe(true)
+    expect(sameBytes(simulator.findObject("notes.txt").read(0, content.length), content)).toBe(true)
+    await enumerate(device)
+    let fileObject = findFile(device.storageInfoObjects[0], "notes.txt")
+    expect(fileObject.fileID).toBe(newObjectID)
+    expect(fileObject.filesize).toBe(content.length)
+    await device.closeSession()
+  })
+})
@@ -0,0 +1,192 @@
+/**
+ *
+ * Copyright (c) 2021-2024 Technical Products Group
+ *
+ * @file    mtpReplay.spec.js
+ * @brief   MTPDevice replayed against captures of the Windows MTP driver (tests/fixtures/replay): every packet the
+ *          driver sends for openSession, deleteFile, uploadFileInfo and uploadFile must match the capture, apart
+ *          from the known differences a scenario lists. The same frames are also written as pcapng and pcap files
+ *          with USBPcap and usbmon link layers, to check that loadCapture reads them alike.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { assertReplay, runReplay, loadCapture, extractMTPTraffic } from '@/store/modules/mtpReplay'
+
+const LINKTYPE_USB_LINUX = 189
+const LINKTYPE_USB_LINUX_MMAPPED = 220
+const LINKTYPE_USBPCAP = 249
+
+function loadFixture(name) {
+  return fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'replay', name + '.txt'), 'utf8')
+}
+
+// The frames of a hex dump fixture as bytes, one Uint8Array per frame
+function fixtureFrames(name) {
+  let frames = new Array(0)
+  for (const line of loadFixture(name).split(/\r?\n/)) {
+    let match = /^([0-9a-f]{4})\s{2,}((?:[0-9a-f]{2} ){0,15}[0-9a-f]{2})/.exec(line)
+    if (match !== null) {
+      if (match[1] === "0000") {
+        frames.push(new Array(0))
+      }
+      match[2].split(" ").forEach((byte) => frames[frames.length - 1].push(parseInt(byte, 16)))
+    }
+  }
+  return frames.map((frame) => Uint8Array.from(frame))
+}
+
+function concat(parts) {
+  let bytes = new Uint8Array(parts.reduce((total, part) => total + part.length, 0))
+  let offset = 0
+  parts.forEach((part) => { bytes.set(part, offset); offset += part.length })
+  return bytes
+}
+
+// A pcapng file: section header, one interface description and an enhanced packet block per frame
+function pcapng(linkType, frames) {
+  let block = (type, body) => {
+    let padded = Math.ceil(body.length / 4) * 4
+    let bytes = new Uint8Array(12 + padded)
+    let view = new DataView(bytes.buffer)
+    view.setUint32(0, type, true)
+    view.setUint32(4, bytes.length, true)
+    bytes.set(body, 8)
+    view.setUint32(bytes.length - 4, bytes.length, true)
+    return bytes
+  }
+  let section = new Uint8Array(16)
+  new DataView(section.buffer).setUint32(0, 0x1a2b3c4d, true)
+  new DataView(section.buffer).setUint16(4, 1, true)
+  new DataView(section.buffer).setInt32(8, -1, true)
+  new DataView(section.buffer).setInt32(12, -1, true)
+  let description = new Uint8Array(8)
+  new DataView(description.buffer).setUint16(0, linkType, true)
+  new DataView(description.buffer).setUint32(4, 65535, true)
+  let packets = frames.map((frame, index) => {
+    let body = new Uint8Array(20 + frame.length)
+    let view = new DataView(body.buffer)
+    view.setUint32(8, 1000 * (index + 1), true)         // Microseconds
+    view.setUint32(12, frame.length, true)
+    view.setUint32(16, frame.length, true)
+    body.set(frame, 20)
+    return block(6, body)
+  })
+  return concat([block(0x0a0d0d0a, section), block(1, description), ...packets])
+}
+
+// A little-endian pcap file with microsecond timestamps
+function pcap(linkType, frames) {
+  let header = new Uint8Array(24)
+  let view = new DataView(header.buffer)
+  view.setUint32(0, 0xa1b2c3d4, true)
+  view.setUint16(4, 2, true)
+  view.setUint16(6, 4, true)
+  view.setUint32(16, 65535, true)
+  view.setUint32(20, linkType, true)
+  let records = frames.map((frame, index) => {
+    let record = new Uint8Array(16 + frame.length)
+    let recordView = new DataView(record.buffer)
+    recordView.setUint32(0, 100, true)
+    recordView.setUint32(4, 1000 * (index + 1), true)
+    recordView.setUint32(8, frame.length, true)
+    recordView.setUint32(12, frame.length, true)
+    record.set(frame, 16)
+    return record
+  })
+  return concat([header, ...records])
+}
+
+// The usbmon frame (48 or 64 byte header) of a packet decoded from a USBPcap capture
+function usbmonFrame(packet, headerLength) {
+  let frame = new Uint8Array(headerLength + packet.data.length)
+  let view = new DataView(frame.buffer)
+  frame[8] = (packet.completion ? "C" : "S").charCodeAt(0)
+  frame[9] = ["isochronous", "interrupt", "control", "bulk"].indexOf(packet.transferType)
+  frame[10] = packet.endpoint | (packet.direction === "in" ? 0x80 : 0)
+  frame[11] = packet.device
+  view.setUint16(12, packet.bus, true)
+  view.setInt32(28, packet.status, true)
+  view.setUint32(32, packet.data.length, true)
+  view.setUint32(36, packet.data.length, true)
+  frame.set(packet.data, headerLength)
+  return frame
+}
+
+// The fields compared between decodings of the same frames
+function summary(packets) {
+  return packets.map((packet) => ({
+    bus: packet.bus, device: packet.device, endpoint: packet.endpoint, direction: packet.direction,
+    transferType: packet.transferType, completion: packet.completion, data: Array.from(packet.data)
+  }))
+}
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {})
+})
+
+afterAll(() => {
+  console.log.mockRestore()
+})
+
+describe('MTPDevice replayed against the Windows MTP driver', () => {
+  test.each(["openSession", "deleteFile", "uploadFile"])('%s', async (scenario) => {
+    let report = await assertReplay(loadFixture(scenario), scenario)
+    expect(report.passed).toBe(true)
+    expect(report.knownDifferences).toEqual([])
+  })
+
+  test('uploadFileInfo differs from Windows only in the object format and the dates', async () => {
+    let report = await assertReplay(loadFixture("uploadFileInfo"), "uploadFileInfo")
+    expect(report.passed).toBe(true)
+    expect(report.knownDifferences.map((difference) => difference.name).sort()).toEqual(["dateCreated", "dateModified", "objectFormat"])
+    let objectFormat = report.knownDifferences.find((difference) => difference.name === "objectFormat")
+    expect(Array.from(objectFormat.expected)).toEqual([0x00, 0x30])   // Undefined
+    expect(Array.from(objectFormat.actual)).toEqual([0x04, 0x30])     // Text
+  })
+
+  test('reports a difference outside the known ones', async () => {
+    let frames = fixtureFrames("uploadFileInfo")
+    frames[1][0x1b + 12 + 6] = 0x01                                     // ProtectionStatus of the ObjectInfo
+    let report = await runReplay(pcap(LINKTYPE_USBPCAP, frames), "uploadFileInfo")
+    expect(report.passed).toBe(false)
+    expect(report.mismatches[0].message).toMatch(/differs from the capture at byte 18/)
+  })
+})
+
+describe('loadCapture', () => {
+  const scenario = "uploadFile"
+  const expected = summary(loadCapture(loadFixture(scenario)))
+
+  test('reads the hex dump as USBPcap', () => {
+    let traffic = extractMTPTraffic(loadCapture(loadFixture(scenario)))
+    expect(traffic.device).toBe(0x24)
+    expect(traffic.endpointOut).toBe(0x01)
+    expect(traffic.endpointIn).toBe(0x01)
+    expect(traffic.packets).toHaveLength(3)
+  })
+
+  test('reads pcapng with USBPcap frames', async () => {
+    let packets = loadCapture(pcapng(LINKTYPE_USBPCAP, fixtureFrames(scenario)))
+    expect(summary(packets)).toEqual(expected)
+    expect(packets.map((packet) => packet.timestamp)).toEqual([1, 2, 3])
+    expect((await runReplay(packets, scenario)).passed).toBe(true)
+  })
+
+  test('reads pcap with USBPcap frames', async () => {
+    let packets = loadCapture(pcap(LINKTYPE_USBPCAP, fixtureFrames(scenario)))
+    expect(summary(packets)).toEqual(expected)
+    expect(packets.map((packet) => packet.timestamp)).toEqual([100001, 100002, 100003])
+    expect((await runReplay(packets, scenario)).passed).toBe(true)
+  })
+
+  test.each([
+    ["pcap", LINKTYPE_USB_LINUX_MMAPPED, 64],
+    ["pcapng", LINKTYPE_USB_LINUX, 48],
+  ])('reads %s with usbmon frames (link type %i)', async (format, linkType, headerLength) => {
+    let frames = loadCapture(loadFixture(scenario)).map((packet) => usbmonFrame(packet, headerLength))
+    let packets = loadCapture(format === "pcap" ? pcap(linkType, frames) : pcapng(linkType, frames))
+    expect(summary(packets)).toEqual(expected)
+    expect((await runReplay(packets, scenario)).passed).toBe(true)
+  })
+})
@@ -0,0 +1,156 @@
+/**
+ *
+ * Copyright (c) 2021-2024 Technical Products Group
+ *
+ * @file    tpgConfig.spec.js
+ * @brief   TpgConfig (store/modules/tpgConfig.js): config.txt read and written back without loss, settings
+ *          changed in place, the problems validate reports, diffConfig and the command.txt built from changes.
+ */
+
+import TpgConfig, { diffConfig, buildCommandFile, validateValue } from '@/store/modules/tpgConfig'
+
+const CONFIG_TEXT = "SerialNumber=\"TPG00042\"\r\n" +
+  "FirmwareVersion=2.1.4\r\n" +
+  "DeviceCurrentTime=\"2024-03-01 12:30:00\"\r\n" +
+  "RecordingDurationConfig = 16\r\n" +
+  "AudioEncoding=\"PCM16\"\r\n" +
+  "Gain=24\r\n" +
+  "BatteryVoltage=\"4.15\"\r\n"
+
+describe('TpgConfig.parse and toString', () => {
+  test.each([
+    ["config.txt", CONFIG_TEXT],
+    ["LF line endings", CONFIG_TEXT.replace(/\r\n/g, "\n")],
+    ["no line ending after the last line", "Gain=24\r\nSerialNumber=\"TPG00042\""],
+    ["comments, blank lines and a malformed line", "# Recorder settings\r\n\r\n  Gain =  24  \r\nnot a setting\r\n; end\r\n"],
+    ["mixed line endings", "Gain=24\nSerialNumber=\"TPG00042\"\r\nAudioEncoding=PCM8\r"],
+    ["an empty file", ""],
+  ])('returns %s as it was read', (name, text) => {
+    expect(TpgConfig.parse(text).toString()).toBe(text)
+  })
+
+  test('types the values by the schema', () => {
+    let config = TpgConfig.parse(CONFIG_TEXT)
+    expect(config.keys()).toEqual(["SerialNumber", "FirmwareVersion", "DeviceCurrentTime", "RecordingDurationConfig",
+      "AudioEncoding", "Gain", "BatteryVoltage"])
+    expect(config.values()).toEqual({
+      SerialNumber: "TPG00042",
+      FirmwareVersion: "2.1.4",
+      DeviceCurrentTime: new Date(2024, 2, 1, 12, 30, 0),
+      RecordingDurationConfig: 16,
+      AudioEncoding: "PCM16",
+      Gain: 24,
+      BatteryVoltage: 4.15,
+    })
+    expect(config.getText("DeviceCurrentTime")).toBe("2024-03-01 12:30:00")
+    expect(config.get("HardwareVersion")).toBeUndefined()
+  })
+
+  test('uses the last of repeated keys', () => {
+    let config = TpgConfig.parse("Gain=12\r\nGain=24\r\n")
+    expect(config.get("Gain")).toBe(24)
+  })
+})
+
+describe('TpgConfig.set', () => {
+  test('rewrites only the value, keeping the quoting and spacing of the line', () => {
+    let config = TpgConfig.parse(CONFIG_TEXT)
+    expect(config.set("SerialNumber", "TPG00043")).toBeNull()
+    expect(config.set("RecordingDurationConfig", 8)).toBeNull()
+    expect(config.set("DeviceCurrentTime", new Date(2024, 11, 24, 8, 5, 9))).toBeNull()
+    expect(config.toString()).toBe(CONFIG_TEXT
+      .replace("TPG00042", "TPG00043")
+      .replace("RecordingDurationConfig = 16", "RecordingDurationConfig = 8")
+      .replace("2024-03-01 12:30:00", "2024-12-24 08:05:09"))
+  })
+
+  test('adds a key that is not in the file at the end, with the line ending of the file', () => {
+    let config = TpgConfig.parse("Gain=24\nAudioEncoding=PCM16")
+    config.set("RecordingMultidayConfig", 2)
+    expect(config.toString()).toBe("Gain=24\nAudioEncoding=PCM16\nRecordingMultidayConfig=2\n")
+
+    let empty = TpgConfig.parse("")
+    empty.set("Gain", 6)
+    expect(empty.toString()).toBe("Gain=6\r\n")
+  })
+
+  test('returns the problem of a value of the wrong type', () => {
+    let config = TpgConfig.parse(CONFIG_TEXT)
+    expect(config.set("Gain", "loud")).toBe("Gain \"loud\" is not a whole number")
+    expect(config.set("BatteryVoltage", "high")).toBe("Battery Voltage \"high\" is not a number")
+    expect(config.set("Gain", 2.5)).toBe("Gain \"2.5\" is not a whole number")
+    expect(config.getText("Gain")).toBe("2.5")
+  })
+
+  test('accepts any whole number and any AudioEncoding text', () => {
+    let config = TpgConfig.parse(CONFIG_TEXT)
+    expect(config.set("Gain", 96)).toBeNull()
+    expect(config.set("RecordingDurationConfig", 0)).toBeNull()
+    expect(config.set("AudioEncoding", "OPUS")).toBeNull()
+  })
+})
+
+describe('TpgConfig.validate', () => {
+  test('finds nothing in a valid file', () => {
+    expect(TpgConfig.parse(CONFIG_TEXT).validate()).toEqual([])
+  })
+
+  test('reports malformed lines, repeated keys and values that do not parse as errors', () => {
+    let config = TpgConfig.parse("# comment\r\nnot a setting\r\nGain=24\r\nGain=x\r\nDeviceCurrentTime=2024-02-30 10:00:00\r\n" +
+      "FirmwareVersion=2.1.x\r\n")
+    expect(config.validate()).toEqual([
+      { key: null, line: 2, severity: "error", message: "Line is not a Key=Value setting: not a setting" },
+      { key: "Gain", line: 4, severity: "error", message: "Gain is set more than once, the last value is used" },
+      { key: "Gain", line: 4, severity: "error", message: "Gain \"x\" is not a whole number" },
+      { key: "DeviceCurrentTime", line: 5, severity: "error", message: "Device Time \"2024-02-30 10:00:00\" is not a date and time (yyyy-MM-dd HH:mm:ss)" },
+      { key: "FirmwareVersion", line: 6, severity: "error", message: "Firmware Version \"2.1.x\" is not a version number" },
+    ])
+  })
+
+  test('reports unknown keys as warnings and keeps their values for command.txt', () => {
+    let config = TpgConfig.parse("Password=\"abc\"\r\nHideBootPartition=\"1\"\r\n")
+    expect(config.validate()).toEqual([
+      { key: "Password", line: 1, severity: "warning", message: "Unknown setting Password, its value cannot be checked" },
+      { key: "HideBootPartition", line: 2, severity: "warning", message: "Unknown setting HideBootPartition, its value cannot be checked" },
+    ])
+    expect(buildCommandFile(config.values())).toBe("Password=\"abc\"\r\nHideBootPartition=\"1\"\r\n")
+  })
+
+  test('reports an unknown key whose value cannot be written back as an error', () => {
+    let issues = TpgConfig.parse("Password=\"a\"b\"\r\n").validate()
+    expect(issues.map((issue) => issue.severity)).toEqual(["warning", "error"])
+    expect(issues[1].message).toBe("Password cannot contain quotes or line breaks")
+  })
+})
+
+describe('diffConfig', () => {
+  test('lists the edited settings that differ, in schema order, as config.txt text', () => {
+    let current = TpgConfig.parse(CONFIG_TEXT).values()
+    let edited = { Gain: "30", SerialNumber: "TPG00042", RecordingDurationConfig: 16, DeviceCurrentTime: new Date(2024, 2, 1, 13, 0, 0) }
+    expect(diffConfig(current, edited)).toEqual([
+      { key: "DeviceCurrentTime", label: "Device Time", unit: "", from: "2024-03-01 12:30:00", to: "2024-03-01 13:00:00" },
+      { key: "Gain", label: "Gain", unit: "", from: "24", to: "30" },
+    ])
+  })
+
+  test('includes keys outside the schema and settings that were not set', () => {
+    expect(diffConfig({}, { Volume: "3", RecordingMultidayConfig: "2" })).toEqual([
+      { key: "RecordingMultidayConfig", label: "Multi Day Config", unit: "", from: "", to: "2" },
+      { key: "Volume", label: "Volume", unit: "", from: "", to: "3" },
+    ])
+  })
+})
+
+describe('buildCommandFile', () => {
+  test('writes one quoted line per change', () => {
+    let text = buildCommandFile({ DeviceCurrentTime: new Date(2024, 2, 1, 12, 30, 0), Gain: 24, SerialNumber: " TPG00042 " })
+    expect(text).toBe("DeviceCurrentTime=\"2024-03-01 12:30:00\"\r\nGain=\"24\"\r\nSerialNumber=\"TPG00042\"\r\n")
+    expect(TpgConfig.parse(text).values()).toEqual({ DeviceCurrentTime: new Date(2024, 2, 1, 12, 30, 0), Gain: 24, SerialNumber: "TPG00042" })
+  })
+
+  test('refuses values with a quote or a line break', () => {
+    expect(() => buildCommandFile({ SerialNumber: "ab\"c" })).toThrow(/SerialNumber "ab\\"c" cannot be written to command.txt/)
+    expect(() => buildCommandFile({ SerialNumber: "ab\r\nGain=0" })).toThrow(/cannot be written to command.txt/)
+    expect(validateValue("SerialNumber", "ab\"c")).toBe("Serial Number cannot contain quotes or line breaks")
+  })
+})